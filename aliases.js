@@ -0,0 +1,107 @@
+/**
+ * Adaptive Memory Aliases
+ *
+ * Names that refer to the same thing ("WC" / "WooCommerce" / "the store"),
+ * kept in an aliases file in the memory directory (default aliases.md):
+ *
+ *   - WooCommerce: WC, Woo, the store
+ *   - Shipster: shipping app
+ *
+ * Each list item is one group; a query naming any member also matches chunks
+ * that only use another. Headings and prose in the file are ignored, so it
+ * can be organised like any other note. The file itself is not searched.
+ */
+
+const path = require('path');
+const { expandPath } = require('./utils');
+const { tokenizeQuery } = require('./tokenizer');
+
+const DEFAULT_ALIASES_FILE = 'aliases.md';
+
+/**
+ * Resolve the aliases file; relative names are taken from memoryDir.
+ */
+function resolveAliasesPath(memoryDir, aliasesFile = DEFAULT_ALIASES_FILE) {
+  return path.resolve(expandPath(memoryDir), expandPath(aliasesFile));
+}
+
+/**
+ * Parse alias groups from markdown list items. Names are separated by commas;
+ * the first may also be followed by a colon or "=" ("Shipster: shipping app").
+ * @returns {string[][]} Groups of two or more names, as written
+ */
+function parseAliases(text) {
+  const groups = [];
+  for (const line of String(text || '').split('\n')) {
+    const m = line.match(/^\s*[-*+]\s+(.+)$/);
+    if (!m) continue;
+    const names = m[1]
+      .replace(/^([^:=,]+)\s*[:=]/, '$1,')
+      .split(',')
+      .map((n) => n.trim())
+      .filter(Boolean);
+    const unique = Array.from(new Set(names));
+    if (unique.length >= 2) groups.push(unique);
+  }
+  return groups;
+}
+
+function indexOfRun(tokens, run, used) {
+  for (let i = 0; i + run.length <= tokens.length; i++) {
+    let ok = true;
+    for (let j = 0; j < run.length && ok; j++) {
+      ok = !used.has(i + j) && tokens[i + j] === run[j];
+    }
+    if (ok) return i;
+  }
+  return -1;
+}
+
+/**
+ * Find alias names mentioned in a query.
+ * Longer names win over shorter ones they contain ("the store" before
+ * "store"), and each query word belongs to at most one alias.
+ *
+ * @returns {{ keywords: string[], matches: Array<{ alias: string, names: string[] }> }}
+ *   `keywords` minus the words consumed by alias matches, and one match per
+ *   group named (`alias` is the name as written in the aliases file)
+ */
+function matchAliases(query, keywords, groups, textOptions = {}) {
+  if (!groups || !groups.length) return { keywords, matches: [] };
+
+  const tokens = tokenizeQuery(query, textOptions);
+  const candidates = [];
+  groups.forEach((names, g) => {
+    for (const name of names) {
+      const run = tokenizeQuery(name, textOptions);
+      if (run.length) candidates.push({ g, name, run });
+    }
+  });
+  candidates.sort((a, b) => b.run.length - a.run.length || b.name.length - a.name.length);
+
+  const used = new Set();
+  const consumed = new Set();
+  const matched = new Map();
+  for (const { g, name, run } of candidates) {
+    if (matched.has(g)) continue;
+    const at = indexOfRun(tokens, run, used);
+    if (at < 0) continue;
+    for (let j = 0; j < run.length; j++) {
+      used.add(at + j);
+      consumed.add(run[j]);
+    }
+    matched.set(g, { alias: name, names: groups[g] });
+  }
+
+  return {
+    keywords: keywords.filter((w) => !consumed.has(w)),
+    matches: Array.from(matched.values()),
+  };
+}
+
+module.exports = {
+  DEFAULT_ALIASES_FILE,
+  resolveAliasesPath,
+  parseAliases,
+  matchAliases,
+};
@@ -0,0 +1,371 @@
+/**
+ * Adaptive Memory Chunker
+ *
+ * Splits a markdown memory file into retrieval chunks along its structure:
+ *
+ * - A new section starts at every ATX heading (# … ######). Lines inside
+ *   fenced code blocks are never headings, so "# install deps" in a shell
+ *   snippet stays code.
+ * - A section is read as blocks: paragraphs, lists (items, nested items and
+ *   blank lines between them), fenced code blocks and tables.
+ * - Fences and tables stay whole unless larger than a chunk. Then they are
+ *   split between lines or rows, and every piece is re-fenced or repeats
+ *   the table header, so each chunk still reads as valid markdown.
+ * - A heading stays with the block under it. A list stays with its lead-in
+ *   paragraph, and so does a fence or table after a paragraph ending in ":".
+ * - Blocks are packed into chunks of up to MAX_CHUNK_LEN characters within
+ *   a section. With `overlap`, a chunk also repeats the previous chunk's
+ *   trailing whole blocks, up to that many characters.
+ *
+ * Every chunk records where it came from:
+ *   { text, startLine, endLine, headings }
+ * Lines are 1-based. `headings` is the trail of headings the chunk sits
+ * under, outermost first.
+ */
+
+const MAX_CHUNK_LEN = 1200;
+const MAX_CHUNKS_PER_FILE = 200;
+
+// Bumped when chunk boundaries or chunk fields change; cached chunks built
+// by another version are re-split.
+const CHUNKER_VERSION = 3;
+
+const ATX_HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+const LIST_ITEM_RE = /^(\s*)(?:[-*+]|\d{1,9}[.)])(?:\s+|$)/;
+const INDENTED_RE = /^(?: {2,}|\t)/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Identifies the chunking rules and options a chunk list was built with.
+ */
+function chunkerSignature(options = {}) {
+  return `v${CHUNKER_VERSION}:o${options.overlap || 0}`;
+}
+
+// ---------------------------------------------------------------------------
+// Parsing: lines -> sections of blocks
+// ---------------------------------------------------------------------------
+
+function isFenceClose(text, fence) {
+  const m = /^\s*(`{3,}|~{3,})\s*$/.exec(text);
+  return !!m && m[1][0] === fence[0] && m[1].length >= fence.length;
+}
+
+function isBlank(line) {
+  return !line.text.trim();
+}
+
+/** After a blank line, does the list go on (another item or indented text)? */
+function listContinues(lines, i) {
+  let j = i + 1;
+  while (j < lines.length && isBlank(lines[j])) j++;
+  return j < lines.length && (LIST_ITEM_RE.test(lines[j].text) || INDENTED_RE.test(lines[j].text));
+}
+
+/**
+ * Group lines into sections ({ headings, blocks }) of blocks
+ * ({ kind: heading | paragraph | list | fence | table, lines }).
+ */
+function parseSections(lines) {
+  const trail = [];
+  let section = { headings: [], blocks: [] };
+  const sections = [section];
+  let block = null;
+  let fence = null;
+
+  const open = (kind, line) => {
+    block = { kind, lines: [line] };
+    section.blocks.push(block);
+  };
+
+  lines.forEach((line, i) => {
+    const { text } = line;
+
+    if (fence) {
+      block.lines.push(line);
+      if (isFenceClose(text, fence)) {
+        fence = null;
+        if (block.kind === 'fence') block = null;
+      }
+      return;
+    }
+
+    if (!text.trim()) {
+      if (block?.kind === 'list' && listContinues(lines, i)) block.lines.push(line);
+      else block = null;
+      return;
+    }
+
+    const fenceOpen = FENCE_RE.exec(text);
+    if (fenceOpen) {
+      fence = fenceOpen[1];
+      // An indented fence right under a list item belongs to the item
+      if (block?.kind === 'list' && INDENTED_RE.test(text)) block.lines.push(line);
+      else open('fence', line);
+      return;
+    }
+
+    const heading = ATX_HEADING_RE.exec(text);
+    if (heading) {
+      trail.length = heading[1].length;
+      trail[heading[1].length - 1] = heading[2].trim();
+      section = { headings: trail.filter(Boolean), blocks: [] };
+      sections.push(section);
+      open('heading', line);
+      block = null;
+      return;
+    }
+
+    if (LIST_ITEM_RE.test(text)) {
+      if (block?.kind === 'list') block.lines.push(line);
+      else open('list', line);
+      return;
+    }
+
+    // Paragraph text, or a continuation line of the open list item
+    if (block) block.lines.push(line);
+    else open('paragraph', line);
+  });
+
+  for (const s of sections) {
+    for (const b of s.blocks) {
+      if (b.kind !== 'paragraph') continue;
+      const sep = b.lines.findIndex((l, k) => k > 0
+        && TABLE_SEPARATOR_RE.test(l.text) && l.text.includes('|') && b.lines[k - 1].text.includes('|'));
+      if (sep > 0) {
+        b.kind = 'table';
+        b.separator = sep;
+      }
+    }
+  }
+  return sections.filter((s) => s.blocks.length);
+}
+
+// ---------------------------------------------------------------------------
+// Pieces: { text, start, end } spans of the file
+// ---------------------------------------------------------------------------
+
+/**
+ * Join pieces in file order, keeping the blank lines that separated them.
+ */
+function joinPieces(pieces) {
+  let text = '';
+  pieces.forEach((p, i) => {
+    if (i > 0) text += '\n'.repeat(Math.max(1, p.start - pieces[i - 1].end));
+    text += p.text;
+  });
+  return { text, start: pieces[0].start, end: pieces[pieces.length - 1].end };
+}
+
+function linesPiece(lines) {
+  const kept = lines.filter((l) => !isBlank(l));
+  return joinPieces(kept.map((l) => ({ text: l.text.replace(/\s+$/, ''), start: l.n, end: l.n })));
+}
+
+/**
+ * Greedily pack pieces into groups whose joined text fits the limit
+ * (`firstMax` for the first group). Pieces are never split here.
+ */
+function packPieces(pieces, max, firstMax = max) {
+  const groups = [];
+  let current = [];
+  for (const p of pieces) {
+    const limit = groups.length ? max : firstMax;
+    if (current.length && joinPieces([...current, p]).text.length > limit) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(p);
+  }
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+/**
+ * Split one over-long line at sentence ends, then hard at the limit.
+ */
+function splitLongLine(line, max) {
+  const pieces = [];
+  let buf = '';
+  const push = (s) => pieces.push({ text: s, start: line.n, end: line.n });
+  for (const sentence of line.text.trim().split(/(?<=[.!?])\s+/)) {
+    const candidate = buf ? `${buf} ${sentence}` : sentence;
+    if (candidate.length <= max) {
+      buf = candidate;
+      continue;
+    }
+    if (buf) push(buf);
+    buf = sentence;
+    while (buf.length > max) {
+      push(buf.slice(0, max));
+      buf = buf.slice(max);
+    }
+  }
+  if (buf) push(buf);
+  return pieces;
+}
+
+/**
+ * Pack lines into pieces of at most `max` characters, splitting only
+ * between lines (and inside lines longer than `max`).
+ */
+function packLines(lines, max, firstMax = max) {
+  const pieces = lines
+    .filter((l) => !isBlank(l))
+    .flatMap((l) => (l.text.length > max ? splitLongLine(l, max) : [linesPiece([l])]));
+  return packPieces(pieces, max, firstMax).map(joinPieces);
+}
+
+function splitFence(block, max, firstMax) {
+  const [open, ...inner] = block.lines;
+  const fence = FENCE_RE.exec(open.text)[1];
+  const close = inner.length && isFenceClose(inner[inner.length - 1].text, fence) ? inner.pop() : null;
+  const closeText = close ? close.text.trim() : fence;
+  const overhead = open.text.length + closeText.length + 2;
+  const parts = packLines(inner, Math.max(max - overhead, 100), Math.max(firstMax - overhead, 100));
+  if (!parts.length) return [linesPiece(block.lines)];
+  return parts.map((p, i) => ({
+    text: `${open.text}\n${p.text}\n${closeText}`,
+    start: i === 0 ? open.n : p.start,
+    end: i === parts.length - 1 && close ? close.n : p.end,
+  }));
+}
+
+function splitTable(block, max, firstMax) {
+  const lead = block.lines.slice(0, block.separator - 1);
+  const header = linesPiece(block.lines.slice(block.separator - 1, block.separator + 1));
+  const rows = block.lines.slice(block.separator + 1);
+  const leadLen = lead.length ? linesPiece(lead).text.length + 1 : 0;
+  const overhead = header.text.length + 1;
+  const parts = packLines(rows, Math.max(max - overhead, 100), Math.max(firstMax - overhead - leadLen, 100));
+  if (!parts.length) return [linesPiece(block.lines)];
+  return parts.map((p, i) => {
+    const text = `${header.text}\n${p.text}`;
+    if (i > 0) return { text, start: p.start, end: p.end };
+    const first = lead.length ? `${linesPiece(lead).text}\n${text}` : text;
+    return { text: first, start: block.lines[0].n, end: p.end };
+  });
+}
+
+function splitList(block, max, firstMax) {
+  // One segment per top-level item (nested items and code stay with it)
+  const indent = LIST_ITEM_RE.exec(block.lines[0].text)[1].length;
+  const segments = [];
+  let fence = null;
+  for (const line of block.lines) {
+    const item = !fence && LIST_ITEM_RE.exec(line.text);
+    if (!segments.length || (item && item[1].length <= indent)) segments.push([]);
+    segments[segments.length - 1].push(line);
+    const f = FENCE_RE.exec(line.text);
+    if (fence && isFenceClose(line.text, fence)) fence = null;
+    else if (!fence && f) fence = f[1];
+  }
+  const pieces = segments.flatMap((seg) => {
+    const piece = linesPiece(seg);
+    return piece.text.length > max ? packLines(seg, max) : [piece];
+  });
+  return packPieces(pieces, max, firstMax).map(joinPieces);
+}
+
+/**
+ * A block as one or more pieces of at most `max` characters (`firstMax` for
+ * the first piece).
+ */
+function splitBlock(block, max, firstMax = max) {
+  const whole = linesPiece(block.lines);
+  if (whole.text.length <= firstMax) return [whole];
+  switch (block.kind) {
+    case 'fence': return splitFence(block, max, firstMax);
+    case 'table': return splitTable(block, max, firstMax);
+    case 'list': return splitList(block, max, firstMax);
+    default: return packLines(block.lines, max, firstMax);
+  }
+}
+
+/** Must `block` share a chunk with the block after it? */
+function gluedToNext(block, next) {
+  if (!next) return false;
+  if (block.kind === 'heading') return true;
+  if (block.kind !== 'paragraph') return false;
+  if (next.kind === 'list') return true;
+  const last = block.lines[block.lines.length - 1].text;
+  return (next.kind === 'fence' || next.kind === 'table') && /:\s*$/.test(last);
+}
+
+/**
+ * A section's blocks as atoms: pieces that packing keeps whole. Glued runs
+ * (heading + paragraph, lead-in + list) become one atom when they fit; when
+ * the last block is too large, the lead-in joins its first piece.
+ */
+function sectionAtoms(blocks, max) {
+  const atoms = [];
+  for (let i = 0; i < blocks.length; i++) {
+    const run = [blocks[i]];
+    while (gluedToNext(run[run.length - 1], blocks[i + run.length])) run.push(blocks[i + run.length]);
+    i += run.length - 1;
+
+    const whole = joinPieces(run.map((b) => linesPiece(b.lines)));
+    if (whole.text.length <= max) {
+      atoms.push(whole);
+      continue;
+    }
+    const body = run[run.length - 1];
+    const lead = run.length > 1 ? joinPieces(run.slice(0, -1).map((b) => linesPiece(b.lines))) : null;
+    if (lead && lead.text.length <= max / 2) {
+      const pieces = splitBlock(body, max, max - lead.text.length - 2);
+      atoms.push(joinPieces([lead, pieces[0]]), ...pieces.slice(1));
+    } else {
+      for (const b of run) atoms.push(...splitBlock(b, max));
+    }
+  }
+  return atoms;
+}
+
+// ---------------------------------------------------------------------------
+// Public
+// ---------------------------------------------------------------------------
+
+/**
+ * Split markdown content into chunks (see the module comment).
+ *
+ * @param {string} content
+ * @param {object} [options] - { lineOffset: added to line numbers, e.g. past
+ *   frontmatter; overlap: characters of trailing whole blocks repeated from
+ *   the previous chunk of the same section (default 0); maxChunkLen }
+ * @returns {Array<{ text: string, startLine: number, endLine: number, headings: string[] }>}
+ */
+function splitIntoChunks(content, options = {}) {
+  const { lineOffset = 0, overlap = 0, maxChunkLen = MAX_CHUNK_LEN } = options;
+  const lines = String(content)
+    .split('\n')
+    .map((text, i) => ({ text: text.replace(/\r$/, ''), n: i + 1 + lineOffset }));
+
+  const chunks = [];
+  for (const { headings, blocks } of parseSections(lines)) {
+    const groups = packPieces(sectionAtoms(blocks, maxChunkLen), maxChunkLen);
+    groups.forEach((group, g) => {
+      const carried = [];
+      if (overlap > 0 && g > 0) {
+        const prev = groups[g - 1];
+        for (let k = prev.length - 1; k >= 0; k--) {
+          if (joinPieces([prev[k], ...carried]).text.length > overlap) break;
+          carried.unshift(prev[k]);
+        }
+      }
+      const { text, start, end } = joinPieces([...carried, ...group]);
+      if (text.trim()) chunks.push({ text, startLine: start, endLine: end, headings });
+    });
+  }
+
+  // Hard cap per file to prevent runaway processing
+  return chunks.slice(0, MAX_CHUNKS_PER_FILE);
+}
+
+module.exports = {
+  CHUNKER_VERSION,
+  MAX_CHUNK_LEN,
+  MAX_CHUNKS_PER_FILE,
+  chunkerSignature,
+  splitIntoChunks,
+};
@@ -0,0 +1,158 @@
+/**
+ * Adaptive Memory Embeddings
+ *
+ * Pluggable text -> vector providers for semantic retrieval.
+ *
+ * A provider is any object with:
+ *   - id:         string, stable across runs; stored vectors are rebuilt when it changes
+ *   - dimensions: number
+ *   - embed(texts): Promise<number[][]> — one L2-normalized vector per text
+ *
+ * The built-in default (`hashed-ngram`) works fully offline: word unigrams
+ * and character trigrams are hashed into a fixed-size signed vector, so
+ * related word forms ("pricing", "price", "priced") land near each other
+ * without any model download or network access.
+ */
+
+const path = require('path');
+const { expandPath } = require('./utils');
+
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * 32-bit FNV-1a hash.
+ */
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vec) {
+  let sum = 0;
+  for (const v of vec) sum += v * v;
+  const norm = Math.sqrt(sum);
+  if (norm === 0) return vec;
+  for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+/**
+ * Offline provider: hashed word unigrams + character trigrams.
+ * Term counts are dampened (sqrt) so one repeated word doesn't dominate.
+ */
+function createHashedNgramProvider(options = {}) {
+  const dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  const ngram = options.ngram || 3;
+
+  function embedOne(text) {
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    const words = String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    for (const word of words) {
+      add(`w:${word}`, 1);
+      const padded = `#${word}#`;
+      for (let i = 0; i + ngram <= padded.length; i++) {
+        add(`c:${padded.slice(i, i + ngram)}`, 0.5);
+      }
+    }
+
+    const vec = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const h = fnv1a(feature);
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vec[h % dimensions] += sign * Math.sqrt(count);
+    }
+    return normalize(vec);
+  }
+
+  return {
+    id: `hashed-ngram:${dimensions}:${ngram}:u`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+const PROVIDERS = {
+  'hashed-ngram': createHashedNgramProvider,
+};
+
+/**
+ * Register a provider factory under a name usable from config.json
+ * (`embeddingProvider`). The factory receives `embeddingOptions`.
+ */
+function registerEmbeddingProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Embedding provider factory for "${name}" must be a function`);
+  }
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Resolve a provider from a name, a provider object, or nothing (default).
+ * A name that looks like a path (contains a slash or ends in .js) is loaded
+ * as a module exporting either a provider object or a factory.
+ */
+function resolveEmbeddingProvider(spec, options = {}) {
+  if (spec && typeof spec === 'object' && typeof spec.embed === 'function') return spec;
+  const name = spec || 'hashed-ngram';
+  if (PROVIDERS[name]) return PROVIDERS[name](options);
+  if (/[\\/]|\.js$/.test(name)) {
+    const mod = require(path.resolve(expandPath(name)));
+    const provider = typeof mod === 'function' ? mod(options) : mod;
+    if (!provider || typeof provider.embed !== 'function') {
+      throw new Error(`Embedding provider module ${name} does not export embed()`);
+    }
+    return provider;
+  }
+  throw new Error(`Unknown embedding provider: ${name}`);
+}
+
+/**
+ * Cosine similarity; works on plain arrays and typed arrays alike.
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / Math.sqrt(na * nb);
+}
+
+/**
+ * Quantize a normalized vector to int8 and base64-encode it for JSON storage
+ * (a 256-d vector takes ~344 chars instead of ~5 KB of float text).
+ */
+function encodeVector(vec) {
+  const q = new Int8Array(vec.length);
+  for (let i = 0; i < vec.length; i++) {
+    q[i] = Math.round(Math.max(-1, Math.min(1, vec[i])) * 127);
+  }
+  return Buffer.from(q.buffer).toString('base64');
+}
+
+function decodeVector(s) {
+  const buf = Buffer.from(s, 'base64');
+  return new Int8Array(buf.buffer, buf.byteOffset, buf.length);
+}
+
+module.exports = {
+  createHashedNgramProvider,
+  registerEmbeddingProvider,
+  resolveEmbeddingProvider,
+  cosineSimilarity,
+  encodeVector,
+  decodeVector,
+};
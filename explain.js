@@ -0,0 +1,183 @@
+/**
+ * Adaptive Memory Explain
+ *
+ * Traces for `explain` mode: what a search matched, how each candidate chunk
+ * scored and where the others fell out. search.js records into a trace as a
+ * query moves through its stages; hook.js adds the first-message decisions
+ * on top of the summary.
+ *
+ * Stages a candidate can be dropped at, in pipeline order:
+ *
+ *   coverage     4+ keywords and fewer than 2 of them in the chunk (BM25 gate)
+ *   minScore     keyword, vector or fused score below minScore
+ *   metadata     frontmatter filters: private, tags, excludeTags
+ *   operators    query operators: +required, -excluded, "phrases", file:
+ *   pool         hybrid only: not among either retriever's top candidates
+ *   diversity    within maxResults, but removed by MMR, duplicateThreshold
+ *                or maxChunksPerFile
+ *   maxResults   ranked below the maxResults cut
+ *   unreadable   the file vanished before its snippet was read
+ *   private / threshold / topK / budget / alreadyInjected   (hook.js)
+ *
+ * A candidate with `droppedAt: null` was returned (or injected).
+ */
+
+const MAX_EXPLAINED_CANDIDATES = 100;
+
+function keyOf(hit) {
+  return `${hit.path}#${hit.chunkIdx}`;
+}
+
+function createTrace(query) {
+  return {
+    query,
+    keywords: [],
+    aliases: [],
+    mode: null,
+    minScore: null,
+    roots: [],
+    skipped: null,
+    candidates: new Map(),
+  };
+}
+
+function candidate(trace, hit) {
+  const key = keyOf(hit);
+  let rec = trace.candidates.get(key);
+  if (!rec) {
+    rec = { path: hit.path, chunkIdx: hit.chunkIdx, terms: null, scores: {}, relevance: null, score: null, droppedAt: null };
+    trace.candidates.set(key, rec);
+  }
+  return rec;
+}
+
+/**
+ * Record candidates a retriever scored: `retriever` names the score
+ * ("keyword", "vector"); keyword hits also carry their per-term detail and,
+ * if searchIndex already dropped them, the stage.
+ */
+function recordHits(trace, hits, retriever) {
+  if (!trace) return;
+  for (const hit of hits) {
+    const rec = candidate(trace, hit);
+    rec.scores[retriever] = hit.score;
+    if (hit.terms) rec.terms = hit.terms;
+    if (hit.droppedAt && !rec.droppedAt) rec.droppedAt = hit.droppedAt;
+  }
+}
+
+/**
+ * Record ranked hits' final score parts: `scores` (per retriever, recency,
+ * priority, root weight), `relevance` and `score`.
+ */
+function recordRanked(trace, ranked) {
+  if (!trace) return;
+  for (const r of ranked) {
+    const rec = candidate(trace, r);
+    Object.assign(rec.scores, r.scores);
+    if (r.relevance !== undefined) rec.relevance = r.relevance;
+    rec.score = r.score;
+    if (r.citation) rec.citation = r.citation;
+  }
+}
+
+/**
+ * Mark the hits in `before` missing from `after` as dropped at `stage`
+ * (a candidate keeps the first stage that dropped it). Returns `after`.
+ */
+function recordDrops(trace, before, after, stage) {
+  if (!trace) return after;
+  const kept = new Set(after.map(keyOf));
+  for (const hit of before) {
+    if (kept.has(keyOf(hit))) continue;
+    const rec = candidate(trace, hit);
+    if (!rec.droppedAt) rec.droppedAt = stage;
+  }
+  return after;
+}
+
+/**
+ * Plain-JSON summary of a trace: returned candidates first, in result order
+ * when `results` is given, then the dropped ones by score; at most
+ * MAX_EXPLAINED_CANDIDATES are listed, `dropped` counts all of them by stage.
+ */
+function summarizeTrace(trace, results = []) {
+  const order = new Map(results.map((r, i) => [keyOf(r), i]));
+  const all = Array.from(trace.candidates.values());
+  const dropped = {};
+  for (const rec of all) {
+    if (rec.droppedAt) dropped[rec.droppedAt] = (dropped[rec.droppedAt] || 0) + 1;
+  }
+  const best = (rec) => rec.score ?? Math.max(0, ...Object.values(rec.scores).filter((s) => typeof s === 'number'));
+  const rank = (rec) => (order.has(keyOf(rec)) ? order.get(keyOf(rec)) : Infinity);
+  const candidates = all
+    .sort((a, b) => rank(a) - rank(b) || Boolean(a.droppedAt) - Boolean(b.droppedAt) || best(b) - best(a))
+    .slice(0, MAX_EXPLAINED_CANDIDATES);
+
+  return {
+    query: trace.query,
+    keywords: trace.keywords,
+    aliases: trace.aliases,
+    mode: trace.mode,
+    minScore: trace.minScore,
+    roots: trace.roots,
+    skipped: trace.skipped,
+    candidateCount: all.length,
+    returned: all.filter((rec) => !rec.droppedAt).length,
+    dropped,
+    candidates,
+  };
+}
+
+/**
+ * Mark hits as dropped at `stage` in a summary (hook.js stages, after search).
+ */
+function markDropped(summary, hits, stage) {
+  const keys = new Set(hits.map(keyOf));
+  for (const rec of summary.candidates) {
+    if (!keys.has(keyOf(rec)) || rec.droppedAt) continue;
+    rec.droppedAt = stage;
+    summary.dropped[stage] = (summary.dropped[stage] || 0) + 1;
+    summary.returned -= 1;
+  }
+}
+
+/**
+ * Human-readable lines for a summary (CLI).
+ * `label(rec)` names a candidate; the default is its path and chunk index.
+ */
+function formatTrace(summary, label = (rec) => `${rec.path} [chunk ${rec.chunkIdx}]`) {
+  const fmt = (n) => (typeof n === 'number' ? n.toFixed(3) : '-');
+  const lines = [
+    `Query: ${summary.query}`,
+    `Keywords: ${summary.keywords.join(', ') || '(none)'}${summary.aliases.length ? ` | aliases: ${summary.aliases.join(', ')}` : ''}`,
+    `Mode: ${summary.mode || '-'} | minScore: ${fmt(summary.minScore)}`,
+  ];
+  if (summary.skipped) lines.push(`Skipped: ${summary.skipped}`);
+  const dropped = Object.entries(summary.dropped).map(([stage, n]) => `${stage} ${n}`).join(', ');
+  lines.push(`Candidates: ${summary.candidateCount}, returned ${summary.returned}${dropped ? `, dropped: ${dropped}` : ''}`, '');
+
+  for (const rec of summary.candidates) {
+    const parts = Object.entries(rec.scores).map(([k, v]) => `${k} ${fmt(v)}`).join(', ');
+    lines.push(`${rec.droppedAt ? `✗ ${rec.droppedAt}` : '✓ returned'}  ${rec.citation || label(rec)}  score ${fmt(rec.score)}${parts ? ` (${parts})` : ''}`);
+    if (rec.terms) {
+      const terms = rec.terms.map((t) => {
+        const via = t.fuzzy ? ` via ${t.term}` : '';
+        return `${t.keyword}${via} ×${t.tf}${t.tf ? ` (+${fmt(t.contribution)})` : ''}`;
+      });
+      lines.push(`    terms: ${terms.join(', ')}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  MAX_EXPLAINED_CANDIDATES,
+  createTrace,
+  recordHits,
+  recordRanked,
+  recordDrops,
+  summarizeTrace,
+  markDropped,
+  formatTrace,
+};
@@ -0,0 +1,152 @@
+/**
+ * Adaptive Memory Frontmatter
+ *
+ * Per-note metadata in a YAML block at the top of a memory file:
+ *
+ *   ---
+ *   tags: [billing, woocommerce]
+ *   priority: high
+ *   private: true
+ *   ---
+ *
+ * The block is stripped before chunking and kept per file in the cache.
+ * Recognised keys:
+ *   tags (or tag)  list or comma-separated string; filter with `tags` /
+ *                  `excludeTags` in searchMemory options
+ *   priority       high | normal | low; scales the ranking score
+ *                  (see DEFAULT_PRIORITY_WEIGHTS)
+ *   private        true keeps the file out of searches and injection
+ *
+ * Only the flat subset of YAML that notes use is parsed: `key: value`
+ * scalars, [inline, lists] and "- item" block lists. Anything else is kept
+ * as a string or ignored, never an error; a block without a closing "---",
+ * or without any "key:" line, is treated as ordinary text.
+ */
+
+const DEFAULT_PRIORITY_WEIGHTS = { high: 1.25, normal: 1, low: 0.75 };
+
+const OPEN_RE = /^\uFEFF?---[ \t]*\r?\n/;
+const CLOSE_RE = /^(?:---|\.\.\.)[ \t]*$/;
+
+function stripComment(value) {
+  return value.replace(/\s+#.*$/, '');
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  const quoted = /^"(.*)"$|^'(.*)'$/.exec(value);
+  if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+
+  const plain = stripComment(value).trim();
+  if (/^\[.*\]$/.test(plain)) {
+    return plain.slice(1, -1).split(',').map(parseScalar).filter((v) => v !== '' && v !== null);
+  }
+  if (/^(true|yes|on)$/i.test(plain)) return true;
+  if (/^(false|no|off)$/i.test(plain)) return false;
+  if (/^(null|~)?$/i.test(plain)) return plain ? null : '';
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+/**
+ * Split a file into its frontmatter and body.
+ * @returns {{ meta: object, body: string }} `meta` is {} when there is none
+ */
+function parseFrontmatter(content) {
+  const text = String(content || '');
+  const open = OPEN_RE.exec(text);
+  if (!open) return { meta: {}, body: text };
+
+  const lines = text.slice(open[0].length).split('\n');
+  const end = lines.findIndex((line) => CLOSE_RE.test(line.replace(/\r$/, '')));
+  if (end < 0) return { meta: {}, body: text };
+
+  const meta = {};
+  let listKey = null;
+  let keys = 0;
+  for (const rawLine of lines.slice(0, end)) {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+
+    const item = /^\s+-\s+(.*)$|^-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      const value = parseScalar(item[1] !== undefined ? item[1] : item[2]);
+      if (value !== '' && value !== null) meta[listKey].push(value);
+      continue;
+    }
+
+    const pair = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/.exec(line);
+    listKey = null;
+    if (!pair) continue;
+    keys += 1;
+    const key = pair[1].toLowerCase();
+    const value = pair[2] === undefined ? '' : parseScalar(pair[2]);
+    if (value === '') {
+      // "key:" alone opens a block list
+      meta[key] = [];
+      listKey = key;
+    } else {
+      meta[key] = value;
+    }
+  }
+
+  // A leading horizontal rule followed by prose is not frontmatter
+  if (!keys && lines.slice(0, end).some((l) => l.trim())) return { meta: {}, body: text };
+  return { meta, body: lines.slice(end + 1).join('\n') };
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * A file's tags, lowercased without a leading "#".
+ */
+function fileTags(meta = {}) {
+  const raw = meta.tags ?? meta.tag;
+  if (raw === undefined || raw === null || raw === '') return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  return list.map(normalizeTag).filter(Boolean);
+}
+
+/**
+ * Is the file marked private? Errs towards privacy: quoted values
+ * (`private: "true"`, `'yes'`) count like bare ones.
+ */
+function isPrivate(meta = {}) {
+  const flag = meta.private;
+  return flag === true || (typeof flag === 'string' && /^(true|yes|on)$/i.test(flag.trim()));
+}
+
+/**
+ * Score multiplier for a file's `priority`; unknown or missing values are 1.
+ */
+function priorityFactor(meta = {}, weights = DEFAULT_PRIORITY_WEIGHTS) {
+  if (meta.priority === undefined || meta.priority === null) return 1;
+  const factor = { ...DEFAULT_PRIORITY_WEIGHTS, ...weights }[String(meta.priority).toLowerCase()];
+  return typeof factor === 'number' && factor > 0 ? factor : 1;
+}
+
+/**
+ * Does the file pass the search's metadata filters?
+ * @param {object} filter - { tags, excludeTags, includePrivate }; `tags`
+ *   keeps files with any of the listed tags, `excludeTags` drops files with any
+ */
+function metadataAllows(meta = {}, filter = {}) {
+  if (isPrivate(meta) && !filter.includePrivate) return false;
+  const wanted = [].concat(filter.tags || []).map(normalizeTag).filter(Boolean);
+  const unwanted = [].concat(filter.excludeTags || []).map(normalizeTag).filter(Boolean);
+  if (!wanted.length && !unwanted.length) return true;
+  const tags = fileTags(meta);
+  if (unwanted.some((t) => tags.includes(t))) return false;
+  return wanted.length === 0 || wanted.some((t) => tags.includes(t));
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_WEIGHTS,
+  parseFrontmatter,
+  fileTags,
+  isPrivate,
+  priorityFactor,
+  metadataAllows,
+};
@@ -21,8 +21,14 @@ const fsp = fs.promises;
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
-const { searchMemory, warmSearchCache } = require('./search.js');
-const { expandPath, resolveMemoryDir } = require('./utils');
+const { searchMemory, warmSearchCache, startWatch, getMemoryFiles } = require('./search.js');
+const { isPrivate } = require('./frontmatter');
+const { extractSource } = require('./sources');
+const { markDropped } = require('./explain');
+const { resolveTokenEstimator, cutAtBoundary } = require('./tokens');
+const { extractKeywords, queryTerms } = require('./tokenizer');
+const { resolveEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+const { expandPath, resolveMemoryDir, resolveMemoryRoots } = require('./utils');
 
 // ---------------------------------------------------------------------------
 // Config
@@ -33,18 +39,104 @@ const DEFAULTS = {
   searchTopK: 3,
   maxResultsPerSearch: 12,
   minRelevanceScore: 0.55,
+  // Retrieval: 'keyword' (BM25), 'vector' (embeddings) or 'hybrid'
+  searchMode: 'keyword',
+  embeddingProvider: 'hashed-ngram',
+  embeddingOptions: {},
+  // Hybrid mode: 'weighted' (score blend) or 'rrf' (reciprocal rank fusion)
+  hybridFusion: 'weighted',
+  hybridWeights: { keyword: 0.6, vector: 0.4 },
+  rrfK: 60,
+  // Tokenization: stop word lists / stemmer to apply, whether to match
+  // "mote" to "møte", and whether "deploying" matches "deployed"
+  // (changing foldDiacritics or stemming rebuilds the index)
+  languages: ['en'],
+  foldDiacritics: false,
+  stemming: false,
+  // Typo tolerance: vocabulary terms within a small edit distance of a query
+  // word match at a discount (fuzzyWeight); words under fuzzyMinLength are exact-only
+  fuzzyMatching: false,
+  fuzzyMaxDistance: 2,
+  fuzzyMinLength: 5,
+  fuzzyWeight: 0.75,
+  // Alias groups ("- WooCommerce: WC, the store"), relative to memoryDir
+  aliasesFile: 'aliases.md',
+  // Recency: newer chunks (file mtime, or a dated heading like "## 2026-09-14")
+  // rank higher; 0 turns it off, 1 lets age alone decide between equals
+  recencyWeight: 0,
+  recencyHalfLifeDays: 90,
+  // Frontmatter "priority: high | normal | low" scales a file's ranking score
+  // ("private: true" files are never injected)
+  priorityWeights: { high: 1.25, normal: 1, low: 0.75 },
+  // Diversity: MMR trade-off (1 = score only), shingle similarity at which a
+  // chunk counts as a near-duplicate of a better one, and a per-file cap.
+  // Off by default; e.g. 0.7, 0.8 and 2 keep injected slots distinct
+  mmrLambda: 1,
+  duplicateThreshold: null,
+  maxChunksPerFile: 0,
+  // Characters of whole blocks repeated between consecutive chunks of a
+  // section, so facts near a boundary appear in both (changing it re-chunks)
+  chunkOverlap: 0,
+  // File types indexed from memoryDir (see sources.js)
+  extensions: ['.md', '.txt', '.json', '.jsonl', '.html', '.htm'],
+  // Gitignore-style patterns kept out of search, before memoryDir/.memoryignore
+  ignore: [],
+  // Watch mode, started at gateway startup: keep the index in memory and
+  // update it from fs.watch events (debounced) instead of re-checking every
+  // file on each search
+  watchMemory: false,
+  watchDebounceMs: 250,
   fallbackBehavior: 'continue_without_context',
   enableLogging: true,
   logLevel: 'info',
   coreMemoryPath: null,
 
   memoryDir: resolveMemoryDir(),
-
-  // Injection budget caps
+  // Directories searched together instead of memoryDir alone, in order:
+  // "path" or { path, weight, namespace, readOnly }. The hook only writes
+  // (daily injections, digests, snapshots) to memoryDir, which defaults to the
+  // first root not marked readOnly.
+  memoryRoots: [],
+
+  // Injection budget caps. maxInjectedTokens (null = off) bounds the whole
+  // injected section as counted by tokenEstimator: 'heuristic' (offline,
+  // per script class), 'chars4', a registered name or a module path
   maxInjectedCharsTotal: 4000,
   maxSnippetCharsEach: 800,
+  maxInjectedTokens: null,
+  tokenEstimator: 'heuristic',
+  // Bold the query's matched words in injected snippets
+  highlightMatches: false,
+  // Mid-session re-injection: when the latest user message has moved away
+  // from every query searched so far in the session (similarity below
+  // topicShiftThreshold, by 'keywords' overlap or 'vector' cosine), inject
+  // memory for the new topic. At most maxInjectionsPerSession sections (the
+  // first-message one included), reinjectCooldownMinutes apart, and never a
+  // chunk the session already got
+  reinjectOnTopicShift: false,
+  topicShiftMethod: 'keywords',
+  topicShiftThreshold: 0.2,
+  maxInjectionsPerSession: 3,
+  reinjectCooldownMinutes: 10,
 };
 
+/**
+ * With memoryRoots configured, writes go to the first root not marked
+ * readOnly unless config sets its own memoryDir, and never to a read-only one.
+ */
+function applyMemoryRoots(config, parsed) {
+  if (!Array.isArray(config.memoryRoots) || !config.memoryRoots.length) return;
+  const roots = resolveMemoryRoots(config.memoryRoots);
+  const writable = roots.find((r) => !r.readOnly);
+  const explicit = Object.prototype.hasOwnProperty.call(parsed, 'memoryDir') && parsed.memoryDir !== '~/.openclaw/memory';
+  const dir = path.resolve(config.memoryDir);
+  const readOnly = roots.some((r) => r.readOnly && r.path === dir);
+  if (readOnly) {
+    console.warn('[adaptive-memory] memoryDir is a readOnly memory root:', dir);
+  }
+  if ((!explicit || readOnly) && writable) config.memoryDir = writable.path;
+}
+
 function loadConfig(defaults, filePath) {
   try {
     if (!fs.existsSync(filePath)) return { ...defaults };
@@ -59,6 +151,7 @@ function loadConfig(defaults, filePath) {
       merged.memoryDir = process.env.OPENCLAW_MEMORY_DIR;
     }
     merged.memoryDir = expandPath(merged.memoryDir);
+    applyMemoryRoots(merged, parsed);
     return merged;
   } catch (e) {
     console.warn('[adaptive-memory] config.json invalid; using defaults:', e.message);
@@ -108,6 +201,52 @@ function warnIfMemoryDirUnusable(memoryDir) {
   }
 }
 
+/** The configured token estimator, resolved once; an unusable one falls back to the heuristic. */
+let _tokenEstimator = null;
+function tokenEstimator() {
+  if (_tokenEstimator) return _tokenEstimator;
+  try {
+    _tokenEstimator = resolveTokenEstimator(CONFIG.tokenEstimator);
+  } catch (e) {
+    log('warn', '[adaptive-memory] tokenEstimator unusable; using the heuristic:', e.message);
+    _tokenEstimator = resolveTokenEstimator('heuristic');
+  }
+  return _tokenEstimator;
+}
+
+/**
+ * Retrieval options shared by first-message search and startup warmup.
+ */
+function retrievalOptions() {
+  return {
+    memoryDir: CONFIG.memoryDir,
+    memoryRoots: CONFIG.memoryRoots,
+    mode: CONFIG.searchMode,
+    embeddingProvider: CONFIG.embeddingProvider,
+    embeddingOptions: CONFIG.embeddingOptions,
+    hybridFusion: CONFIG.hybridFusion,
+    hybridWeights: CONFIG.hybridWeights,
+    rrfK: CONFIG.rrfK,
+    languages: CONFIG.languages,
+    foldDiacritics: CONFIG.foldDiacritics,
+    stemming: CONFIG.stemming,
+    fuzzyMatching: CONFIG.fuzzyMatching,
+    fuzzyMaxDistance: CONFIG.fuzzyMaxDistance,
+    fuzzyMinLength: CONFIG.fuzzyMinLength,
+    fuzzyWeight: CONFIG.fuzzyWeight,
+    aliasesFile: CONFIG.aliasesFile,
+    recencyWeight: CONFIG.recencyWeight,
+    recencyHalfLifeDays: CONFIG.recencyHalfLifeDays,
+    priorityWeights: CONFIG.priorityWeights,
+    mmrLambda: CONFIG.mmrLambda,
+    duplicateThreshold: CONFIG.duplicateThreshold,
+    maxChunksPerFile: CONFIG.maxChunksPerFile,
+    chunkOverlap: CONFIG.chunkOverlap,
+    extensions: CONFIG.extensions,
+    ignore: CONFIG.ignore,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Intent extraction
 // ---------------------------------------------------------------------------
@@ -141,9 +280,9 @@ function extractIntent(message) {
  * Pure technical prompts (error traces, CLI commands, raw code) rarely benefit
  * from personal/project memory injection, so we skip the search.
  *
- * Returns true if memory search should proceed.
+ * Returns { search, looksLikeTech, looksPersonalOrProject }.
  */
-function shouldSearchMemory(intent) {
+function searchGate(intent) {
   const s = intent.toLowerCase();
 
   const looksLikeTech =
@@ -156,8 +295,14 @@ function shouldSearchMemory(intent) {
   const looksPersonalOrProject =
     /\b(my|mine|we|our|project|store|customer|repo|deploy|ship|launch|openclaw|clawbot|woocommerce|wordpress|shipster)\b/i.test(s);
 
-  if (looksLikeTech && !looksPersonalOrProject) return false;
-  return true;
+  return { search: !looksLikeTech || looksPersonalOrProject, looksLikeTech, looksPersonalOrProject };
+}
+
+/**
+ * Returns true if memory search should proceed (see searchGate).
+ */
+function shouldSearchMemory(intent) {
+  return searchGate(intent).search;
 }
 
 // ---------------------------------------------------------------------------
@@ -166,66 +311,213 @@ function shouldSearchMemory(intent) {
 
 /**
  * Main hook function — called by OpenClaw after first user message.
+ * With `explain`, the result also carries `explain`: the intent, the
+ * technical-prompt gate, the thresholds and the search trace (see
+ * explain.js), with the stage at which each candidate was not injected.
  */
-async function onFirstMessage({ sessionKey, message, context = {} }) {
+async function onFirstMessage({ sessionKey, message, context = {}, explain = false }) {
   if (!CONFIG.enableAdaptiveMemory) {
     return { success: true, skipped: true, reason: 'Adaptive memory disabled' };
   }
 
   warnIfMemoryDirUnusable(CONFIG.memoryDir);
+  return searchAndInject({ sessionKey, message, explain });
+}
+
+/**
+ * Search memory for a message and inject what is relevant: the first-message
+ * path, and the topic-shift one (see onTopicShift) with the injection's
+ * number in the session, the chunks the session already got (`exclude`,
+ * "path#chunkIdx") and a note. Once a search ran, the result carries
+ * `topic`: { intent, chunks }, the chunks injected for it, for the session's
+ * record.
+ */
+async function searchAndInject({ sessionKey, message, explain = false, injection = 1, exclude = [], note = null }) {
+  const trace = explain ? { intent: null, gate: null } : null;
+  const withTrace = (result) => (trace ? { ...result, explain: trace } : result);
 
   try {
     const intent = extractIntent(message);
+    if (trace) trace.intent = intent;
     if (!intent) {
-      return { success: true, skipped: true, reason: 'Could not extract intent' };
+      return withTrace({ success: true, skipped: true, reason: 'Could not extract intent' });
     }
 
     // Heuristic: skip for purely technical prompts
-    if (!shouldSearchMemory(intent)) {
-      return { success: true, skipped: true, reason: 'Heuristic: technical-only prompt, memory search skipped' };
+    const gate = searchGate(intent);
+    if (trace) trace.gate = gate;
+    if (!gate.search) {
+      return withTrace({ success: true, skipped: true, reason: 'Heuristic: technical-only prompt, memory search skipped' });
     }
 
     // Search memory — fetch more than needed, then filter
-    const results = await searchMemory(intent, {
+    const searchMinScore = CONFIG.minRelevanceScore * 0.8;  // relaxed initial filter
+    const found = await searchMemory(intent, {
       maxResults: CONFIG.maxResultsPerSearch || Math.max(CONFIG.searchTopK * 3, 10),
-      minScore: CONFIG.minRelevanceScore * 0.8,  // relaxed initial filter
-      memoryDir: CONFIG.memoryDir,
+      minScore: searchMinScore,
+      ...retrievalOptions(),
+      // Chat messages are natural language: quotes and dashes aren't operators
+      querySyntax: false,
+      // Snippets windowed around the matched words, as long as one may be injected
+      snippetChars: CONFIG.maxSnippetCharsEach,
+      highlight: CONFIG.highlightMatches,
+      explain,
     });
-
-    // Apply strict threshold
-    const relevant = results.filter(r => r.score >= CONFIG.minRelevanceScore);
-    const chunks = relevant.slice(0, CONFIG.searchTopK);
+    const results = explain ? found.results : found;
+
+    // Apply strict threshold (on relevance; recency and priority only reorder).
+    // Search already skips private files; never inject one regardless.
+    const allowed = results.filter(r => !isPrivate(r.meta));
+    const relevant = allowed.filter(r => (r.relevance ?? r.score) >= CONFIG.minRelevanceScore);
+    const excluded = new Set(exclude);
+    const fresh = relevant.filter(r => !excluded.has(chunkKey(r)));
+    const chunks = fresh.slice(0, CONFIG.searchTopK);
+    if (trace) {
+      Object.assign(trace, {
+        searchMinScore,
+        minRelevanceScore: CONFIG.minRelevanceScore,
+        searchTopK: CONFIG.searchTopK,
+        search: found.explain,
+      });
+      markDropped(found.explain, results.filter(r => !allowed.includes(r)), 'private');
+      markDropped(found.explain, allowed.filter(r => !relevant.includes(r)), 'threshold');
+      markDropped(found.explain, relevant.filter(r => !fresh.includes(r)), 'alreadyInjected');
+      markDropped(found.explain, fresh.slice(CONFIG.searchTopK), 'topK');
+    }
 
     if (chunks.length === 0) {
-      return {
+      return withTrace({
         success: true,
         found: results.length,
         injected: 0,
-        reason: 'No relevant memory above threshold',
-      };
+        reason: relevant.length ? 'Relevant memory already injected this session' : 'No relevant memory above threshold',
+        topic: { intent, chunks: [] },
+      });
     }
 
     // Inject into daily memory file
-    const injected = await injectMemoryChunks(sessionKey, intent, chunks);
+    const budget = {};
+    const injected = await injectMemoryChunks(sessionKey, intent, chunks, { budget, note, injection });
+    if (trace) {
+      trace.injection = budget;
+      // No budget report: the section was never built
+      if (budget.included === undefined) markDropped(found.explain, chunks, 'alreadyInjected');
+      else markDropped(found.explain, chunks.slice(budget.included), 'budget');
+    }
 
-    return {
+    return withTrace({
       success: true,
       found: relevant.length,
       injected,
+      tokens: injected ? budget.usedTokens : 0,
       chunks: chunks.map(c => ({
         path: c.path,
+        chunkIdx: c.chunkIdx,
+        citation: c.citation,
         score: c.score,
+        retrievers: c.retrievers,
         preview: (c.snippet || '').slice(0, 120) + '...',
       })),
-    };
+      topic: { intent, chunks: chunks.slice(0, injected).map(chunkKey) },
+    });
   } catch (error) {
     log('error', '[adaptive-memory] Hook error:', error);
 
-    if (CONFIG.fallbackBehavior === 'load_all_memory') {
-      return { success: false, error: error.message, fallback: 'loaded_all_memory' };
+    if (injection === 1 && CONFIG.fallbackBehavior === 'load_all_memory') {
+      return withTrace(await loadAllMemoryFallback(sessionKey, extractIntent(message), error, trace));
     }
-    return { success: false, error: error.message, fallback: 'continue_without_context' };
+    return withTrace({ success: false, error: error.message, fallback: 'continue_without_context' });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Topic shift
+// ---------------------------------------------------------------------------
+
+/** How a session's record names an injected chunk. */
+function chunkKey(c) {
+  return `${c.path}#${c.chunkIdx}`;
+}
+
+/**
+ * Whether a session may get another section, checked before its latest
+ * message is even read. `topics` is the session's record, oldest first:
+ * [{ at, intent, chunks }] for every search that ran (`chunks` empty when
+ * nothing was injected). `settings` defaults to the loaded config.
+ * @returns {{ due: boolean, reason?: string }}
+ */
+function reinjectionDue(topics = [], now = Date.now(), settings = CONFIG) {
+  if (!settings.enableAdaptiveMemory || !settings.reinjectOnTopicShift) {
+    return { due: false, reason: 'Topic-shift re-injection disabled' };
+  }
+  const sections = topics.filter(t => t.chunks && t.chunks.length);
+  if (sections.length >= settings.maxInjectionsPerSession) {
+    return { due: false, reason: `Session already has ${sections.length} injected sections (maxInjectionsPerSession)` };
+  }
+  // The cooldown runs from the last section written; a search that found
+  // nothing leaves the session free to try again
+  const last = sections[sections.length - 1];
+  const wait = last ? last.at + settings.reinjectCooldownMinutes * 60 * 1000 - now : 0;
+  if (wait > 0) return { due: false, reason: `Cooldown: ${Math.ceil(wait / 1000)}s left` };
+  return { due: true };
+}
+
+/**
+ * Similarity of two intents, 0..1: Jaccard overlap of their stemmed keywords
+ * ('keywords'), or the cosine similarity of their embeddings ('vector', with
+ * the configured provider). A text without keywords has no topic to shift to
+ * and counts as the same.
+ */
+async function topicSimilarity(a, b, method = CONFIG.topicShiftMethod) {
+  if (method === 'vector') {
+    const provider = resolveEmbeddingProvider(CONFIG.embeddingProvider, CONFIG.embeddingOptions);
+    const [va, vb] = await provider.embed([a, b]);
+    return Math.max(0, cosineSimilarity(va, vb));
+  }
+  const options = { languages: CONFIG.languages, foldDiacritics: CONFIG.foldDiacritics, stemming: CONFIG.stemming };
+  const terms = (s) => new Set(queryTerms(extractKeywords(s, options), options));
+  const ta = terms(a);
+  const tb = terms(b);
+  if (!ta.size || !tb.size) return 1;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared += 1;
+  return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * Mid-session hook: called with the latest user message of a session whose
+ * first message was handled, once reinjectionDue(topics) allows. If the
+ * message is below topicShiftThreshold similar to every topic that injected
+ * something, searches and injects a new numbered section, leaving out chunks
+ * already in `topics`; with no such topic yet (the first message found
+ * nothing), any message is searched. The result is onFirstMessage's plus
+ * `similarity` (the closest earlier topic, null if there was none to compare);
+ * `skipped` with a reason when the topic did not shift.
+ */
+async function onTopicShift({ sessionKey, message, topics = [], explain = false }) {
+  const intent = extractIntent(message);
+  if (!intent) return { success: true, skipped: true, reason: 'Could not extract intent' };
+
+  const earlier = topics.filter(t => t.intent && t.chunks && t.chunks.length);
+  let similarity = null;
+  for (const t of earlier) {
+    similarity = Math.max(similarity ?? 0, await topicSimilarity(intent, t.intent));
+  }
+  if (similarity !== null && similarity >= CONFIG.topicShiftThreshold) {
+    return { success: true, skipped: true, reason: 'No topic shift', similarity };
   }
+
+  const result = await searchAndInject({
+    sessionKey,
+    message,
+    explain,
+    injection: topics.length + 1,
+    exclude: topics.flatMap(t => t.chunks || []),
+    note: similarity === null
+      ? 'No memory injected earlier this session'
+      : `Topic shift: ${(similarity * 100).toFixed(0)}% similar to earlier queries this session`,
+  });
+  return { ...result, similarity };
 }
 
 // ---------------------------------------------------------------------------
@@ -234,10 +526,13 @@ async function onFirstMessage({ sessionKey, message, context = {} }) {
 
 /**
  * Inject memory chunks into the daily memory file.
- * Uses a session-specific HTML comment marker for per-session de-dupe.
+ * Uses a session-specific HTML comment marker for per-session de-dupe; a
+ * session's later sections (topic shifts) are numbered: "session=<key>#2".
  * Uses atomic write (temp file + rename) to prevent corruption.
+ * `budget`, if given, receives the injection budget report and `note` is
+ * shown under the heading (see buildInjectionSection).
  */
-async function injectMemoryChunks(sessionKey, intent, chunks) {
+async function injectMemoryChunks(sessionKey, intent, chunks, { budget = null, note = null, injection = 1 } = {}) {
   if (!chunks || chunks.length === 0) return 0;
 
   const today = new Date().toISOString().slice(0, 10);
@@ -248,10 +543,15 @@ async function injectMemoryChunks(sessionKey, intent, chunks) {
   const existing = await readFileIfExists(memoryPath);
 
   // Per-session de-dupe: check for session-specific marker
-  const marker = `<!-- adaptive-memory:session=${escapeMarker(sessionKey)} -->`;
+  const marker = `<!-- adaptive-memory:session=${escapeMarker(sessionKey)}${injection > 1 ? `#${injection}` : ''} -->`;
   if (existing.includes(marker)) return 0;
 
-  const section = buildInjectionSection({ marker, sessionKey, intent, chunks });
+  const report = budget || {};
+  const section = buildInjectionSection({ marker, sessionKey, intent, chunks, budget: report, note });
+  if (report.included === 0) {
+    log('info', `[adaptive-memory] Nothing fit maxInjectedTokens (${report.maxTokens}); not injecting (session: ${sessionKey})`);
+    return 0;
+  }
 
   // Atomic write: temp file + rename
   const next = existing ? `${existing}\n\n${section}` : section;
@@ -259,45 +559,186 @@ async function injectMemoryChunks(sessionKey, intent, chunks) {
   await fsp.writeFile(tmp, next, 'utf8');
   await fsp.rename(tmp, memoryPath);
 
-  log('info', `[adaptive-memory] Injected ${chunks.length} chunks into ${memoryPath} (session: ${sessionKey})`);
-  return chunks.length;
+  log('info', `[adaptive-memory] Injected ${report.included} chunks into ${memoryPath} (session: ${sessionKey})`);
+  return report.included;
 }
 
 /**
  * Build the injection section with budget enforcement.
- * Stops adding snippets once the total character budget is exhausted.
+ * Stops adding snippets once the character budget (snippets) or, when
+ * `maxTokens` is set, the token budget (the whole section, as counted by the
+ * configured estimator) is exhausted. A snippet that does not fit whole is
+ * cut after its last sentence that does, else its last whole word.
+ * An optional `budget` object receives { maxChars, usedChars, maxTokens,
+ * usedTokens, estimator, included, truncated }: how many chunks made it in
+ * and which snippets were cut.
+ * Chunks loaded by the fallback carry `fallback` (why they were chosen,
+ * shown instead of a relevance) and may raise their own `maxChars`.
  */
-function buildInjectionSection({ marker, sessionKey, intent, chunks }) {
+function buildInjectionSection({ marker, sessionKey, intent, chunks, budget: report = null, note = null, maxTokens = CONFIG.maxInjectedTokens }) {
   const ts = new Date().toISOString();
+  const estimator = tokenEstimator();
+  // Each line costs its own tokens plus the newline joining it
+  const tokensOf = (lines) => lines.reduce((n, line) => n + estimator.count(line) + 1, 0);
   let budget = CONFIG.maxInjectedCharsTotal;
+  const truncated = [];
+  let included = 0;
 
   const lines = [
     marker,
     '## Adaptive Memory Context (auto-injected)',
     `*Loaded at ${ts} | session: ${sessionKey}*`,
+    ...(note ? [`*${note}*`] : []),
     '',
     `Query: ${intent}`,
     '',
   ];
+  const footer = ['---', '<!-- adaptive-memory:session:end -->'];
+  let tokens = tokensOf(lines) + tokensOf(footer);
 
   for (let i = 0; i < chunks.length; i++) {
     const c = chunks[i];
-    const src = path.basename(c.path || 'unknown');
-    lines.push(`### ${i + 1}. ${src} (relevance: ${(c.score * 100).toFixed(0)}%)`, '');
-
-    const snippet = String(c.snippet || '').trim().slice(0, CONFIG.maxSnippetCharsEach);
-    const take = snippet.slice(0, Math.max(0, budget));
+    const src = c.citation || path.basename(c.path || 'unknown');
+    const why = c.fallback ? `fallback: ${c.fallback}` : `relevance: ${((c.relevance ?? c.score) * 100).toFixed(0)}%`;
+    const heading = [`### ${i + 1}. ${src} (${why})`, ''];
+
+    // Tokens left for the snippet once its heading and trailing blank line are in
+    const room = maxTokens ? maxTokens - tokens - tokensOf(heading) - 2 : Infinity;
+    if (room <= 0) break;
+    const full = String(c.snippet || '').trim();
+    const maxChars = Math.min(c.maxChars || CONFIG.maxSnippetCharsEach, budget);
+    const take = cutAtBoundary(full, (t) => t.length <= maxChars && (room === Infinity || estimator.count(t) <= room));
+    if (full && !take) break;
+
+    lines.push(...heading);
+    if (take) lines.push(take, '');
+    tokens += tokensOf(heading) + (take ? tokensOf([take, '']) : 0);
     budget -= take.length;
+    included += 1;
+    if (take !== full) truncated.push(src);
 
-    if (take) lines.push(take, '');
     if (budget <= 0) break;
   }
 
-  lines.push('---');
-  lines.push('<!-- adaptive-memory:session:end -->');
+  if (report) {
+    Object.assign(report, {
+      maxChars: CONFIG.maxInjectedCharsTotal,
+      usedChars: CONFIG.maxInjectedCharsTotal - Math.max(0, budget),
+      maxTokens: maxTokens || null,
+      usedTokens: tokens,
+      estimator: estimator.id,
+      included,
+      truncated,
+    });
+  }
+
+  lines.push(...footer);
   return lines.join('\n');
 }
 
+// ---------------------------------------------------------------------------
+// Fallback
+// ---------------------------------------------------------------------------
+
+// Recent memory files read at most by the fallback (the budget usually stops it sooner)
+const FALLBACK_MAX_FILES = 50;
+
+/**
+ * Memory for the `load_all_memory` fallback, in injection order: the core
+ * MEMORY.md and memoryDir/session-digest.md whole (up to the total budget),
+ * then memory files newest first, as search would see them (extensions,
+ * ignore rules, private files skipped). Stops reading once the snippets
+ * gathered fill maxInjectedCharsTotal.
+ */
+async function collectFallbackChunks() {
+  const budget = CONFIG.maxInjectedCharsTotal;
+  const chunks = [];
+  const seen = new Set();
+  let chars = 0;
+  const add = (chunk) => {
+    const snippet = String(chunk.snippet || '').trim();
+    if (!snippet) return;
+    chunks.push({ ...chunk, snippet });
+    seen.add(chunk.path);
+    chars += Math.min(snippet.length, chunk.maxChars || CONFIG.maxSnippetCharsEach);
+  };
+
+  const corePath = resolveCoreMemoryPath();
+  const digestPath = path.join(CONFIG.memoryDir, 'session-digest.md');
+  for (const [p, why] of [[corePath, 'core memory'], [digestPath, 'session digest']]) {
+    try {
+      const { text, meta } = extractSource(await readFileIfExists(p), p);
+      if (!isPrivate(meta)) add({ path: p, citation: path.basename(p), snippet: text, fallback: why, maxChars: budget });
+    } catch (e) {
+      log('warn', `[adaptive-memory] Fallback could not read ${p}:`, e.message);
+    }
+  }
+
+  const recent = [];
+  for (const root of resolveMemoryRoots(CONFIG.memoryRoots, CONFIG.memoryDir)) {
+    let files = [];
+    try {
+      files = await getMemoryFiles(root.path, { extensions: CONFIG.extensions, ignore: CONFIG.ignore });
+    } catch (e) {
+      log('warn', `[adaptive-memory] Fallback could not list ${root.path}:`, e.message);
+    }
+    for (const p of files) {
+      try {
+        recent.push({ p, root, mtimeMs: (await fsp.stat(p)).mtimeMs });
+      } catch {}
+    }
+  }
+  recent.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  for (const { p, root } of recent.slice(0, FALLBACK_MAX_FILES)) {
+    if (chars >= budget) break;
+    if (seen.has(p)) continue;
+    try {
+      const { text, meta } = extractSource(await fsp.readFile(p, 'utf8'), p);
+      if (isPrivate(meta)) continue;
+      const rel = path.relative(root.path, p).split(path.sep).join('/');
+      add({ path: p, citation: root.namespace ? `${root.namespace}:${rel}` : rel, snippet: text, fallback: 'recent' });
+    } catch {
+      // Unreadable or malformed: skip it, the fallback takes what it can
+    }
+  }
+  return chunks;
+}
+
+/**
+ * `fallbackBehavior: load_all_memory`: search failed, so inject memory chosen
+ * without it (see collectFallbackChunks) under the session's usual marker.
+ * Reports `loaded_all_memory` only if something was injected.
+ */
+async function loadAllMemoryFallback(sessionKey, intent, error, trace = null) {
+  try {
+    const chunks = await collectFallbackChunks();
+    const budget = {};
+    const injected = await injectMemoryChunks(sessionKey, intent || '(unavailable)', chunks, {
+      budget,
+      note: `Search failed (${error.message}); loaded core memory, session digest and recent files instead`,
+    });
+    if (trace) trace.injection = { ...budget, fallback: true };
+    if (injected === 0) {
+      let reason = 'Memory already injected for this session';
+      if (!chunks.length) reason = 'No memory to load';
+      else if (budget.included === 0) reason = 'No memory fit maxInjectedTokens';
+      return { success: false, error: error.message, fallback: 'continue_without_context', reason };
+    }
+    return {
+      success: false,
+      error: error.message,
+      fallback: 'loaded_all_memory',
+      injected,
+      tokens: budget.usedTokens,
+      chunks: chunks.slice(0, injected).map(c => ({ path: c.path, citation: c.citation, fallback: c.fallback })),
+    };
+  } catch (e) {
+    log('error', '[adaptive-memory] Fallback failed:', e);
+    return { success: false, error: error.message, fallbackError: e.message, fallback: 'continue_without_context' };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -355,7 +796,7 @@ function buildStartupDigestFromSections(sections) {
     const q = section.match(/^\s*Query:\s*(.+)$/m);
     if (q && q[1]) intents.push(q[1].trim());
 
-    for (const line of section.matchAll(/^###\s+\d+\.\s+(.+?)\s+\(relevance:/gm)) {
+    for (const line of section.matchAll(/^###\s+\d+\.\s+(.+?)\s+\((?:relevance|fallback):/gm)) {
       const src = line[1].trim();
       srcCount.set(src, (srcCount.get(src) || 0) + 1);
     }
@@ -569,7 +1010,17 @@ async function refreshSessionDigest(options = {}) {
 }
 
 async function prewarmAdaptiveCache() {
-  return warmSearchCache({ memoryDir: CONFIG.memoryDir });
+  return warmSearchCache(retrievalOptions());
+}
+
+/**
+ * Start watch mode (see startWatch in search.js) when `watchMemory` is on:
+ * first-message searches are then served from an in-memory index.
+ * @returns {Promise<object|null>} Watch stats, or null when disabled
+ */
+async function startMemoryWatcher() {
+  if (!CONFIG.watchMemory) return null;
+  return startWatch({ ...retrievalOptions(), debounceMs: CONFIG.watchDebounceMs });
 }
 
 function getWorkspaceRootFromMemoryDir(memoryDir) {
@@ -755,14 +1206,21 @@ module.exports = {
   // Exported for unit testing
   _internals: {
     extractIntent,
+    searchGate,
     shouldSearchMemory,
+    reinjectionDue,
+    topicSimilarity,
+    onTopicShift,
     buildInjectionSection,
     escapeMarker,
+    collectFallbackChunks,
+    loadAllMemoryFallback,
     loadConfig,
     DEFAULTS,
     compactDailyMemoryForStartup,
     refreshSessionDigest,
     prewarmAdaptiveCache,
+    startMemoryWatcher,
     getMemoryMaintenanceSignals,
     appendMaintenancePromptToDaily,
     clearMaintenancePromptFromDaily,
@@ -776,12 +1234,15 @@ module.exports = {
 // ---------------------------------------------------------------------------
 
 if (require.main === module) {
-  const testMessage = process.argv[2] || 'What are my active projects?';
+  // Usage: node hook.js "message" [--explain]
+  const args = process.argv.slice(2);
+  const testMessage = args.filter(a => !a.startsWith('--')).join(' ') || 'What are my active projects?';
 
   onFirstMessage({
     sessionKey: `cli-test-${Date.now()}`,
     message: testMessage,
     context: {},
+    explain: args.includes('--explain'),
   }).then(result => {
     console.log('\nHook Result:');
     console.log(JSON.stringify(result, null, 2));
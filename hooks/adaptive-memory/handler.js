@@ -8,6 +8,8 @@ const STATE_PATH = path.join(os.homedir(), '.openclaw', 'adaptive-memory-first-m
 const SESSION_MARKERS_DIR = path.join(os.homedir(), '.openclaw', 'adaptive-memory-first-message-sessions');
 const MAINTENANCE_STATE_PATH = path.join(os.homedir(), '.openclaw', 'adaptive-memory-maintenance-state.json');
 const HISTORY_LIMIT = 12;
+// Least time between two reads of a session's history for a topic shift
+const TOPIC_CHECK_INTERVAL_MS = 60 * 1000;
 
 function loadState() {
   try {
@@ -45,11 +47,36 @@ function hasProcessedSession(sessionKey) {
   }
 }
 
-function markProcessedSession(sessionKey) {
+function readSessionMarker(sessionKey) {
+  try {
+    return JSON.parse(fs.readFileSync(markerPathForSession(sessionKey), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Topics searched so far in a session, oldest first:
+ * [{ at, intent, chunks: ["path#chunkIdx"] }] (see hook.js reinjectionDue).
+ */
+function readSessionTopics(sessionKey) {
+  const marker = readSessionMarker(sessionKey);
+  return Array.isArray(marker?.topics) ? marker.topics : [];
+}
+
+/**
+ * Mark the session processed, appending `topic` (the `topic` of a hook
+ * result that searched) to its record. `checked` records that its history
+ * was just read for a topic shift (see reinjectOnTopicShift).
+ */
+function markProcessedSession(sessionKey, topic = null, { checked = false } = {}) {
   ensureSessionMarkersDir();
   const markerPath = markerPathForSession(sessionKey);
+  const marker = readSessionMarker(sessionKey) || { sessionKey: String(sessionKey), processedAt: Date.now(), topics: [] };
+  if (topic) marker.topics = [...(marker.topics || []), { at: Date.now(), ...topic }];
+  if (checked) marker.checkedAt = Date.now();
   const tmp = `${markerPath}.tmp.${Date.now()}.${Math.random().toString(16).slice(2)}`;
-  fs.writeFileSync(tmp, JSON.stringify({ sessionKey: String(sessionKey), processedAt: Date.now() }), 'utf8');
+  fs.writeFileSync(tmp, JSON.stringify(marker), 'utf8');
   fs.renameSync(tmp, markerPath);
 }
 
@@ -172,10 +199,44 @@ function _legacyNoop() {
   ordering-safe history parsing to avoid shell injection and ordering bugs.
 */
 
+/**
+ * Mid-session: when config allows another section (reinjectOnTopicShift, the
+ * session cap and cooldown), let the hook compare the latest user message
+ * with the session's topics and re-inject memory if the topic moved on.
+ * History is read at most once per TOPIC_CHECK_INTERVAL_MS.
+ */
+async function reinjectOnTopicShift(hookModule, sessionKey) {
+  const reinjectionDue = hookModule?._internals?.reinjectionDue;
+  const onTopicShift = hookModule?._internals?.onTopicShift;
+  if (typeof reinjectionDue !== 'function' || typeof onTopicShift !== 'function') return;
+
+  const topics = readSessionTopics(sessionKey);
+  if (!reinjectionDue(topics).due) return;
+  const checkedAt = readSessionMarker(sessionKey)?.checkedAt || 0;
+  if (Date.now() - checkedAt < TOPIC_CHECK_INTERVAL_MS) return;
+  markProcessedSession(sessionKey, null, { checked: true });
+  const latestUser = getLatestUserMessage(sessionKey);
+  if (!latestUser) return;
+
+  try {
+    const result = await onTopicShift({ sessionKey, message: latestUser, topics });
+    if (result?.topic) markProcessedSession(sessionKey, result.topic);
+    if (result?.injected) {
+      console.log('[adaptive-memory] topic shift re-injection:', JSON.stringify({
+        injected: result.injected,
+        similarity: result.similarity,
+        intent: result.topic.intent,
+      }));
+    }
+  } catch (e) {
+    console.warn('[adaptive-memory] topic shift re-injection failed:', e?.message || String(e));
+  }
+}
+
 /**
  * OpenClaw hook-pack adapter for adaptive memory.
- * Uses command events and runs exactly once per session.
- * Uses the first user message as the intent seed.
+ * Uses command events and runs once per session, with the first user
+ * message as the intent seed; later commands may re-inject on a topic shift.
  */
 async function adaptiveMemoryHandler(event) {
   if (!event) return;
@@ -184,16 +245,21 @@ async function adaptiveMemoryHandler(event) {
   const compactDailyMemoryForStartup = hookModule?._internals?.compactDailyMemoryForStartup;
   const refreshSessionDigest = hookModule?._internals?.refreshSessionDigest;
   const prewarmAdaptiveCache = hookModule?._internals?.prewarmAdaptiveCache;
+  const startMemoryWatcher = hookModule?._internals?.startMemoryWatcher;
   const getMemoryMaintenanceSignals = hookModule?._internals?.getMemoryMaintenanceSignals;
   const appendMaintenancePromptToDaily = hookModule?._internals?.appendMaintenancePromptToDaily;
   const optimizeCoreMemoryFiles = hookModule?._internals?.optimizeCoreMemoryFiles;
   const clearMaintenancePromptFromDaily = hookModule?._internals?.clearMaintenancePromptFromDaily;
   const maintenanceState = loadMaintenanceState();
 
-  // Startup maintenance: prewarm search cache + refresh cross-session digest.
+  // Startup maintenance: start the memory watcher (which warms the cache) or
+  // prewarm the search cache, then refresh the cross-session digest.
   if (event.type === 'gateway:startup') {
     try {
-      if (typeof prewarmAdaptiveCache === 'function') {
+      const watch = typeof startMemoryWatcher === 'function' ? await startMemoryWatcher() : null;
+      if (watch) {
+        console.log('[adaptive-memory] memory watcher:', JSON.stringify(watch));
+      } else if (typeof prewarmAdaptiveCache === 'function') {
         const warm = await prewarmAdaptiveCache();
         console.log('[adaptive-memory] cache warmup:', JSON.stringify(warm));
       }
@@ -286,14 +352,18 @@ async function adaptiveMemoryHandler(event) {
     }
   }
 
-  if (hasProcessedSession(event.sessionKey)) return;
+  if (hasProcessedSession(event.sessionKey)) {
+    await reinjectOnTopicShift(hookModule, event.sessionKey);
+    return;
+  }
 
   const firstUserMessage = getFirstUserMessage(event.sessionKey);
   if (!firstUserMessage) return;
 
+  let result = null;
   try {
     if (typeof hookModule?.handler === 'function') {
-      await hookModule.handler({
+      result = await hookModule.handler({
         sessionKey: event.sessionKey,
         message: firstUserMessage,
         context: {},
@@ -302,7 +372,8 @@ async function adaptiveMemoryHandler(event) {
   } finally {
     // Mark as processed whether or not injection found matches:
     // semantic target is "run once per session after first user request is available".
-    markProcessedSession(event.sessionKey);
+    // The searched topic is recorded for topic-shift re-injection.
+    markProcessedSession(event.sessionKey, result?.topic || null);
   }
 }
 
@@ -314,5 +385,6 @@ module.exports._internals = {
   sortByTimestampIfPresent,
   hasProcessedSession,
   markProcessedSession,
+  readSessionTopics,
   clearProcessedSession,
 };
@@ -0,0 +1,189 @@
+/**
+ * Adaptive Memory Ignore Rules
+ *
+ * Keeps files out of the search corpus with gitignore-style patterns, read
+ * from `.memoryignore` at the top of memoryDir and from the `ignore` config
+ * option:
+ *
+ *   # scratch and drafts are never injected
+ *   scratch/
+ *   templates/**
+ *   *.draft.md
+ *   !drafts/keep.md
+ *
+ * Semantics follow gitignore: blank lines and "#" comments are skipped; a
+ * leading "!" re-includes what an earlier pattern excluded; a trailing "/"
+ * matches directories only; a pattern with a "/" before its end is anchored
+ * to memoryDir, otherwise it matches a name at any depth; "*", "?" and
+ * "[a-z]" do not cross "/", "**" spans directories. The last matching
+ * pattern wins, and a file inside an excluded directory cannot be
+ * re-included. `ignore` patterns come first, so `.memoryignore` can override
+ * them. Only the top-level `.memoryignore` is read.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+
+const IGNORE_FILE = '.memoryignore';
+
+// ---------------------------------------------------------------------------
+// Patterns
+// ---------------------------------------------------------------------------
+
+function escapeRegexChar(c) {
+  return /[.*+?^${}()|[\]\\/]/.test(c) ? `\\${c}` : c;
+}
+
+/**
+ * Translate one glob (no "!" or trailing "/") into a regex source.
+ */
+function globToRegexSource(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length;
+        if (atStart && atEnd) {
+          out += '.*';
+          i += 1;
+          continue;
+        }
+        if (atStart && glob[i + 2] === '/') {
+          // "**/" — zero or more directories
+          out += '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+      }
+      while (glob[i + 1] === '*') i += 1;
+      out += '[^/]*';
+    } else if (c === '?') {
+      out += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close < 0) {
+        out += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      out += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else if (c === '\\' && i + 1 < glob.length) {
+      out += escapeRegexChar(glob[i + 1]);
+      i += 1;
+    } else {
+      out += escapeRegexChar(c);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse ignore file text into rules.
+ * @param {string} text - One pattern per line
+ * @param {string} source - Where the patterns came from, for explanations
+ * @returns {Array<{ pattern, negate, dirOnly, regex, source, line }>}
+ */
+function parseIgnorePatterns(text, source = IGNORE_FILE) {
+  const rules = [];
+  String(text || '').split('\n').forEach((raw, i) => {
+    let line = raw.replace(/\r$/, '');
+    if (!line.trim() || line.startsWith('#')) return;
+    // Trailing spaces are dropped unless escaped
+    line = line.replace(/(?<!\\)\s+$/, '');
+
+    const pattern = line;
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.replace(/\/+$/, '');
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) return;
+
+    const prefix = anchored ? '^' : '^(?:.*/)?';
+    rules.push({
+      pattern,
+      negate,
+      dirOnly,
+      regex: new RegExp(`${prefix}${globToRegexSource(line)}$`),
+      source,
+      line: i + 1,
+    });
+  });
+  return rules;
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+function lastMatch(rules, relPath, isDir) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.regex.test(relPath)) return rule;
+  }
+  return null;
+}
+
+/**
+ * The rule that decides whether a path is ignored.
+ * @param {Array} rules - From parseIgnorePatterns / loadIgnoreRules
+ * @param {string} relPath - Path relative to memoryDir, "/"-separated
+ * @param {boolean} isDir
+ * @returns {{ ignored: boolean, rule: object|null }} `rule` is the excluding
+ *   pattern, the "!" pattern that re-included the path, or null if none matched
+ */
+function matchIgnore(rules, relPath, isDir = false) {
+  if (!rules.length) return { ignored: false, rule: null };
+  const parts = relPath.split('/').filter(Boolean);
+  for (let i = 1; i < parts.length; i++) {
+    const rule = lastMatch(rules, parts.slice(0, i).join('/'), true);
+    if (rule && !rule.negate) return { ignored: true, rule };
+  }
+  const rule = lastMatch(rules, parts.join('/'), isDir);
+  return { ignored: Boolean(rule && !rule.negate), rule };
+}
+
+/**
+ * Rules from the `ignore` option followed by memoryDir/.memoryignore
+ * (a missing file is not an error).
+ */
+async function loadIgnoreRules(memoryDir, patterns = []) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const rules = parseIgnorePatterns(list.filter((p) => typeof p === 'string').join('\n'), 'ignore option');
+  try {
+    const text = await fsp.readFile(path.join(memoryDir, IGNORE_FILE), 'utf8');
+    rules.push(...parseIgnorePatterns(text, IGNORE_FILE));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`[adaptive-memory] Cannot read ${IGNORE_FILE}:`, e.message);
+    }
+  }
+  return rules;
+}
+
+/**
+ * "<source>:<line>: <pattern>" for a rule, as shown in explanations.
+ */
+function describeRule(rule) {
+  return `${rule.source}:${rule.line}: ${rule.pattern}`;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  parseIgnorePatterns,
+  matchIgnore,
+  loadIgnoreRules,
+  describeRule,
+};
@@ -8,9 +8,22 @@
  *  - Search finds relevant chunks from test memory
  *  - Hook produces valid results
  *  - Per-session de-dupe works (second call same session = 0 injected)
+ *  - load_all_memory fallback: core memory, digest and recent files injected,
+ *    estimated tokens reported
  *  - Different sessions on same day each get their own injection
+ *  - Topic shift: a numbered section for the new topic, no chunk repeated, a
+ *   first message that found nothing retried on the next one
  *  - Budget enforcement in injected output
- *  - Cache hits (second search for same files is faster / doesn't re-read)
+ *  - Cache hits (second search for same files is faster / doesn't re-read),
+ *    chunks sharded per file behind the cache manifest
+ *  - Inverted index written next to the cache and updated per changed file
+ *  - Text, JSON and HTML sources indexed per `extensions`
+ *  - Query-aware snippets: matched sentence and heading kept, highlighting
+ *  - .memoryignore exclusions applied to search and the index
+ *  - Several memory roots: weights, namespaced citations, one cache per root
+ *  - Watch mode: searches served from memory, changes applied before a search
+ *  - Concurrent processes writing one cache under its lock file
+ *  - Explain mode: search traces and the hook's gate and thresholds
  *  - Tech-prompt heuristic skips correctly
  */
 
@@ -18,6 +31,14 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 const os = require('os');
+
+const TEST_DIR = path.join(os.tmpdir(), `adaptive-memory-integ-${Date.now()}`);
+const CACHE_PATH = path.join(TEST_DIR, '.cache.json');
+// Set before hook.js loads its config, so the hook writes under TEST_DIR
+process.env.OPENCLAW_MEMORY_DIR = path.join(TEST_DIR, 'memory-output');
+// The hook searches without a cachePath: keep its default cache out of ~/.openclaw
+process.env.HOME = path.join(TEST_DIR, 'home');
+
 const { searchMemory } = require('./search.js');
 const hook = require('./hook.js');
 
@@ -61,10 +82,6 @@ async function test(name, fn) {
 // Setup: temp memory directory + files
 // ---------------------------------------------------------------------------
 
-const TEST_DIR = path.join(os.tmpdir(), `adaptive-memory-integ-${Date.now()}`);
-const CACHE_PATH = path.join(TEST_DIR, '.cache.json');
-process.env.OPENCLAW_MEMORY_DIR = path.join(TEST_DIR, 'memory-output');
-
 const TEST_FILES = {
   'projects.md': `# Projects
 
@@ -110,6 +127,13 @@ const TEST_FILES = {
 - beacon: Multiplayer game
 - commerce-theme: ecommerce theming
 - comet-chat: RAG support chatbot
+`,
+
+  'møter.md': `# Møter
+
+## Innkjøp
+- Møte med leverandør om kjøp av nye skjermer
+- Beslutning: bestille før påske
 `,
 };
 
@@ -200,6 +224,441 @@ async function run() {
     // If we get here without an exception, the test passes
   });
 
+  await test('vector mode finds related wording without shared keywords', async () => {
+    const results = await searchMemory('chatbots for customer support', {
+      memoryDir: TEST_DIR, maxResults: 3, minScore: 0.1, cachePath: CACHE_PATH, mode: 'vector',
+    });
+    if (results.length === 0) throw new Error('no vector results');
+    if (!results.some(r => r.snippet.includes('RAG chatbot'))) {
+      throw new Error('expected the RAG chatbot chunk among vector results');
+    }
+    if (!fs.existsSync(CACHE_PATH.replace(/\.json$/, '.vectors.json'))) {
+      throw new Error('vector store not written next to the cache');
+    }
+  });
+
+  await test('hybrid mode returns keyword and vector hits', async () => {
+    const results = await searchMemory('Project Atlas web app', {
+      memoryDir: TEST_DIR, maxResults: 5, minScore: 0.1, cachePath: CACHE_PATH, mode: 'hybrid',
+    });
+    const atlas = results.find(r => r.snippet.includes('Project Atlas'));
+    if (!atlas) throw new Error('expected Project Atlas');
+    if (!atlas.retrievers.includes('keyword') || !atlas.retrievers.includes('vector')) {
+      throw new Error(`expected both retrievers to match, got ${atlas.retrievers}`);
+    }
+    if (results.some(r => r.score < 0 || r.score > 1)) throw new Error('fused score outside 0..1');
+  });
+
+  await test('hybrid rrf fusion keeps results ordered by fused score', async () => {
+    const results = await searchMemory('OpenClaw memory agent', {
+      memoryDir: TEST_DIR, maxResults: 5, minScore: 0.1, cachePath: CACHE_PATH,
+      mode: 'hybrid', hybridFusion: 'rrf',
+    });
+    if (results.length === 0) throw new Error('no rrf results');
+    for (let i = 1; i < results.length; i++) {
+      if (results[i].score > results[i - 1].score) throw new Error('rrf results not sorted');
+    }
+  });
+
+  await test('matches non-ASCII words and folds diacritics on request', async () => {
+    const exact = await searchMemory('kjøp møte', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH, languages: ['no'],
+    });
+    if (!exact.some(r => r.path.endsWith('møter.md'))) throw new Error('Norwegian note not found');
+
+    const unfolded = await searchMemory('kjop mote', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (unfolded.some(r => r.path.endsWith('møter.md'))) throw new Error('matched without folding');
+
+    const folded = await searchMemory('kjop mote', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH, foldDiacritics: true,
+    });
+    if (!folded.some(r => r.path.endsWith('møter.md'))) throw new Error('folded query missed the note');
+  });
+
+  await test('stemming, when turned on, matches inflected forms and reports the words matched', async () => {
+    const results = await searchMemory('improving stability', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH, stemming: true,
+    });
+    const beacon = results.find(r => r.snippet.includes('Project Beacon'));
+    if (!beacon) throw new Error('stemmed query missed Project Beacon');
+    if (!beacon.matchedWords.includes('improvements')) {
+      throw new Error(`matchedWords: ${JSON.stringify(beacon.matchedWords)}`);
+    }
+
+    const exact = await searchMemory('improving stability', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (exact.some(r => r.snippet.includes('Project Beacon'))) throw new Error('matched with stemming off by default');
+  });
+
+  await test('fuzzy matching tolerates typos when turned on', async () => {
+    const results = await searchMemory('beacn multiplayr', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH, fuzzyMatching: true,
+    });
+    const beacon = results.find(r => r.snippet.includes('Project Beacon'));
+    if (!beacon) throw new Error('typo query missed Project Beacon');
+    if (!beacon.fuzzyMatches.some(f => f.keyword === 'beacn' && f.term === 'beacon')) {
+      throw new Error(`fuzzyMatches: ${JSON.stringify(beacon.fuzzyMatches)}`);
+    }
+    if (!beacon.matchedWords.includes('Beacon')) throw new Error('matchedWords missing Beacon');
+
+    const exact = await searchMemory('beacn multiplayr', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (exact.length) throw new Error('matched a typo with fuzzyMatching off by default');
+  });
+
+  await test('aliases file expands queries and is reloaded when edited', async () => {
+    const aliasesPath = path.join(TEST_DIR, 'aliases.md');
+    fs.writeFileSync(aliasesPath, '# Aliases\n- Comet: helpdesk assistant\n', 'utf8');
+    try {
+      const results = await searchMemory('helpdesk assistant status', {
+        memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+      });
+      const comet = results.find(r => r.snippet.includes('Project Comet'));
+      if (!comet) throw new Error('alias did not reach Project Comet');
+      if (!comet.aliasMatches.some(a => a.keyword === 'helpdesk assistant' && a.alias === 'Comet')) {
+        throw new Error(`aliasMatches: ${JSON.stringify(comet.aliasMatches)}`);
+      }
+      if (results.some(r => r.path === aliasesPath)) throw new Error('aliases file returned as a result');
+
+      fs.writeFileSync(aliasesPath, '# Aliases\n- Beacon: arena title\n', 'utf8');
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(aliasesPath, future, future);
+      const edited = await searchMemory('arena title', {
+        memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+      });
+      if (!edited.some(r => r.snippet.includes('Project Beacon'))) throw new Error('edited aliases not reloaded');
+    } finally {
+      fs.unlinkSync(aliasesPath);
+    }
+  });
+
+  await test('query operators filter results', async () => {
+    const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+    const all = await searchMemory('node.js', opts);
+    if (!all.some(r => r.path.endsWith('infrastructure.md'))) throw new Error('baseline missing infrastructure.md');
+
+    const onlyProjects = await searchMemory('node.js file:projects', opts);
+    if (!onlyProjects.length || onlyProjects.some(r => !r.path.endsWith('projects.md'))) {
+      throw new Error('file: filter not applied');
+    }
+
+    const noGame = await searchMemory('node.js -multiplayer', opts);
+    if (noGame.some(r => /multiplayer/i.test(r.snippet))) throw new Error('excluded term still present');
+
+    const phrase = await searchMemory('"multiplayer game" +beacon', opts);
+    if (!phrase.length || phrase.some(r => !/multiplayer game/i.test(r.snippet) || !/beacon/i.test(r.snippet))) {
+      throw new Error('phrase/required not enforced');
+    }
+
+    const literal = await searchMemory('node.js -multiplayer', { ...opts, querySyntax: false });
+    if (literal.length < noGame.length) throw new Error('querySyntax: false should not filter');
+
+    // A phrase ending a sentence, and one written with a hyphen
+    const notePath = path.join(TEST_DIR, 'rollout.md');
+    fs.writeFileSync(notePath, '# Rollout\n\nShipster is deploying the new version. The deploy-pipeline runs nightly.\n', 'utf8');
+    try {
+      const ending = await searchMemory('"new version" shipster', opts);
+      if (!ending.some(r => r.path.endsWith('rollout.md'))) throw new Error('phrase before a full stop not matched');
+      const hyphen = await searchMemory('"deploy pipeline" shipster', opts);
+      if (!hyphen.some(r => r.path.endsWith('rollout.md'))) throw new Error('hyphenated phrase not matched');
+    } finally {
+      fs.unlinkSync(notePath);
+    }
+  });
+
+  await test('recency weight ranks newer dated sections first', async () => {
+    const notePath = path.join(TEST_DIR, 'pricing.md');
+    fs.writeFileSync(notePath, [
+      '# Pricing',
+      '',
+      '## 2024-01-10',
+      'Pricing decision: subscription tier at 10 per month.',
+      '',
+      '## 2026-09-14',
+      'Pricing decision revised: subscription tier at 12 per month.',
+      '',
+    ].join('\n'), 'utf8');
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH, now: Date.UTC(2026, 9, 1) };
+      const flat = await searchMemory('pricing decision subscription', opts);
+      const recent = await searchMemory('pricing decision subscription', {
+        ...opts, recencyWeight: 0.6, recencyHalfLifeDays: 60,
+      });
+      const dated = (rs) => rs.filter(r => r.path === notePath && /## \d{4}-/.test(r.snippet));
+      if (dated(recent).length !== 2) throw new Error('both dated sections should stay findable');
+      if (!dated(recent)[0].snippet.includes('2026-09-14')) throw new Error('newer section not ranked first');
+      const old = dated(recent)[1];
+      if (!(old.score < old.relevance)) throw new Error('old section not decayed');
+      if (dated(flat).some(r => r.score !== r.relevance)) throw new Error('decay applied with recencyWeight 0');
+    } finally {
+      fs.unlinkSync(notePath);
+    }
+  });
+
+  await test('frontmatter is stripped and drives tag, priority and privacy', async () => {
+    const write = (name, lines) => fs.writeFileSync(path.join(TEST_DIR, name), lines.join('\n'), 'utf8');
+    write('billing.md', ['---', 'tags: [billing]', 'priority: low', '---', '# Billing', 'Invoice runbook: refunds go through the ledger.']);
+    write('finance.md', ['---', 'tags: finance', 'priority: high', '---', '# Finance', 'Invoice runbook: refunds go through the ledger.']);
+    write('secret.md', ['---', 'private: true', '---', '# Secret', 'Invoice runbook: refunds go through the ledger.']);
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+      const all = await searchMemory('invoice runbook refunds ledger', opts);
+      const names = all.map(r => path.basename(r.path));
+      if (names.includes('secret.md')) throw new Error('private file returned');
+      if (names[0] !== 'finance.md' || !names.includes('billing.md')) throw new Error(`priority order wrong: ${names}`);
+      if (all.some(r => r.snippet.includes('tags:') || r.snippet.startsWith('---'))) throw new Error('frontmatter left in chunks');
+      if (all[0].meta.priority !== 'high') throw new Error('meta missing from result');
+      // The boost reorders; relevance stays the unboosted score and both stay in 0..1
+      const top = all[0];
+      if (top.scores.priority !== 1.25 || top.relevance !== top.scores.keyword) throw new Error('priority changed relevance');
+      if (top.relevance > 1 || top.score > 1) throw new Error(`score out of 0..1: ${top.score}`);
+
+      const tagged = await searchMemory('invoice runbook refunds ledger', { ...opts, tags: ['billing'] });
+      if (tagged.map(r => path.basename(r.path)).join() !== 'billing.md') throw new Error('tag filter not applied');
+      const withPrivate = await searchMemory('invoice runbook refunds ledger', { ...opts, includePrivate: true });
+      if (!withPrivate.some(r => r.path.endsWith('secret.md'))) throw new Error('includePrivate ignored');
+    } finally {
+      for (const name of ['billing.md', 'finance.md', 'secret.md']) fs.unlinkSync(path.join(TEST_DIR, name));
+    }
+  });
+
+  await test('diversity options drop copied notes and cap chunks per file', async () => {
+    const copy = '# Release\n\nShipster release checklist: run migrations, tag the build, notify support.\n';
+    fs.writeFileSync(path.join(TEST_DIR, 'release.md'), copy, 'utf8');
+    fs.writeFileSync(path.join(TEST_DIR, 'release-copy.md'), copy, 'utf8');
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+      const query = 'shipster release checklist migrations';
+      const plain = await searchMemory(query, opts);
+      const copies = (rs) => rs.filter(r => /release(-copy)?\.md$/.test(r.path) && r.snippet.includes('checklist'));
+      if (copies(plain).length !== 2) throw new Error('expected both copies without diversity');
+      const diverse = await searchMemory(query, { ...opts, duplicateThreshold: 0.8 });
+      if (copies(diverse).length !== 1) throw new Error('near-duplicate not suppressed');
+
+      const capped = await searchMemory('node.js project status focus', { ...opts, maxChunksPerFile: 1 });
+      const perFile = new Set(capped.map(r => r.path));
+      if (perFile.size !== capped.length) throw new Error('per-file cap not applied');
+    } finally {
+      fs.unlinkSync(path.join(TEST_DIR, 'release.md'));
+      fs.unlinkSync(path.join(TEST_DIR, 'release-copy.md'));
+    }
+  });
+
+  await test('results cite file, line range and heading trail', async () => {
+    const results = await searchMemory('beacon multiplayer game mechanics', { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH });
+    const beacon = results.find(r => r.path.endsWith('projects.md'));
+    if (!beacon) throw new Error('projects.md not found');
+    const expected = 'projects.md#L10-L13 (Projects › Active Projects (2026) › Project Beacon)';
+    if (beacon.citation !== expected) throw new Error(`citation: ${beacon.citation}`);
+    if (beacon.startLine !== 10 || beacon.endLine !== 13) throw new Error('line range missing');
+
+    fs.writeFileSync(path.join(TEST_DIR, 'tagged.md'), '---\ntags: [ops]\n---\n# Runbook\nRotate the pager weekly.\n', 'utf8');
+    try {
+      const [hit] = await searchMemory('rotate pager weekly', { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH });
+      if (!hit || hit.citation !== 'tagged.md#L4-L5 (Runbook)') throw new Error(`frontmatter lines not counted: ${hit && hit.citation}`);
+    } finally {
+      fs.unlinkSync(path.join(TEST_DIR, 'tagged.md'));
+    }
+  });
+
+  await test('indexes text, JSON and HTML sources unless extensions exclude them', async () => {
+    const extra = {
+      'pager.txt': 'Zephyrine pager rotation moves to Mondays.\n',
+      'vendors.json': JSON.stringify({ zephyrine: { contact: 'Zephyrine vendor invoices go to billing' } }),
+      'handbook.html': '<html><head><title>Handbook</title></head><body><h1>Handbook</h1><h2>Zephyrine</h2><p>Zephyrine office <b>closes</b> at six.</p></body></html>',
+    };
+    for (const [name, content] of Object.entries(extra)) fs.writeFileSync(path.join(TEST_DIR, name), content, 'utf8');
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+      const results = await searchMemory('zephyrine', opts);
+      const cite = (name) => (results.find(r => r.path.endsWith(name)) || {}).citation;
+      if (cite('pager.txt') !== 'pager.txt#L1') throw new Error(`txt citation: ${cite('pager.txt')}`);
+      if (cite('vendors.json') !== 'vendors.json') throw new Error(`json citation: ${cite('vendors.json')}`);
+      if (cite('handbook.html') !== 'handbook.html (Handbook › Zephyrine)') throw new Error(`html citation: ${cite('handbook.html')}`);
+      const html = results.find(r => r.path.endsWith('handbook.html'));
+      if (/[<>]/.test(html.snippet)) throw new Error('HTML tags left in snippet');
+
+      const mdOnly = await searchMemory('zephyrine', { ...opts, extensions: ['.md'] });
+      if (mdOnly.length) throw new Error('extensions did not exclude non-markdown files');
+    } finally {
+      for (const name of Object.keys(extra)) fs.unlinkSync(path.join(TEST_DIR, name));
+    }
+  });
+
+  await test('.memoryignore keeps files out of search and drops them from the index', async () => {
+    const draft = path.join(TEST_DIR, 'wombat.draft.md');
+    const ignoreFile = path.join(TEST_DIR, '.memoryignore');
+    fs.writeFileSync(draft, '# Wombat\n\nWombat launch plan, unreviewed.\n', 'utf8');
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+      const before = await searchMemory('wombat launch plan', opts);
+      if (!before.some(r => r.path === draft)) throw new Error('draft not indexed before ignoring');
+
+      fs.writeFileSync(ignoreFile, '*.draft.md\n', 'utf8');
+      const after = await searchMemory('wombat launch plan', opts);
+      if (after.some(r => r.path === draft)) throw new Error('ignored draft still returned');
+      const index = JSON.parse(fs.readFileSync(CACHE_PATH.replace(/\.json$/, '.index.json'), 'utf8'));
+      if (index.files[draft]) throw new Error('ignored draft left in the index');
+
+      const viaOption = await searchMemory('wombat launch plan', { ...opts, ignore: ['!wombat.draft.md'] });
+      if (viaOption.some(r => r.path === draft)) throw new Error('.memoryignore should override the ignore option');
+    } finally {
+      fs.unlinkSync(draft);
+      fs.rmSync(ignoreFile, { force: true });
+    }
+  });
+
+  await test('snippets show the matched sentence deep in a chunk, under its heading', async () => {
+    const notePath = path.join(TEST_DIR, 'platypus.md');
+    const filler = 'The team reviewed the roadmap and agreed on next steps for the quarter. ';
+    fs.writeFileSync(notePath, `# Platypus\n\n${filler.repeat(10)}Platypus invoices now go out on the 2nd of each month.\n`, 'utf8');
+    try {
+      const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+      const hit = (await searchMemory('platypus invoices', { ...opts, highlight: true })).find(r => r.path === notePath);
+      if (!hit) throw new Error('note not found');
+      if (!hit.snippet.startsWith('# Platypus\n\n… ')) throw new Error(`heading not kept: ${hit.snippet.slice(0, 40)}`);
+      if (!hit.snippet.includes('**Platypus** **invoices** now go out')) throw new Error(`matched sentence missing: ${hit.snippet}`);
+      if (hit.snippet.length > 520) throw new Error(`snippet too long: ${hit.snippet.length}`);
+    } finally {
+      fs.unlinkSync(notePath);
+    }
+  });
+
+  await test('memory roots are searched together with weights, namespaces and separate caches', async () => {
+    const teamDir = path.join(TEST_DIR, '..', `${path.basename(TEST_DIR)}-team`);
+    const rootsCache = path.join(TEST_DIR, '.roots-cache.json');
+    fs.mkdirSync(teamDir, { recursive: true });
+    fs.writeFileSync(path.join(TEST_DIR, 'quokka.md'), '# Quokka\n\nQuokka sprint goals: ship the importer.\n', 'utf8');
+    fs.writeFileSync(path.join(teamDir, 'quokka.md'), '# Quokka\n\nQuokka sprint goals for the team: review the importer.\n', 'utf8');
+    try {
+      const roots = (teamWeight) => [TEST_DIR, { path: teamDir, weight: teamWeight, namespace: 'team', readOnly: true }];
+      const opts = { minScore: 0.1, cachePath: rootsCache };
+      const quokka = (rs) => rs.filter(r => r.path.endsWith('quokka.md'));
+
+      const heavy = quokka(await searchMemory('quokka sprint goals', { ...opts, memoryRoots: roots(2) }));
+      if (heavy.length !== 2) throw new Error(`expected a hit from each root, got ${heavy.length}`);
+      if (heavy[0].namespace !== 'team' || heavy[0].citation !== 'team:quokka.md#L1-L3 (Quokka)') {
+        throw new Error(`weighted team root should rank first with a namespaced citation: ${heavy[0].citation}`);
+      }
+      const light = quokka(await searchMemory('quokka sprint goals', { ...opts, memoryRoots: roots(0.25) }));
+      if (light[0].root !== TEST_DIR || light[0].citation !== 'quokka.md#L1-L3 (Quokka)') throw new Error('weight did not reorder roots');
+
+      const cacheFiles = fs.readdirSync(TEST_DIR).filter(f => /^\.roots-cache\.root-[0-9a-f]+\.index\.json$/.test(f));
+      if (cacheFiles.length !== 2) throw new Error(`expected one index per root, got ${cacheFiles.join(', ')}`);
+      for (const f of cacheFiles) {
+        const index = JSON.parse(fs.readFileSync(path.join(TEST_DIR, f), 'utf8'));
+        const dirs = new Set(Object.keys(index.files).map(p => p.startsWith(teamDir) ? 'team' : 'main'));
+        if (dirs.size !== 1) throw new Error(`index ${f} mixes roots`);
+      }
+    } finally {
+      fs.unlinkSync(path.join(TEST_DIR, 'quokka.md'));
+      fs.rmSync(teamDir, { recursive: true, force: true });
+      for (const f of fs.readdirSync(TEST_DIR)) {
+        if (f.startsWith('.roots-cache')) fs.rmSync(path.join(TEST_DIR, f), { recursive: true, force: true });
+      }
+    }
+  });
+
+  await test('watch mode serves searches from memory and picks up changes', async () => {
+    const { startWatch, stopWatch } = require('./search.js');
+    const opts = { memoryDir: TEST_DIR, minScore: 0.1, cachePath: CACHE_PATH };
+    const notePath = path.join(TEST_DIR, 'numbat.md');
+    const readdir = fsp.readdir;
+    let walks = 0;
+    fsp.readdir = (...args) => { walks++; return readdir.apply(fsp, args); };
+    try {
+      const started = await startWatch({ memoryDir: TEST_DIR, cachePath: CACHE_PATH, debounceMs: 5000 });
+      if (started.watching !== 1 || started.files === 0) throw new Error(`watch not started: ${JSON.stringify(started)}`);
+
+      walks = 0;
+      const warm = await searchMemory('node.js project status', opts);
+      if (!warm.length) throw new Error('no results from the watched index');
+      if (walks !== 0) throw new Error(`watched search walked the directory ${walks} times`);
+
+      // Long debounce: the search itself must apply the pending change
+      fs.writeFileSync(notePath, '# Numbat\n\nNumbat onboarding checklist for new hires.\n', 'utf8');
+      const deadline = Date.now() + 2000;
+      let found = [];
+      while (Date.now() < deadline && !found.length) {
+        await new Promise(r => setTimeout(r, 50));
+        found = (await searchMemory('numbat onboarding checklist', opts)).filter(r => r.path === notePath);
+      }
+      if (!found.length) throw new Error('new file not picked up by the watch');
+
+      fs.unlinkSync(notePath);
+      await new Promise(r => setTimeout(r, 200));
+      const gone = await searchMemory('numbat onboarding checklist', opts);
+      if (gone.some(r => r.path === notePath)) throw new Error('deleted file still served');
+
+      walks = 0;
+      await searchMemory('node.js project status', { ...opts, extensions: ['.md'] });
+      if (walks === 0) throw new Error('search with other options should take the cold path');
+    } finally {
+      fsp.readdir = readdir;
+      await stopWatch();
+      fs.rmSync(notePath, { force: true });
+    }
+  });
+
+  await test('concurrent processes share the cache without losing entries', async () => {
+    const { execFile } = require('child_process');
+    const sharedCache = path.join(TEST_DIR, '.shared-cache.json');
+    const script = `require(${JSON.stringify(path.join(__dirname, 'search.js'))})
+      .warmSearchCache({ memoryDir: ${JSON.stringify(TEST_DIR)}, cachePath: ${JSON.stringify(sharedCache)} })
+      .then((s) => console.log(JSON.stringify(s)))`;
+    const run = () => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+    });
+    try {
+      await Promise.all([run(), run(), run()]);
+      const cache = JSON.parse(fs.readFileSync(sharedCache, 'utf8'));
+      const index = JSON.parse(fs.readFileSync(sharedCache.replace(/\.json$/, '.index.json'), 'utf8'));
+      const { getMemoryFiles } = require('./search.js');
+      const files = (await getMemoryFiles(TEST_DIR)).filter(f => !f.endsWith('aliases.md'));
+      const missing = files.filter(f => !cache.files[f] || !index.files[f]);
+      if (missing.length) throw new Error(`entries lost: ${missing.join(', ')}`);
+      if (fs.existsSync(`${sharedCache}.lock`)) throw new Error('lock file left behind');
+      const shards = fs.readdirSync(sharedCache.replace(/\.json$/, '.shards'));
+      if (shards.length !== Object.keys(cache.files).length) throw new Error(`${shards.length} shards for ${Object.keys(cache.files).length} entries`);
+    } finally {
+      for (const f of fs.readdirSync(TEST_DIR)) {
+        if (f.startsWith('.shared-cache')) fs.rmSync(path.join(TEST_DIR, f), { recursive: true, force: true });
+      }
+    }
+  });
+
+  await test('explain mode traces keywords, term hits and drop stages', async () => {
+    const opts = { memoryDir: TEST_DIR, minScore: 0.3, maxResults: 1, cachePath: CACHE_PATH };
+    const plain = await searchMemory('beacon multiplayer game', opts);
+    const { results, explain } = await searchMemory('beacon multiplayer game', { ...opts, explain: true });
+    if (JSON.stringify(results.map(r => r.citation)) !== JSON.stringify(plain.map(r => r.citation))) {
+      throw new Error('explain changed the results');
+    }
+    if (!explain.keywords.includes('beacon')) throw new Error(`keywords: ${explain.keywords}`);
+    const top = explain.candidates[0];
+    if (top.droppedAt !== null || top.citation !== results[0].citation) throw new Error('top candidate is not the result');
+    if (!top.terms.some(t => t.keyword === 'beacon' && t.tf > 0)) throw new Error('missing per-term hits');
+    if (typeof top.scores.keyword !== 'number') throw new Error('missing score parts');
+    if (explain.returned !== 1 || explain.candidateCount <= 1) throw new Error(`counts: ${JSON.stringify(explain.dropped)}`);
+
+    const skipped = await searchMemory('ab', { ...opts, explain: true });
+    if (skipped.results.length || !skipped.explain.skipped) throw new Error('short query not explained');
+  });
+
+  await test('rejects unknown search modes', async () => {
+    let threw = false;
+    try {
+      await searchMemory('projects', { memoryDir: TEST_DIR, cachePath: CACHE_PATH, mode: 'telepathy' });
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('expected an error for unknown mode');
+  });
+
   // =========================================================================
   // Suite 2: Cache
   // =========================================================================
@@ -220,15 +679,47 @@ async function run() {
     if (!hasProjects) throw new Error('cache missing projects.md entry');
   });
 
-  await test('cache entries have mtimeMs and chunks', async () => {
+  await test('cache entries have mtimeMs and a shard with chunks', async () => {
     const raw = fs.readFileSync(CACHE_PATH, 'utf8');
     const cache = JSON.parse(raw);
-    for (const [, entry] of Object.entries(cache.files)) {
+    const shardDir = CACHE_PATH.replace(/\.json$/, '.shards');
+    for (const [filePath, entry] of Object.entries(cache.files)) {
       if (typeof entry.mtimeMs !== 'number') throw new Error('missing mtimeMs');
-      if (!Array.isArray(entry.chunks)) throw new Error('missing chunks array');
+      if (entry.chunks) throw new Error('chunks stored in the manifest');
+      const shard = JSON.parse(fs.readFileSync(path.join(shardDir, entry.shard), 'utf8'));
+      if (shard.path !== filePath || !Array.isArray(shard.chunks)) throw new Error('missing chunks array');
     }
   });
 
+  await test('inverted index is written next to the cache', async () => {
+    const indexPath = CACHE_PATH.replace(/\.json$/, '.index.json');
+    if (!fs.existsSync(indexPath)) throw new Error('index file not created');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (!index.postings || !index.postings.beacon) throw new Error('index missing postings for "beacon"');
+  });
+
+  await test('changed file is re-indexed incrementally', async () => {
+    const notesPath = path.join(TEST_DIR, 'notes.md');
+    fs.writeFileSync(notesPath, '# Notes\n\nZephyrine onboarding call', 'utf8');
+    let results = await searchMemory('zephyrine onboarding', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (!results.some(r => r.path === notesPath)) throw new Error('new file not indexed');
+
+    fs.writeFileSync(notesPath, '# Notes\n\nQuillfeather renewal call', 'utf8');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(notesPath, later, later);
+    results = await searchMemory('zephyrine onboarding', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (results.some(r => r.path === notesPath)) throw new Error('stale postings served after change');
+    results = await searchMemory('quillfeather renewal', {
+      memoryDir: TEST_DIR, minScore: 0.3, cachePath: CACHE_PATH,
+    });
+    if (!results.some(r => r.path === notesPath)) throw new Error('updated content not indexed');
+    fs.unlinkSync(notesPath);
+  });
+
   // =========================================================================
   // Suite 3: Hook
   // =========================================================================
@@ -249,6 +740,27 @@ async function run() {
     if (typeof result.success !== 'boolean') throw new Error('missing success');
   });
 
+  await test('handler explains its gate and thresholds when asked', async () => {
+    const skipped = await hook.handler({
+      sessionKey: `integ-${Date.now()}-explain-tech`,
+      message: 'docker compose up fails with exit code 137',
+      explain: true,
+    });
+    if (!skipped.skipped || skipped.explain.gate.search !== false) throw new Error('gate not explained');
+
+    const result = await hook.handler({
+      sessionKey: `integ-${Date.now()}-explain`,
+      message: 'What are my active projects and repos?',
+      context: {},
+      explain: true,
+    });
+    const { explain } = result;
+    if (!explain || !explain.intent || !explain.gate.search) throw new Error('missing intent or gate');
+    if (typeof explain.minRelevanceScore !== 'number' || !explain.search) throw new Error('missing thresholds or search trace');
+    const bad = explain.search.candidates.find(c => c.droppedAt && typeof c.droppedAt !== 'string');
+    if (bad) throw new Error(`bad stage: ${JSON.stringify(bad)}`);
+  });
+
   await test('handler skips null messages', async () => {
     const result = await hook.handler({
       sessionKey: `integ-null`,
@@ -320,6 +832,83 @@ async function run() {
     if (!r2.success) throw new Error('session B failed');
   });
 
+  await test('load_all_memory fallback injects core memory, digest and recent files', async () => {
+    const outDir = process.env.OPENCLAW_MEMORY_DIR;
+    const written = {
+      'MEMORY.md': '# Core\n\nPrefers async standups.',
+      'session-digest.md': '# Session Digest\n\n## Active topics\n- invoicing (3)',
+      'older.md': '# Older\n\nQuarterly planning notes.',
+      'newer.md': '# Newer\n\nCarrier contract renewal.',
+      'secret.md': '---\nprivate: true\n---\nDo not inject.',
+    };
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [name, content] of Object.entries(written)) fs.writeFileSync(path.join(outDir, name), content, 'utf8');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(path.join(outDir, 'older.md'), past, past);
+    try {
+      const sessionKey = `fallback-${Date.now()}`;
+      const result = await hook._internals.loadAllMemoryFallback(sessionKey, 'carrier renewal', new Error('corrupt cache'));
+      if (result.fallback !== 'loaded_all_memory') throw new Error(`fallback: ${JSON.stringify(result)}`);
+      if (!(result.tokens > 0)) throw new Error(`tokens not reported: ${result.tokens}`);
+      const order = result.chunks.map(c => c.citation);
+      if (JSON.stringify(order) !== JSON.stringify(['MEMORY.md', 'session-digest.md', 'newer.md', 'older.md'])) {
+        throw new Error(`order: ${order.join(', ')}`);
+      }
+      const today = new Date().toISOString().slice(0, 10);
+      const daily = fs.readFileSync(path.join(outDir, `${today}.md`), 'utf8');
+      if (!daily.includes(`adaptive-memory:session=${sessionKey}`)) throw new Error('session marker missing');
+      if (!daily.includes('(fallback: core memory)') || !daily.includes('Carrier contract renewal')) {
+        throw new Error('fallback content not injected');
+      }
+      if (daily.includes('Do not inject')) throw new Error('private file injected');
+
+      const again = await hook._internals.loadAllMemoryFallback(sessionKey, 'carrier renewal', new Error('corrupt cache'));
+      if (again.fallback !== 'continue_without_context') throw new Error('second fallback claimed to load memory');
+    } finally {
+      for (const name of Object.keys(written)) fs.rmSync(path.join(outDir, name), { force: true });
+    }
+  });
+
+  await test('topic shift re-injects memory for the new topic without repeating chunks', async () => {
+    const outDir = process.env.OPENCLAW_MEMORY_DIR;
+    const written = {
+      'wholesale.md': '# Wholesale customer promises\n\nWe promised the wholesale customer net-60 payment terms.\n',
+      'wholesale-shipping.md': '# Wholesale customer shipping\n\nThe wholesale customer was promised free pallet shipping.\n',
+    };
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [name, content] of Object.entries(written)) fs.writeFileSync(path.join(outDir, name), content, 'utf8');
+    const { onTopicShift } = hook._internals;
+    try {
+      const sessionKey = `shift-${Date.now()}`;
+      const first = { at: 0, intent: 'fix the checkout bug', chunks: ['checkout.md#0'] };
+      const same = await onTopicShift({ sessionKey, message: 'the checkout bug is back on mobile', topics: [first] });
+      if (!same.skipped || same.reason !== 'No topic shift') throw new Error(`expected no shift: ${JSON.stringify(same)}`);
+
+      const shifted = await onTopicShift({ sessionKey, message: 'Remind me of the wholesale customer promises', topics: [first] });
+      if (!shifted.injected || shifted.similarity !== 0) throw new Error(`expected a re-injection: ${JSON.stringify(shifted)}`);
+      const today = new Date().toISOString().slice(0, 10);
+      const daily = fs.readFileSync(path.join(outDir, `${today}.md`), 'utf8');
+      if (!daily.includes(`adaptive-memory:session=${sessionKey}#2 -->`)) throw new Error('numbered section marker missing');
+      if (!daily.includes('*Topic shift: 0% similar')) throw new Error('topic shift note missing');
+
+      // Same memory under another earlier intent: found again, but not re-injected
+      const earlier = { at: 0, intent: 'renewal calendar', chunks: shifted.topic.chunks };
+      const again = await onTopicShift({ sessionKey, message: 'wholesale customer promises', topics: [first, earlier] });
+      if (again.injected !== 0 || again.reason !== 'Relevant memory already injected this session') {
+        throw new Error(`chunks injected twice: ${JSON.stringify(again)}`);
+      }
+
+      // First message found nothing: no cooldown, and the next message on that topic is searched
+      const missed = { at: Date.now(), intent: 'wholesale customer promises', chunks: [] };
+      const due = hook._internals.reinjectionDue([missed], Date.now(), { ...hook._internals.DEFAULTS, reinjectOnTopicShift: true });
+      if (!due.due) throw new Error(`expected re-injection due after a miss: ${due.reason}`);
+      const retried = await onTopicShift({ sessionKey: `${sessionKey}-missed`, message: 'wholesale customer promises', topics: [missed] });
+      if (!retried.injected || retried.similarity !== null) throw new Error(`expected an injection after a miss: ${JSON.stringify(retried)}`);
+    } finally {
+      for (const name of Object.keys(written)) fs.rmSync(path.join(outDir, name), { force: true });
+    }
+  });
+
   // =========================================================================
   // Suite 5: Full Integration Flow
   // =========================================================================
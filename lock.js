@@ -0,0 +1,173 @@
+/**
+ * Adaptive Memory Lock
+ *
+ * Advisory lock files so several gateway processes (or parallel sessions in
+ * one) do not interleave their read-merge-write of the search cache. A lock
+ * is a file created exclusively next to what it guards:
+ *
+ *   adaptive-memory-cache.json.lock  { pid, host, token, createdAt }
+ *
+ * A lock is stale, and taken over, when it is older than staleMs or its
+ * owner was a process on this host that no longer runs; withLock keeps the
+ * lock it holds fresh. Taking over and releasing both remove the lock under
+ * a short-lived guard file (`.lock.guard`), so neither removes a lock that
+ * another process has just created. Waiting gives up after timeoutMs with an
+ * error whose code is ELOCKED; the caller decides whether that is worth
+ * failing for (the cache is not, it writes next time).
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STALE_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const RETRY_MS = 25;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Is the lock at lockPath abandoned? Unreadable or half-written locks count
+ * as stale once they are older than staleMs.
+ */
+async function isStaleLock(lockPath, staleMs = DEFAULT_STALE_MS) {
+  let st;
+  try {
+    st = await fsp.stat(lockPath);
+  } catch {
+    return false;
+  }
+  if (Date.now() - st.mtimeMs > staleMs) return true;
+  try {
+    const owner = JSON.parse(await fsp.readFile(lockPath, 'utf8'));
+    return owner.host === os.hostname() && Number.isInteger(owner.pid) && !processAlive(owner.pid);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run fn holding `${lockPath}.guard`, which every removal of the lock takes:
+ * recovery and release. Under it, the lock that was inspected is the one
+ * removed — nobody else can remove it meanwhile, and nobody can create one
+ * while it exists. A guard is held for one stat-and-unlink, so one that
+ * lingers belonged to a process that died (or is older than staleMs).
+ */
+async function withGuard(lockPath, staleMs, fn) {
+  const guard = `${lockPath}.guard`;
+  const body = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: Date.now() });
+  for (;;) {
+    try {
+      await fsp.writeFile(guard, body, { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code === 'ENOENT') return undefined; // No directory, so no lock either
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (await isStaleLock(guard, staleMs)) await fsp.unlink(guard).catch(() => {});
+    else await sleep(RETRY_MS);
+  }
+  try {
+    return await fn();
+  } finally {
+    await fsp.unlink(guard).catch(() => {});
+  }
+}
+
+/**
+ * Create lockPath exclusively, waiting for (or recovering) a held lock.
+ * @returns {Promise<string>} The token that proves ownership to releaseLock
+ */
+async function acquireLock(lockPath, { staleMs = DEFAULT_STALE_MS, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const token = crypto.randomBytes(8).toString('hex');
+  const body = JSON.stringify({ pid: process.pid, host: os.hostname(), token, createdAt: Date.now() });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      await fsp.writeFile(lockPath, body, { flag: 'wx' });
+      return token;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        await fsp.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    // Only the exclusive create above makes the lock ours; recovering a
+    // stale one just clears the way for it
+    if (await isStaleLock(lockPath, staleMs)) {
+      await withGuard(lockPath, staleMs, async () => {
+        // Judged again under the guard: another process may have recovered
+        // it and taken a new lock since
+        if (await isStaleLock(lockPath, staleMs)) await fsp.unlink(lockPath).catch(() => {});
+      });
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const err = new Error(`Timed out waiting for lock ${lockPath}`);
+      err.code = 'ELOCKED';
+      throw err;
+    }
+    await sleep(RETRY_MS);
+  }
+}
+
+/**
+ * Remove lockPath if it is still ours (a lock taken over as stale is not).
+ */
+async function releaseLock(lockPath, token, { staleMs = DEFAULT_STALE_MS } = {}) {
+  await withGuard(lockPath, staleMs, async () => {
+    try {
+      const owner = JSON.parse(await fsp.readFile(lockPath, 'utf8'));
+      if (owner.token === token) await fsp.unlink(lockPath);
+    } catch {
+      // Already gone
+    }
+  });
+}
+
+/**
+ * Run fn while holding the lock at lockPath. The lock's mtime is refreshed
+ * while fn runs, so a slow holder is not taken for a stale one.
+ * @param {object} options - { staleMs, timeoutMs }
+ */
+async function withLock(lockPath, fn, options = {}) {
+  const { staleMs = DEFAULT_STALE_MS } = options;
+  const token = await acquireLock(lockPath, options);
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fsp.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(RETRY_MS, Math.floor(staleMs / 3)));
+  if (heartbeat.unref) heartbeat.unref();
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(lockPath, token, { staleMs });
+  }
+}
+
+module.exports = {
+  DEFAULT_STALE_MS,
+  DEFAULT_TIMEOUT_MS,
+  acquireLock,
+  releaseLock,
+  isStaleLock,
+  withLock,
+};
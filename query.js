@@ -0,0 +1,138 @@
+/**
+ * Adaptive Memory Query Syntax
+ *
+ * A small operator syntax for hand-written searches (CLI, debugging retrieval):
+ *
+ *   "release checklist"   phrase: the words must appear together, in order
+ *   +shipster             required term
+ *   -archive              excluded term (-"some phrase" excludes a phrase)
+ *   file:projects.md      only chunks from matching files; -file: excludes.
+ *                         Matches the file name or a path suffix, ".md" is
+ *                         optional and * / ? work as wildcards
+ *
+ * Everything else is free text and goes through keyword extraction as
+ * before, so a query without operators is searched exactly as it was.
+ */
+
+const { escapeRegex, termSequence } = require('./tokenizer');
+
+const FIELDS = ['file'];
+
+function emptyQuery(raw) {
+  return {
+    raw,
+    text: raw,
+    phrases: [],
+    required: [],
+    excluded: [],
+    excludedPhrases: [],
+    files: [],
+    excludedFiles: [],
+  };
+}
+
+/**
+ * A query taken literally, without operator parsing.
+ */
+function plainQuery(query) {
+  return emptyQuery(String(query || ''));
+}
+
+/**
+ * Split a query into free text and operators.
+ * An unterminated quote is left in the free text.
+ */
+function parseQuery(query) {
+  const parsed = emptyQuery(String(query || ''));
+  const free = [];
+  const re = /([+-]?)"([^"]*)"|(\S+)/g;
+  let m;
+
+  while ((m = re.exec(parsed.raw))) {
+    if (m[2] !== undefined) {
+      const phrase = m[2].trim();
+      if (phrase) (m[1] === '-' ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+      continue;
+    }
+    const word = m[3];
+    const field = /^(-?)([a-z]+):(.+)$/i.exec(word);
+    if (field && FIELDS.includes(field[2].toLowerCase())) {
+      (field[1] ? parsed.excludedFiles : parsed.files).push(field[3]);
+    } else if (/^\+[^+\s]/.test(word)) {
+      parsed.required.push(word.slice(1));
+    } else if (/^-[^-\s]/.test(word)) {
+      parsed.excluded.push(word.slice(1));
+    } else {
+      free.push(word);
+    }
+  }
+
+  if (hasOperators(parsed)) parsed.text = free.join(' ');
+  return parsed;
+}
+
+function hasOperators(parsed) {
+  return parsed.phrases.length > 0
+    || parsed.required.length > 0
+    || parsed.excluded.length > 0
+    || parsed.excludedPhrases.length > 0
+    || parsed.files.length > 0
+    || parsed.excludedFiles.length > 0;
+}
+
+/**
+ * The part of the query that describes what to find (free text, phrases and
+ * required terms), e.g. for embedding. Plain queries come back unchanged.
+ */
+function positiveText(parsed) {
+  if (!hasOperators(parsed)) return parsed.raw;
+  return [parsed.text, ...parsed.phrases, ...parsed.required].filter(Boolean).join(' ');
+}
+
+/**
+ * Does `filePath` match a file: filter value?
+ */
+function matchesFilePattern(filePath, pattern) {
+  const p = String(filePath).replace(/\\/g, '/');
+  const value = String(pattern).replace(/\\/g, '/').replace(/^\.?\//, '');
+  const body = value
+    .split(/([*?])/)
+    .map((part) => (part === '*' ? '[^/]*' : part === '?' ? '[^/]' : escapeRegex(part)))
+    .join('');
+  const ext = /\.[a-z0-9]+$/i.test(value) ? '' : '(\\.md)?';
+  return new RegExp(`(^|/)${body}${ext}$`, 'i').test(p);
+}
+
+/**
+ * Is the file allowed by the query's file: / -file: filters?
+ */
+function fileAllowed(filePath, parsed) {
+  if (parsed.excludedFiles.some((f) => matchesFilePattern(filePath, f))) return false;
+  return parsed.files.length === 0 || parsed.files.some((f) => matchesFilePattern(filePath, f));
+}
+
+/**
+ * Does `text` contain `phrase` as consecutive words? Both sides are
+ * normalized and stemmed, so "release checklists" matches "Release checklist".
+ */
+function containsPhrase(text, phrase, textOptions = {}) {
+  const needle = termSequence(phrase, textOptions);
+  if (!needle.length) return true;
+  const hay = termSequence(text, textOptions);
+  for (let i = 0; i + needle.length <= hay.length; i++) {
+    let j = 0;
+    while (j < needle.length && hay[i + j] === needle[j]) j++;
+    if (j === needle.length) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  parseQuery,
+  plainQuery,
+  hasOperators,
+  positiveText,
+  matchesFilePattern,
+  fileAllowed,
+  containsPhrase,
+};
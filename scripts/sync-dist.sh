@@ -11,8 +11,8 @@ if [ ! -d "$DIST" ]; then
   exit 1
 fi
 
-cp "$ROOT/hook.js" "$ROOT/search.js" "$ROOT/utils.js" "$ROOT/config.json" "$ROOT/install.sh" "$ROOT/LICENSE" "$ROOT/HOOK.md" "$ROOT/handler.js" "$DIST/"
+cp "$ROOT/hook.js" "$ROOT/search.js" "$ROOT/chunker.js" "$ROOT/sources.js" "$ROOT/ignore.js" "$ROOT/watcher.js" "$ROOT/lock.js" "$ROOT/explain.js" "$ROOT/snippets.js" "$ROOT/tokens.js" "$ROOT/tokenizer.js" "$ROOT/stemmer.js" "$ROOT/aliases.js" "$ROOT/query.js" "$ROOT/frontmatter.js" "$ROOT/embeddings.js" "$ROOT/utils.js" "$ROOT/config.json" "$ROOT/install.sh" "$ROOT/LICENSE" "$ROOT/HOOK.md" "$ROOT/handler.js" "$DIST/"
 rm -rf "$DIST/hooks"
 cp -R "$ROOT/hooks" "$DIST/hooks"
-echo "Synced hook.js, search.js, utils.js, config.json, install.sh, LICENSE, HOOK.md, handler.js, hooks/ to dist/adaptive-memory/"
+echo "Synced hook.js, search.js, chunker.js, sources.js, ignore.js, watcher.js, lock.js, explain.js, snippets.js, tokens.js, tokenizer.js, stemmer.js, aliases.js, query.js, frontmatter.js, embeddings.js, utils.js, config.json, install.sh, LICENSE, HOOK.md, handler.js, hooks/ to dist/adaptive-memory/"
 echo "SKILL.md, INSTALL.md, CHANGELOG.md, package.json in dist are left unchanged (edit there if needed)."
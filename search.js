@@ -3,20 +3,82 @@
 /**
  * Adaptive Memory Search Module (v0.3)
  *
- * Performs keyword search against OpenClaw memory files.
- * - mtime-based persistent cache (re-chunks only changed files)
- * - Markdown-aware chunking (split on headings, then paragraphs, with size caps)
+ * Performs keyword and semantic search against OpenClaw memory files.
+ * - mtime-based persistent cache, sharded per file behind a manifest
+ *   (re-chunks only changed files, reads only the shards a search needs)
+ * - Structure-aware chunking: headings, fences, tables and lists (see chunker.js)
+ * - Markdown, plain text, JSON/JSONL and HTML sources, pluggable per
+ *   extension (see sources.js)
+ * - .memoryignore / `ignore` patterns with gitignore semantics (see ignore.js)
+ * - Several memory roots with weights, namespaces and separate caches
+ * - Optional watch mode: indexes kept in memory, updated through fs.watch
+ * - Explain mode: per-term hits, score parts and drop stages (see explain.js)
  * - Escaped regex scoring (safe for special chars like C++, what?, etc.)
+ * - Unicode-aware tokenization with per-language stop words, optional
+ *   diacritic folding and stemming (see tokenizer.js, stemmer.js)
+ * - Query expansion through an aliases file in memoryDir (see aliases.js)
+ * - Query operators: "phrases", +required, -excluded, file: (see query.js)
+ * - Optional recency decay from file mtime and dated headings (## 2026-09-14)
+ * - YAML frontmatter per file: priority boost, tag filters, private files
+ *   excluded (see frontmatter.js)
+ * - Optional diversification of the final list: MMR, near-duplicate
+ *   suppression and a per-file cap
+ * - BM25 ranking: document frequencies and chunk lengths kept in the cache
+ * - Persistent inverted index (term -> postings), updated per changed file
+ * - Optional semantic retrieval: chunk embeddings from a pluggable provider
+ *   (see embeddings.js), cosine top-k; mode = keyword | vector | hybrid
  * - Preserves original text casing (lowercased copy used only for matching)
- *
- * Uses cached keyword scoring (single search path).
  */
 
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 const os = require('os');
-const { expandPath, resolveMemoryDir } = require('./utils');
+const crypto = require('crypto');
+const { expandPath, resolveMemoryDir, resolveMemoryRoots } = require('./utils');
+const {
+  resolveEmbeddingProvider,
+  cosineSimilarity,
+  encodeVector,
+  decodeVector,
+} = require('./embeddings');
+const {
+  escapeRegex,
+  normalizeText,
+  tokenizerSignature,
+  extractKeywords,
+  queryTerms,
+  tokenizeForIndex,
+  findMatchedWords,
+  isFuzzyEligible,
+  tokenizeQuery,
+  buildKeywordMatchers,
+  termSequence,
+} = require('./tokenizer');
+const { resolveAliasesPath, parseAliases, matchAliases } = require('./aliases');
+const { priorityFactor, metadataAllows } = require('./frontmatter');
+const { DEFAULT_EXTENSIONS, enabledExtensions, extractSource } = require('./sources');
+const { splitIntoChunks, chunkerSignature } = require('./chunker');
+const { loadIgnoreRules, matchIgnore, describeRule } = require('./ignore');
+const { DEFAULT_DEBOUNCE_MS, watchTree } = require('./watcher');
+const { withLock } = require('./lock');
+const { DEFAULT_SNIPPET_CHARS, extractSnippet } = require('./snippets');
+const {
+  createTrace,
+  recordHits,
+  recordRanked,
+  recordDrops,
+  summarizeTrace,
+  formatTrace,
+} = require('./explain');
+const {
+  parseQuery,
+  plainQuery,
+  hasOperators,
+  positiveText,
+  fileAllowed,
+  containsPhrase,
+} = require('./query');
 
 // ---------------------------------------------------------------------------
 // Cache
@@ -25,437 +87,2065 @@ const { expandPath, resolveMemoryDir } = require('./utils');
 const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.openclaw');
 const DEFAULT_CACHE_PATH = path.join(DEFAULT_CACHE_DIR, 'adaptive-memory-cache.json');
 
+// Bump when the chunk cache layout changes: older caches are discarded whole.
+// (Chunking rules and options are checked per entry, see ensureCachedChunks.)
+const CACHE_VERSION = 3;
+
+/*
+ * The chunk cache is sharded: the cache path holds a manifest, one small
+ * entry per memory file, and each file's chunks live in a shard of their own
+ * next to it, read only when a search needs that file's text:
+ *
+ *   adaptive-memory-cache.json           { version, files: { path: { mtimeMs, chunker, shard, bytes } } }
+ *   adaptive-memory-cache.shards/<id>.json  { path, mtimeMs, chunker, meta, chunks }
+ *
+ * Shards read or built in this process, and those still to be written or
+ * deleted, are tracked per cache object outside its JSON.
+ */
+const shardStates = new WeakMap();
+
+function shardDirFor(cachePath) {
+  return `${(cachePath || DEFAULT_CACHE_PATH).replace(/\.json$/, '')}.shards`;
+}
+
+function shardName(filePath) {
+  return `${crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 16)}.json`;
+}
+
+function shardState(cache) {
+  let state = shardStates.get(cache);
+  if (!state) {
+    state = { dir: null, loaded: new Map(), dirty: new Set(), removed: new Set() };
+    shardStates.set(cache, state);
+  }
+  return state;
+}
+
+function createEmptyCache(cachePath) {
+  const cache = { version: CACHE_VERSION, files: {} };
+  shardState(cache).dir = shardDirFor(cachePath);
+  return cache;
+}
+
+/**
+ * Load the chunk cache manifest; a missing, unreadable or other-version cache
+ * loads as empty, so it is rebuilt rather than read in a layout it no longer
+ * has. Shards are read later, per file (see ensureCachedChunks).
+ */
 async function loadCache(cachePath) {
   const p = cachePath || DEFAULT_CACHE_PATH;
   try {
-    const raw = await fsp.readFile(p, 'utf8');
-    return JSON.parse(raw);
+    const parsed = JSON.parse(await fsp.readFile(p, 'utf8'));
+    if (parsed?.version !== CACHE_VERSION || !parsed.files || typeof parsed.files !== 'object') {
+      return createEmptyCache(p);
+    }
+    shardState(parsed).dir = shardDirFor(p);
+    return parsed;
   } catch {
-    return { version: 1, files: {} };
+    return createEmptyCache(p);
   }
 }
 
-async function saveCache(cache, cachePath) {
-  const p = cachePath || DEFAULT_CACHE_PATH;
+async function writeJsonAtomic(p, data) {
   const dir = path.dirname(p);
   await fsp.mkdir(dir, { recursive: true });
-  const tmp = `${p}.tmp.${Date.now()}`;
-  await fsp.writeFile(tmp, JSON.stringify(cache), 'utf8');
+  const tmp = `${p}.tmp.${process.pid}.${Date.now()}`;
+  await fsp.writeFile(tmp, JSON.stringify(data), 'utf8');
   await fsp.rename(tmp, p);
 }
 
+/**
+ * Write the shards built since the last save, delete those of dropped
+ * entries, then the manifest. A shard whose manifest entry was replaced by a
+ * newer one (merged from another process) is not written.
+ */
+async function saveCache(cache, cachePath) {
+  const state = shardState(cache);
+  const dir = shardDirFor(cachePath);
+  for (const filePath of state.dirty) {
+    const entry = cache.files[filePath];
+    const shard = state.loaded.get(filePath);
+    if (entry && shard && entry.mtimeMs === shard.mtimeMs && entry.chunker === shard.chunker) {
+      await writeJsonAtomic(path.join(dir, entry.shard), shard);
+    } else {
+      state.loaded.delete(filePath);
+    }
+  }
+  for (const filePath of state.removed) {
+    if (cache.files[filePath]) continue;
+    try {
+      await fsp.unlink(path.join(dir, shardName(filePath)));
+    } catch {
+      // Never written
+    }
+  }
+  state.dirty.clear();
+  state.removed.clear();
+  await writeJsonAtomic(cachePath || DEFAULT_CACHE_PATH, { version: cache.version, files: cache.files });
+}
+
+/**
+ * The chunks and metadata of a file, once ensureCachedChunks has read or
+ * built its shard.
+ */
+function cachedEntry(cache, filePath) {
+  return shardState(cache).loaded.get(filePath);
+}
+
+/**
+ * One lock guards a cache path's chunk cache, index and vector store
+ * (adaptive-memory-cache.json -> adaptive-memory-cache.json.lock).
+ */
+function lockPathFor(cachePath) {
+  return `${cachePath || DEFAULT_CACHE_PATH}.lock`;
+}
+
+/**
+ * Merge-on-write: copy into `ours.files` the entries another process saved
+ * since we loaded, where theirs is newer (by file mtime) and accept(path,
+ * entry) agrees. Returns the number taken.
+ */
+function mergeFileEntries(ours, theirs, accept = () => true) {
+  let taken = 0;
+  for (const [filePath, entry] of Object.entries(theirs?.files || {})) {
+    const mine = ours.files[filePath];
+    if (mine && mine.mtimeMs >= entry.mtimeMs) continue;
+    if (!accept(filePath, entry)) continue;
+    ours.files[filePath] = entry;
+    taken += 1;
+  }
+  return taken;
+}
+
 // ---------------------------------------------------------------------------
-// Text helpers
+// Chunks (splitting lives in chunker.js)
 // ---------------------------------------------------------------------------
 
+// Bounds on the chunk cache (shards on disk), newest files kept first
+const MAX_CACHE_FILES = 10000;
+const MAX_CACHE_BYTES = 128 * 1024 * 1024;
+
 /**
- * Escape string for safe use inside a RegExp
+ * Where a chunk came from, for people and agents to follow up:
+ * "projects.md#L40-L58 (Projects › Shipster)". Paths are shown relative to
+ * `baseDir` when the file is inside it, else by file name.
  */
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function formatCitation(filePath, chunk = {}, baseDir) {
+  const rel = baseDir ? path.relative(baseDir, filePath) : '';
+  const name = rel && !rel.startsWith('..') && !path.isAbsolute(rel)
+    ? rel.split(path.sep).join('/')
+    : path.basename(filePath);
+  let lines = '';
+  if (chunk.startLine) {
+    lines = chunk.endLine > chunk.startLine ? `#L${chunk.startLine}-L${chunk.endLine}` : `#L${chunk.startLine}`;
+  }
+  const trail = chunk.headings?.length ? ` (${chunk.headings.join(' › ')})` : '';
+  return `${name}${lines}${trail}`;
 }
 
 // ---------------------------------------------------------------------------
-// Markdown-aware chunking
+// Keyword scoring
 // ---------------------------------------------------------------------------
 
-const MAX_CHUNK_LEN = 1200;
-const MAX_CHUNKS_PER_FILE = 200;
-const MAX_CACHE_FILES = 500;
-const MAX_CACHE_JSON_BYTES = 10 * 1024 * 1024;
+// BM25 parameters: k1 controls term-frequency saturation, b controls how
+// strongly long chunks are penalized relative to the corpus average.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * BM25 inverse document frequency (the +1 variant, always positive).
+ */
+function bm25Idf(df, chunkCount) {
+  return Math.log(1 + (chunkCount - df + 0.5) / (df + 0.5));
+}
 
 /**
- * Split markdown content into chunks respecting heading boundaries.
- * Each chunk keeps its original casing and a lowercased copy for matching.
+ * Combine per-keyword term statistics into a 0..1 BM25 relevance score.
+ *
+ * Each keyword contributes its BM25 term factor, weighted by IDF so rare
+ * terms (a customer name) outweigh common ones ("project"). The factor is
+ * mapped so a single mention in an average-length chunk counts as 0.85,
+ * with repeats and short chunks adding up to 0.15 more; the IDF-weighted
+ * mean over keywords keeps the result in 0..1 for minRelevanceScore.
+ *
+ * @param {Array<{tf: number, df: number, weight?: number}>} terms - One entry
+ *   per keyword; `weight` (default 1) discounts fuzzy matches
+ * @param {number} [length] - Chunk length in tokens
+ * @param {object} [corpus] - { chunkCount, avgLength }; without it every
+ *   keyword gets equal weight and the chunk is treated as average length
+ * @param {object} [explain] - Receives `contributions` (each keyword's share
+ *   of the score, in `terms` order) and `gated` (the coverage gate zeroed it)
  */
-function splitIntoChunks(content) {
-  // Split before markdown headings (# / ## / ### etc.)
-  const blocks = content.split(/\n(?=#+\s)/g);
-  const chunks = [];
+function bm25Score(terms, length, corpus, explain) {
+  const chunkCount = corpus?.chunkCount || 0;
+  const avgLength = corpus?.avgLength || 0;
+  const lengthRatio = avgLength > 0 && typeof length === 'number' ? length / avgLength : 1;
+  const norm = 1 - BM25_B + BM25_B * lengthRatio;
 
-  for (const block of blocks) {
-    const paragraphs = block.split(/\n\n+/);
-    let buf = '';
+  let hits = 0;
+  let weighted = 0;
+  let idfTotal = 0;
+  const parts = explain ? [] : null;
 
-    for (const para of paragraphs) {
-      const candidate = buf ? `${buf}\n\n${para}` : para;
-      if (candidate.length > MAX_CHUNK_LEN) {
-        if (buf.trim()) chunks.push(buf.trim());
-        buf = para;
-      } else {
-        buf = candidate;
-      }
+  for (const { tf, df, weight = 1 } of terms) {
+    const idf = chunkCount > 0 ? bm25Idf(Math.max(df || 0, tf > 0 ? 1 : 0), chunkCount) : 1;
+    idfTotal += idf;
+    if (!tf) {
+      if (parts) parts.push(0);
+      continue;
     }
-    if (buf.trim()) chunks.push(buf.trim());
-  }
 
-  // Hard cap per file to prevent runaway processing
-  return chunks.slice(0, MAX_CHUNKS_PER_FILE);
-}
+    hits += 1;
+    const sat = (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+    const termScore = 0.85 * Math.min(sat, 1) + 0.15 * (Math.max(sat - 1, 0) / BM25_K1);
+    weighted += idf * termScore * weight;
+    if (parts) parts.push(idf * termScore * weight);
+  }
 
-// ---------------------------------------------------------------------------
-// Keyword extraction & scoring
-// ---------------------------------------------------------------------------
+  // Coverage gate: require >=2 distinct keyword hits for longer queries
+  const gated = terms.length >= 4 && hits < 2;
+  if (explain) {
+    explain.gated = gated;
+    explain.contributions = parts.map((p) => (idfTotal > 0 ? p / idfTotal : 0));
+  }
+  if (gated) return 0;
+  if (hits === 0 || idfTotal <= 0) return 0;
 
-// Common stop words to filter from search queries
-const STOP_WORDS = new Set([
-  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
-  'her', 'was', 'one', 'our', 'out', 'has', 'have', 'been', 'some', 'them',
-  'than', 'its', 'over', 'into', 'just', 'about', 'what', 'which', 'when',
-  'make', 'like', 'how', 'each', 'from', 'this', 'that', 'with', 'they',
-  'will', 'would', 'there', 'their', 'could', 'other', 'more', 'very',
-  'after', 'most', 'also', 'made', 'then', 'many', 'before', 'should',
-  'these', 'where', 'being', 'does', 'show', 'tell', 'give', 'help',
-  'remind', 'please',
-]);
-
-/**
- * Extract meaningful keywords from a query string.
- * Filters stop words and very short words, lowercases.
- */
-function extractKeywords(query) {
-  return query
-    .toLowerCase()
-    .split(/\s+/)
-    .map(w => w.replace(/[^a-z0-9_+#.-]/g, ''))
-    .filter(w => w.length > 2 && !STOP_WORDS.has(w));
-}
-
-function buildKeywordMatchers(keywords) {
-  return keywords.map((word) => {
-    const escaped = escapeRegex(word);
-    const hasNonWord = /[^A-Za-z0-9_]/.test(word);
-    const pattern = hasNonWord
-      ? `(?<![A-Za-z0-9_])${escaped}(?![A-Za-z0-9_])`
-      : `\\b${escaped}\\b`;
-    return { word, re: new RegExp(pattern, 'g') };
-  });
+  return Math.min(weighted / idfTotal, 1.0);
 }
 
 /**
  * Score a chunk against extracted keywords.
  * Uses escaped regex with word boundaries for safe matching.
- * Returns 0..1 relevance score.
+ * Returns 0..1 relevance score (see bm25Score).
+ *
+ * `stats` is optional: { chunkCount, avgLength, df: Map<term, count>, length }.
  *
  * Coverage rule: when the query has >=4 keywords, at least 2 distinct
  * keywords must match — prevents a single strong keyword from passing.
  */
-function scoreChunk(matchers, chunkLower) {
+function scoreChunk(matchers, chunkLower, stats) {
   if (!matchers.length) return 0;
   const compiled = typeof matchers[0] === 'string'
     ? buildKeywordMatchers(matchers)
     : matchers;
   if (!compiled.length) return 0;
 
-  let hits = 0;
-  let bonus = 0;
-
-  for (const m of compiled) {
+  const terms = compiled.map((m) => {
     const matches = chunkLower.match(m.re);
-    if (matches && matches.length) {
-      hits += 1;
-      // Logarithmic bonus for repeated mentions (capped)
-      bonus += Math.min(Math.log(matches.length + 1) * 0.2, 0.5);
-    }
-  }
-
-  // Coverage gate: require >=2 distinct keyword hits for longer queries
-  if (compiled.length >= 4 && hits < 2) return 0;
-
-  const coverage = hits / compiled.length;       // 0..1 — how many keywords matched
-  const repeatBonus = bonus / compiled.length;    // small additional weight
-  return Math.min(coverage * 0.85 + repeatBonus * 0.3, 1.0);
+    return { tf: matches ? matches.length : 0, df: stats?.df?.get(m.word) || 0 };
+  });
+  return bm25Score(terms, stats?.length, stats);
 }
 
 // ---------------------------------------------------------------------------
-// File discovery
+// Recency
 // ---------------------------------------------------------------------------
 
+const DEFAULT_RECENCY_HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Pattern matching daily injection files (YYYY-MM-DD.md) written by the hook.
- * These are excluded from the search corpus to prevent feedback loops.
+ * Latest valid YYYY-MM-DD date in a heading, as UTC ms (0 if none).
  */
-const DAILY_INJECTION_RE = /^\d{4}-\d{2}-\d{2}\.md$/;
+function parseHeadingDate(heading) {
+  let latest = 0;
+  for (const m of heading.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    const ms = Date.UTC(y, mo - 1, d);
+    const date = new Date(ms);
+    if (date.getUTCMonth() === mo - 1 && date.getUTCDate() === d && ms > latest) latest = ms;
+  }
+  return latest;
+}
 
 /**
- * Get memory files (*.md only) recursively from memoryDir.
- * Skips hidden directories and daily injection files (YYYY-MM-DD.md).
+ * Date each chunk is "about", from dated headings: a chunk takes the latest
+ * date among the headings in scope (its own and its parents'), so paragraphs
+ * split off under "## 2026-09-14" keep that date.
+ * @returns {object} { [chunkIdx]: ms } for dated chunks only
  */
-async function getMemoryFiles(memoryDir) {
-  const dir = expandPath(memoryDir);
-  const files = [];
+function chunkDates(chunks) {
+  const levels = [];
+  const effective = () => levels.reduce((max, ms) => (ms > max ? ms : max), 0);
+  const dates = {};
 
-  try {
-    const items = await fsp.readdir(dir, { withFileTypes: true });
-
-    for (const item of items) {
-      const fullPath = path.join(dir, item.name);
-
-      if (item.isDirectory()) {
-        if (!item.name.startsWith('.') && item.name !== 'archive') {
-          const sub = await getMemoryFiles(fullPath);
-          files.push(...sub);
-        }
-      } else if (
-        item.isFile() &&
-        item.name.endsWith('.md') &&
-        !DAILY_INJECTION_RE.test(item.name)
-      ) {
-        files.push(fullPath);
-      }
+  chunks.forEach((ch, idx) => {
+    // Chunks from chunker.js carry their heading trail, which also keeps
+    // "# 2024-01-01" comments in code fences from counting as headings.
+    if (Array.isArray(ch.headings)) {
+      const best = ch.headings.reduce((max, h) => Math.max(max, parseHeadingDate(h)), 0);
+      if (best) dates[idx] = best;
+      return;
     }
-  } catch (e) {
-    if (e.code !== 'ENOENT') {
-      console.error(`[adaptive-memory] Cannot read ${dir}:`, e.message);
+    const text = String(ch.text || '');
+    // A chunk opening with a heading starts a new section; only text
+    // continuing the previous section inherits its date.
+    let best = /^#{1,6}\s/.test(text) ? 0 : effective();
+    for (const line of text.split('\n')) {
+      const h = /^(#{1,6})\s+(.*)$/.exec(line);
+      if (!h) continue;
+      levels.length = h[1].length + 1;
+      levels[h[1].length] = parseHeadingDate(h[2]);
+      best = Math.max(best, effective());
     }
-  }
+    if (best) dates[idx] = best;
+  });
+  return dates;
+}
 
-  return files;
+/**
+ * Decay multiplier for content dated `dateMs`: 1 when new, halving every
+ * `halfLifeDays`, floored at 1 - weight so old facts stay findable.
+ */
+function recencyFactor(dateMs, now, { halfLifeDays = DEFAULT_RECENCY_HALF_LIFE_DAYS, weight = 0 } = {}) {
+  if (!(weight > 0) || !dateMs) return 1;
+  const ageDays = Math.max(0, now - dateMs) / DAY_MS;
+  const decay = Math.pow(0.5, ageDays / Math.max(halfLifeDays, 1e-6));
+  const w = Math.min(weight, 1);
+  return 1 - w + w * decay;
 }
 
 // ---------------------------------------------------------------------------
-// Search implementations
+// Diversity
 // ---------------------------------------------------------------------------
 
+const SHINGLE_SIZE = 3;
+
 /**
- * Primary search: keyword scoring with mtime-based cache.
- * Only re-reads and re-chunks files whose mtime has changed.
+ * Word shingles of a chunk (normalized, stemmed), for near-duplicate checks.
+ * Chunks shorter than a shingle are represented by their words.
  */
-async function vectorSearchFiles(query, files, options = {}) {
-  const { maxResults = 10, minScore = 0.5, cachePath } = options;
+function shingleSet(text, textOptions = {}) {
+  const terms = termSequence(text, textOptions);
+  if (terms.length < SHINGLE_SIZE) return new Set(terms);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= terms.length; i++) {
+    shingles.add(terms.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
 
-  const cache = await loadCache(cachePath);
-  const keywords = extractKeywords(query);
-  const matchers = buildKeywordMatchers(keywords);
-  const results = [];
-  let dirty = false;
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const x of small) if (large.has(x)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
 
-  if (matchers.length === 0) return results;
+function diversityEnabled({ lambda = 1, duplicateThreshold = null, maxPerFile = 0 } = {}) {
+  return lambda < 1 || duplicateThreshold !== null || maxPerFile > 0;
+}
 
-  // Build set of current file paths for pruning
-  const currentPaths = new Set(files);
+/**
+ * Greedy maximal marginal relevance over score-ordered candidates
+ * ({ path, score, shingles }). Each pick maximizes
+ * lambda * score - (1 - lambda) * (similarity to the closest pick so far);
+ * candidates at or above duplicateThreshold similarity, or from a file that
+ * already has maxPerFile picks, are dropped.
+ */
+function selectDiverse(candidates, { lambda = 1, duplicateThreshold = null, maxPerFile = 0 } = {}, limit = candidates.length) {
+  const pool = candidates.map((c) => ({ c, sim: 0 }));
+  const selected = [];
+  const perFile = new Map();
 
-  for (const filePath of files) {
-    try {
-      const st = await fsp.stat(filePath);
-      const key = filePath;
-      let cached = cache.files[key];
-
-      // Re-chunk only if file has changed since last cache
-      if (!cached || cached.mtimeMs !== st.mtimeMs) {
-        const content = await fsp.readFile(filePath, 'utf8');
-        const chunkTexts = splitIntoChunks(content);
-
-        cached = {
-          mtimeMs: st.mtimeMs,
-          chunks: chunkTexts.map(t => ({ text: t })),
-        };
-        cache.files[key] = cached;
-        dirty = true;
+  while (selected.length < limit && pool.length) {
+    let best = -1;
+    let bestValue = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const { c, sim } = pool[i];
+      const full = maxPerFile > 0 && (perFile.get(c.path) || 0) >= maxPerFile;
+      if (full || (duplicateThreshold !== null && sim >= duplicateThreshold)) {
+        pool.splice(i--, 1);
+        continue;
       }
-
-      for (const ch of cached.chunks) {
-        const score = scoreChunk(matchers, String(ch.text || '').toLowerCase());
-        if (score >= minScore) {
-          results.push({
-            path: filePath,
-            score,
-            snippet: ch.text.slice(0, 500),  // original casing preserved
-          });
-        }
+      const value = lambda * c.score - (1 - lambda) * sim;
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
       }
-    } catch {
-      // Ignore unreadable files
     }
+    if (best < 0) break;
+
+    const [{ c: pick }] = pool.splice(best, 1);
+    selected.push(pick);
+    perFile.set(pick.path, (perFile.get(pick.path) || 0) + 1);
+    for (const entry of pool) entry.sim = Math.max(entry.sim, jaccard(entry.c.shingles, pick.shingles));
   }
+  return selected;
+}
 
-  // Prune cache entries for deleted/renamed files
-  for (const key of Object.keys(cache.files)) {
-    if (!currentPaths.has(key)) {
-      delete cache.files[key];
-      dirty = true;
-    }
+// ---------------------------------------------------------------------------
+// Inverted index
+// ---------------------------------------------------------------------------
+
+const INDEX_VERSION = 5;
+
+/**
+ * The inverted index lives next to the chunk cache
+ * (adaptive-memory-cache.json -> adaptive-memory-cache.index.json).
+ *
+ * Layout:
+ *   files:    { [path]: { id, mtimeMs, lens: [tokens per chunk], terms: [...],
+ *               dates?: { [chunkIdx]: ms from dated headings },
+ *               meta?: frontmatter } }
+ *   postings: Map<term, { [fileId]: [chunkIdx, tf, chunkIdx, tf, ...] }>
+ *
+ * Per-file term lists let a changed file be removed from postings without
+ * scanning the whole vocabulary. `tokenizer` and `chunker` record the token
+ * and chunking rules the index was built with; a mismatch (e.g.
+ * foldDiacritics or chunkOverlap changed) rebuilds it.
+ */
+function indexPathFor(cachePath) {
+  const p = cachePath || DEFAULT_CACHE_PATH;
+  return `${p.replace(/\.json$/, '')}.index.json`;
+}
+
+function createEmptyIndex(textOptions = {}, chunkOptions = {}) {
+  return {
+    version: INDEX_VERSION,
+    tokenizer: tokenizerSignature(textOptions),
+    chunker: chunkerSignature(chunkOptions),
+    nextId: 0,
+    chunkCount: 0,
+    totalLength: 0,
+    files: {},
+    postings: new Map(),
+  };
+}
+
+async function loadIndex(indexPath, textOptions = {}, chunkOptions = {}) {
+  const empty = createEmptyIndex(textOptions, chunkOptions);
+  return (await readIndexLike(indexPath, empty)) || empty;
+}
+
+/**
+ * The index saved at indexPath if it has the version and signatures of
+ * `like`, else null.
+ */
+async function readIndexLike(indexPath, like) {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(indexPath, 'utf8'));
+    if (parsed?.version !== like.version) return null;
+    if (parsed.tokenizer !== like.tokenizer || parsed.chunker !== like.chunker) return null;
+    return { ...parsed, postings: new Map(Object.entries(parsed.postings || {})) };
+  } catch {
+    return null;
   }
+}
 
-  // Bound cache growth: keep most-recently-updated file entries.
-  const keys = Object.keys(cache.files);
-  if (keys.length > MAX_CACHE_FILES) {
-    keys
-      .sort((a, b) => (cache.files[b]?.mtimeMs || 0) - (cache.files[a]?.mtimeMs || 0))
-      .slice(MAX_CACHE_FILES)
-      .forEach((k) => {
-        delete cache.files[k];
-        dirty = true;
-      });
+async function saveIndex(index, indexPath) {
+  await writeJsonAtomic(indexPath, { ...index, postings: Object.fromEntries(index.postings) });
+}
+
+function unindexFile(index, filePath) {
+  const entry = index.files[filePath];
+  if (!entry) return;
+  for (const term of entry.terms) {
+    const postings = index.postings.get(term);
+    if (!postings) continue;
+    delete postings[entry.id];
+    if (Object.keys(postings).length === 0) index.postings.delete(term);
   }
+  index.chunkCount -= entry.lens.length;
+  index.totalLength -= entry.lens.reduce((a, b) => a + b, 0);
+  delete index.files[filePath];
+}
 
-  if (dirty) {
-    const approxBytes = Buffer.byteLength(JSON.stringify(cache), 'utf8');
-    if (approxBytes > MAX_CACHE_JSON_BYTES) {
-      const ordered = Object.keys(cache.files)
-        .sort((a, b) => (cache.files[b]?.mtimeMs || 0) - (cache.files[a]?.mtimeMs || 0));
-      while (ordered.length && Buffer.byteLength(JSON.stringify(cache), 'utf8') > MAX_CACHE_JSON_BYTES) {
-        const drop = ordered.pop();
-        if (!drop) break;
-        delete cache.files[drop];
-      }
+/**
+ * (Re)index one file's chunks. Any previous postings for the file are removed first.
+ * `textOptions` ({ foldDiacritics }) must match the ones queries are run with.
+ * `meta` is the file's frontmatter, kept so filters and boosts never need
+ * the chunk cache.
+ */
+function indexFile(index, filePath, mtimeMs, chunks, textOptions = {}, meta = {}) {
+  unindexFile(index, filePath);
+
+  const id = index.nextId++;
+  const lens = [];
+  const fileTerms = new Map();
+
+  chunks.forEach((ch, idx) => {
+    const { length, terms } = tokenizeForIndex(ch.text, textOptions);
+    lens.push(length);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    for (const [term, n] of tf) {
+      if (!fileTerms.has(term)) fileTerms.set(term, []);
+      fileTerms.get(term).push(idx, n);
     }
-  }
+  });
 
-  // Only write cache if something changed
-  if (dirty) {
-    await saveCache(cache, cachePath);
+  for (const [term, pairs] of fileTerms) {
+    if (!index.postings.has(term)) index.postings.set(term, {});
+    index.postings.get(term)[id] = pairs;
   }
 
-  results.sort((a, b) => b.score - a.score);
-  return results.slice(0, maxResults);
+  index.files[filePath] = { id, mtimeMs, lens, terms: Array.from(fileTerms.keys()) };
+  const dates = chunkDates(chunks);
+  if (Object.keys(dates).length) index.files[filePath].dates = dates;
+  if (meta && Object.keys(meta).length) index.files[filePath].meta = meta;
+  index.chunkCount += lens.length;
+  index.totalLength += lens.reduce((a, b) => a + b, 0);
 }
 
 /**
- * Pre-warm the mtime/chunk cache without running any query scoring.
- * Useful on gateway startup to reduce first-search latency.
- *
- * @param {object} options - { memoryDir, cachePath }
- * @returns {Promise<object>} Stats for observability
+ * mergeFileEntries for the index: move into `ours` the file entries of
+ * `theirs` (read with readIndexLike) that are newer by mtime and accepted,
+ * with their postings under a fresh id. Returns the number taken.
  */
-async function warmSearchCache(options = {}) {
-  const { memoryDir = resolveMemoryDir(), cachePath } = options;
-  const files = await getMemoryFiles(memoryDir);
-  const cache = await loadCache(cachePath);
-  let dirty = false;
-  let refreshed = 0;
-  let reused = 0;
+function mergeIndexEntries(ours, theirs, accept = () => true) {
+  let taken = 0;
+  for (const [filePath, entry] of Object.entries(theirs?.files || {})) {
+    const mine = ours.files[filePath];
+    if (mine && mine.mtimeMs >= entry.mtimeMs) continue;
+    if (!accept(filePath, entry)) continue;
+    unindexFile(ours, filePath);
+    const id = ours.nextId++;
+    for (const term of entry.terms) {
+      const pairs = theirs.postings.get(term)?.[entry.id];
+      if (!pairs) continue;
+      if (!ours.postings.has(term)) ours.postings.set(term, {});
+      ours.postings.get(term)[id] = pairs;
+    }
+    ours.files[filePath] = { ...entry, id };
+    ours.chunkCount += entry.lens.length;
+    ours.totalLength += entry.lens.reduce((a, b) => a + b, 0);
+    taken += 1;
+  }
+  return taken;
+}
 
-  const currentPaths = new Set(files);
+// Fuzzy expansion: typos ("shipstr", "woocomerce") are matched against the
+// index vocabulary with a bounded edit distance and count for less than
+// exact hits.
+const DEFAULT_FUZZY = { enabled: false, maxDistance: 2, minLength: 5, weight: 0.75, maxExpansions: 5 };
 
-  for (const filePath of files) {
-    try {
-      const st = await fsp.stat(filePath);
-      const key = filePath;
-      let cached = cache.files[key];
-
-      if (!cached || cached.mtimeMs !== st.mtimeMs) {
-        const content = await fsp.readFile(filePath, 'utf8');
-        const chunkTexts = splitIntoChunks(content);
-        cache.files[key] = {
-          mtimeMs: st.mtimeMs,
-          chunks: chunkTexts.map(t => ({ text: t })),
-        };
-        dirty = true;
-        refreshed += 1;
-      } else {
-        reused += 1;
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), bounded:
+ * returns max + 1 as soon as the distance is known to exceed `max`.
+ */
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
       }
-    } catch {
-      // Ignore unreadable files during warmup.
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
     }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = cur;
   }
+  return Math.min(prev[b.length], max + 1);
+}
 
-  for (const key of Object.keys(cache.files)) {
-    if (!currentPaths.has(key)) {
-      delete cache.files[key];
-      dirty = true;
+/**
+ * Resolve query keywords to index terms: one entry per distinct stemmed term,
+ * each with its exact variant plus, when `fuzzy.enabled`, the closest
+ * vocabulary terms within the allowed edit distance. Alias matches
+ * ({ alias, names } from matchAliases) become one entry whose variants are
+ * the group's names; a multi-word name needs all its words in one chunk.
+ *
+ * Fuzzy expansion only applies to plain words of at least `fuzzy.minLength`
+ * characters (no digits, compounds or CJK), and allows a single edit below
+ * 8 characters, up to `fuzzy.maxDistance` from there on. Both the typed word
+ * and its stem are compared, so "calender" still reaches "calendar".
+ */
+function expandQuery(index, keywords, textOptions = {}, fuzzy = {}) {
+  const opts = { ...DEFAULT_FUZZY, ...fuzzy };
+  const query = [];
+  const seen = new Set();
+
+  for (const keyword of keywords) {
+    if (typeof keyword !== 'string') {
+      const variants = keyword.names
+        .map((name) => ({
+          term: name,
+          terms: queryTerms(tokenizeQuery(name, textOptions), textOptions),
+          keyword: keyword.alias,
+          alias: name,
+          fuzzy: false,
+          weight: 1,
+        }))
+        .filter((v) => v.terms.length);
+      if (variants.length) query.push(variants);
+      continue;
     }
-  }
 
-  const keys = Object.keys(cache.files);
-  if (keys.length > MAX_CACHE_FILES) {
-    keys
-      .sort((a, b) => (cache.files[b]?.mtimeMs || 0) - (cache.files[a]?.mtimeMs || 0))
-      .slice(MAX_CACHE_FILES)
-      .forEach((k) => {
-        delete cache.files[k];
-        dirty = true;
-      });
-  }
-  if (dirty && Buffer.byteLength(JSON.stringify(cache), 'utf8') > MAX_CACHE_JSON_BYTES) {
-    const ordered = Object.keys(cache.files)
-      .sort((a, b) => (cache.files[b]?.mtimeMs || 0) - (cache.files[a]?.mtimeMs || 0));
-    while (ordered.length && Buffer.byteLength(JSON.stringify(cache), 'utf8') > MAX_CACHE_JSON_BYTES) {
-      const drop = ordered.pop();
-      if (!drop) break;
-      delete cache.files[drop];
-      dirty = true;
+    const [term] = queryTerms([keyword], textOptions);
+    if (seen.has(term)) continue;
+    seen.add(term);
+    const variants = [{ term, terms: [term], keyword, fuzzy: false, weight: 1 }];
+
+    if (opts.enabled && keyword.length >= opts.minLength && isFuzzyEligible(keyword)) {
+      const allowed = keyword.length < 8 ? Math.min(1, opts.maxDistance) : opts.maxDistance;
+      const near = [];
+      for (const candidate of index.postings.keys()) {
+        if (candidate === term || !isFuzzyEligible(candidate)) continue;
+        const distance = Math.min(
+          boundedEditDistance(term, candidate, allowed),
+          boundedEditDistance(keyword, candidate, allowed)
+        );
+        if (distance <= allowed) near.push({ term: candidate, distance });
+      }
+      near
+        .sort((x, y) => x.distance - y.distance || x.term.localeCompare(y.term))
+        .slice(0, opts.maxExpansions)
+        .forEach(({ term: t, distance }) => variants.push({
+          term: t, terms: [t], keyword, fuzzy: true, distance, weight: opts.weight,
+        }));
     }
+    query.push(variants);
   }
+  return query;
+}
+
+/**
+ * Postings for the chunks containing every term (tf = the smallest count),
+ * in the same { [fileId]: [chunkIdx, tf, ...] } shape as a single term's.
+ */
+function postingsForAll(index, terms) {
+  const lists = terms.map((t) => index.postings.get(t));
+  if (lists.some((l) => !l)) return undefined;
+  if (lists.length === 1) return lists[0];
 
-  if (dirty) {
-    await saveCache(cache, cachePath);
+  const [first, ...rest] = lists;
+  const out = {};
+  for (const [id, pairs] of Object.entries(first)) {
+    const others = rest.map((l) => l[id]);
+    if (others.some((p) => !p)) continue;
+    const tfMaps = others.map((p) => {
+      const m = new Map();
+      for (let i = 0; i < p.length; i += 2) m.set(p[i], p[i + 1]);
+      return m;
+    });
+    const merged = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      let tf = pairs[i + 1];
+      for (const m of tfMaps) tf = Math.min(tf, m.get(pairs[i]) || 0);
+      if (tf > 0) merged.push(pairs[i], tf);
+    }
+    if (merged.length) out[id] = merged;
   }
+  return out;
+}
 
-  return {
-    filesSeen: files.length,
-    refreshed,
-    reused,
-    cacheWritten: dirty,
+/**
+ * Score only the chunks whose postings contain at least one keyword (or a
+ * fuzzy variant or alias of one). Keywords are stemmed with the same `textOptions`
+ * the index was built with; `fuzzy` is { enabled, maxDistance, minLength, weight },
+ * each defaulting to DEFAULT_FUZZY (off, as in searchMemory).
+ *
+ * Returns [{ path, chunkIdx, score, matchedTerms, fuzzyMatches, aliasMatches }]
+ * for candidates at or above minScore; per keyword, each chunk is credited
+ * with its exact term when present, otherwise its closest fuzzy variant.
+ * With an `explain` array, every candidate is also pushed there with its
+ * per-keyword `terms` ({ keyword, term, tf, df, fuzzy, contribution }) and the stage
+ * that dropped it, if any (see explain.js).
+ */
+function searchIndex(index, keywords, minScore = 0, textOptions = {}, fuzzy = {}, explain = null) {
+  const query = expandQuery(index, keywords, textOptions, fuzzy);
+  const corpus = {
+    chunkCount: index.chunkCount,
+    avgLength: index.chunkCount ? index.totalLength / index.chunkCount : 0,
   };
+  const idToPath = new Map(Object.entries(index.files).map(([p, f]) => [String(f.id), p]));
+
+  const perTerm = query.map((variants) => variants.map((v) => {
+    const postings = postingsForAll(index, v.terms);
+    let df = 0;
+    if (postings) {
+      for (const pairs of Object.values(postings)) df += pairs.length / 2;
+    }
+    return { ...v, postings, df };
+  }));
+
+  // Exact beats fuzzy, a closer variant beats a farther one, then higher tf.
+  const better = (a, b) => {
+    if (!b) return true;
+    if (a.fuzzy !== b.fuzzy) return !a.fuzzy;
+    if ((a.distance || 0) !== (b.distance || 0)) return (a.distance || 0) < (b.distance || 0);
+    return a.tf > b.tf;
+  };
+
+  const candidates = new Map();
+  perTerm.forEach((variants, k) => {
+    for (const v of variants) {
+      if (!v.postings) continue;
+      for (const [id, pairs] of Object.entries(v.postings)) {
+        for (let i = 0; i < pairs.length; i += 2) {
+          const key = `${id}:${pairs[i]}`;
+          if (!candidates.has(key)) candidates.set(key, new Array(query.length).fill(null));
+          const slots = candidates.get(key);
+          const hit = { ...v, tf: pairs[i + 1] };
+          if (better(hit, slots[k])) slots[k] = hit;
+        }
+      }
+    }
+  });
+
+  const scored = [];
+  for (const [key, slots] of candidates) {
+    const [id, idx] = key.split(':');
+    const filePath = idToPath.get(id);
+    if (!filePath) continue;
+    const chunkIdx = Number(idx);
+    const length = index.files[filePath].lens[chunkIdx];
+    const terms = slots.map((hit, k) => hit || { tf: 0, df: perTerm[k][0].df });
+    const parts = explain ? {} : undefined;
+    const score = bm25Score(terms, length, corpus, parts);
+    if (explain) {
+      let droppedAt = null;
+      if (parts.gated) droppedAt = 'coverage';
+      else if (!(score > 0 && score >= minScore)) droppedAt = 'minScore';
+      explain.push({
+        path: filePath,
+        chunkIdx,
+        score,
+        droppedAt,
+        terms: slots.map((hit, k) => ({
+          keyword: perTerm[k][0].keyword,
+          term: (hit || perTerm[k][0]).term,
+          tf: hit ? hit.tf : 0,
+          df: (hit || perTerm[k][0]).df,
+          fuzzy: Boolean(hit?.fuzzy),
+          contribution: parts.contributions[k],
+        })),
+      });
+    }
+    if (score > 0 && score >= minScore) {
+      const hits = slots.filter(Boolean);
+      scored.push({
+        path: filePath,
+        chunkIdx,
+        score,
+        matchedTerms: hits.flatMap((h) => h.terms),
+        fuzzyMatches: hits.filter((h) => h.fuzzy).map((h) => ({ keyword: h.keyword, term: h.term })),
+        aliasMatches: hits
+          .filter((h) => h.alias && h.alias !== h.keyword)
+          .map((h) => ({ keyword: h.keyword, alias: h.alias })),
+      });
+    }
+  }
+  return scored;
 }
 
 // ---------------------------------------------------------------------------
-// Public API
+// Vector store
 // ---------------------------------------------------------------------------
 
+const VECTOR_STORE_VERSION = 3;
+
 /**
- * Adaptive Memory search — find relevant memory chunks.
- *
- * @param {string} query - User's intent/question
- * @param {object} options - { maxResults, minScore, memoryDir, cachePath }
- * @returns {Promise<Array>} Ranked results with { path, score, snippet }
+ * Chunk embeddings live next to the chunk cache
+ * (adaptive-memory-cache.json -> adaptive-memory-cache.vectors.json),
+ * one int8/base64 vector per chunk, in the same order as the cached chunks.
+ * The whole store is rebuilt when the embedding provider id or the chunking
+ * rules change.
  */
-async function searchMemory(query, options = {}) {
-  const {
-    maxResults = 10,
-    minScore = 0.5,
-    memoryDir = resolveMemoryDir(),
-    cachePath,
-  } = options;
+function vectorsPathFor(cachePath) {
+  const p = cachePath || DEFAULT_CACHE_PATH;
+  return `${p.replace(/\.json$/, '')}.vectors.json`;
+}
 
-  if (!query || typeof query !== 'string' || query.length < 3) {
-    return [];
-  }
+function createEmptyVectorStore(providerId, chunker = chunkerSignature()) {
+  return { version: VECTOR_STORE_VERSION, provider: providerId, chunker, files: {} };
+}
 
-  const files = await getMemoryFiles(memoryDir);
-  if (files.length === 0) return [];
+async function loadVectorStore(vectorsPath, providerId, chunker = chunkerSignature()) {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(vectorsPath, 'utf8'));
+    if (parsed?.version !== VECTOR_STORE_VERSION || parsed.provider !== providerId || parsed.chunker !== chunker) {
+      return createEmptyVectorStore(providerId, chunker);
+    }
+    return parsed;
+  } catch {
+    return createEmptyVectorStore(providerId, chunker);
+  }
+}
 
-  return vectorSearchFiles(query, files, { maxResults, minScore, cachePath });
+/**
+ * Cosine top-k over every stored chunk vector.
+ * Returns [{ path, chunkIdx, score }] with score = cosine clamped to 0..1.
+ */
+function searchVectors(store, queryVec, minScore = 0) {
+  const scored = [];
+  for (const [filePath, entry] of Object.entries(store.files)) {
+    entry.vectors.forEach((encoded, chunkIdx) => {
+      const score = Math.max(0, cosineSimilarity(queryVec, decodeVector(encoded)));
+      if (score > 0 && score >= minScore) scored.push({ path: filePath, chunkIdx, score });
+    });
+  }
+  return scored;
 }
 
 // ---------------------------------------------------------------------------
-// CLI
+// File discovery
 // ---------------------------------------------------------------------------
 
-if (require.main === module) {
-  const query = process.argv[2] || 'projects active';
-
-  searchMemory(query, { maxResults: 5, minScore: 0.3 }).then(results => {
-    console.log(`\nFound ${results.length} results:\n`);
-    results.forEach((r, i) => {
-      console.log(`${i + 1}. ${path.basename(r.path)} (score: ${r.score.toFixed(2)})`);
-      console.log(`   ${r.snippet.slice(0, 120)}`);
-      console.log();
-    });
-  }).catch(err => {
-    console.error('Search failed:', err);
-    process.exit(1);
-  });
+/**
+ * Pattern matching daily injection files (YYYY-MM-DD.md) written by the hook.
+ * These are excluded from the search corpus to prevent feedback loops.
+ */
+const DAILY_INJECTION_RE = /^\d{4}-\d{2}-\d{2}\.md$/;
+
+/**
+ * Get memory files recursively from memoryDir: those whose extension is in
+ * `extensions` and has an extractor (see sources.js; *.md, *.txt, *.json,
+ * *.jsonl and *.html by default). Skips hidden files and directories,
+ * archive directories, daily injection files (YYYY-MM-DD.md) and whatever
+ * the `ignore` patterns or memoryDir/.memoryignore exclude (see ignore.js).
+ *
+ * @param {object} options - { extensions, ignore }
+ */
+async function getMemoryFiles(memoryDir, options = {}) {
+  const root = expandPath(memoryDir);
+  const allowed = enabledExtensions(options.extensions ?? DEFAULT_EXTENSIONS);
+  const rules = await loadIgnoreRules(root, options.ignore);
+  const files = [];
+
+  async function walk(dir, rel) {
+    let items;
+    try {
+      items = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error(`[adaptive-memory] Cannot read ${dir}:`, e.message);
+      }
+      return;
+    }
+
+    for (const item of items) {
+      const fullPath = path.join(dir, item.name);
+      const relPath = rel ? `${rel}/${item.name}` : item.name;
+      if (item.name.startsWith('.')) continue;
+
+      if (item.isDirectory()) {
+        if (item.name !== 'archive' && !matchIgnore(rules, relPath, true).ignored) {
+          await walk(fullPath, relPath);
+        }
+      } else if (
+        item.isFile() &&
+        allowed.includes(path.extname(item.name).toLowerCase()) &&
+        !DAILY_INJECTION_RE.test(item.name) &&
+        !matchIgnore(rules, relPath, false).ignored
+      ) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  await walk(root, '');
+  return files;
+}
+
+/**
+ * Why a file is or is not part of the search corpus, checking the same rules
+ * as getMemoryFiles (plus the aliases file, which searches leave out).
+ *
+ * @param {string} filePath - Absolute, or relative to memoryDir (with
+ *   memoryRoots: to the first root that has it)
+ * @param {object} options - { memoryDir, memoryRoots, extensions, ignore,
+ *   aliasesFile }
+ * @returns {Promise<{ included: boolean, reason: string }>}
+ */
+async function explainExclusion(filePath, options = {}) {
+  const roots = resolveMemoryRoots(options.memoryRoots, options.memoryDir || resolveMemoryDir()).map((r) => r.path);
+  const within = (dir, p) => {
+    const rel = path.relative(dir, p);
+    return Boolean(rel) && !rel.startsWith('..') && !path.isAbsolute(rel);
+  };
+  const target = expandPath(filePath);
+  const candidates = roots.map((dir) => path.resolve(dir, target));
+  const fullPath = candidates.find((p) => fs.existsSync(p)) || candidates[0];
+  const root = roots.find((dir) => within(dir, fullPath));
+  const out = (included, reason) => ({ included, reason });
+
+  if (!root) return out(false, `outside ${roots.length > 1 ? 'memoryRoots' : 'memoryDir'} (${roots.join(', ')})`);
+  const rel = path.relative(root, fullPath);
+  const parts = rel.split(path.sep);
+  const relPath = parts.join('/');
+  const name = parts[parts.length - 1];
+
+  let isDir = false;
+  try {
+    isDir = (await fsp.stat(fullPath)).isDirectory();
+  } catch {
+    return out(false, 'no such file');
+  }
+
+  const hidden = parts.find((p) => p.startsWith('.'));
+  if (hidden) return out(false, `hidden ${hidden === name && !isDir ? 'file' : 'directory'} "${hidden}"`);
+  if (parts.slice(0, isDir ? parts.length : -1).includes('archive')) return out(false, 'inside an archive/ directory');
+  if (!isDir) {
+    const allowed = enabledExtensions(options.extensions ?? DEFAULT_EXTENSIONS);
+    const ext = path.extname(name).toLowerCase();
+    if (!allowed.includes(ext)) return out(false, `extension "${ext || '(none)'}" is not in extensions (${allowed.join(' ')})`);
+    if (DAILY_INJECTION_RE.test(name)) return out(false, 'daily injection file (YYYY-MM-DD.md) written by the hook');
+    if (fullPath === resolveAliasesPath(root, options.aliasesFile)) return out(false, 'aliases file (expands queries, not searched)');
+  }
+
+  const { ignored, rule } = matchIgnore(await loadIgnoreRules(root, options.ignore), relPath, isDir);
+  if (ignored) return out(false, `ignored by ${describeRule(rule)}`);
+  if (rule) return out(true, `re-included by ${describeRule(rule)}`);
+  return out(true, isDir ? 'directory is searched' : 'included');
+}
+
+// ---------------------------------------------------------------------------
+// Memory roots
+// ---------------------------------------------------------------------------
+
+/**
+ * Cache path for one of several memory roots. Each root keeps its own chunk
+ * cache, index and vector store (adaptive-memory-cache.json ->
+ * adaptive-memory-cache.root-<hash>.json), so roots never evict or re-index
+ * each other's files. A single root uses cachePath as is.
+ */
+function rootCachePath(cachePath, root, rootCount) {
+  const p = cachePath || DEFAULT_CACHE_PATH;
+  if (rootCount <= 1) return p;
+  const id = crypto.createHash('sha1').update(root.path).digest('hex').slice(0, 10);
+  return `${p.replace(/\.json$/, '')}.root-${id}.json`;
+}
+
+/**
+ * A root's searchable files and its aliases file, which expands queries and
+ * is not itself a search result.
+ */
+async function rootFiles(root, options) {
+  const aliasesPath = resolveAliasesPath(root.path, options.aliasesFile);
+  const files = (await getMemoryFiles(root.path, options)).filter((f) => f !== aliasesPath);
+  return { files, aliasesPath };
+}
+
+/**
+ * Tag a root's results with the root and its namespace. `score` is scaled by
+ * the root's weight (reported as `scores.root`; capped at 1 like priority)
+ * and `relevance` is not, like recency and priority; a namespace prefixes the
+ * citation ("team:notes.md#L4").
+ */
+function applyRootWeight(results, root) {
+  return results.map((r) => ({
+    ...r,
+    root: root.path,
+    namespace: root.namespace,
+    score: Math.min(1, r.score * root.weight),
+    scores: root.weight === 1 ? r.scores : { ...r.scores, root: root.weight },
+    citation: root.namespace ? `${root.namespace}:${r.citation}` : r.citation,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Search implementations
+// ---------------------------------------------------------------------------
+
+/**
+ * Drop cache entries for deleted files and bound cache growth, keeping the
+ * most-recently-updated file entries. Shard sizes are recorded in the
+ * manifest, so this is one pass over it; dropped shards are deleted on the
+ * next save. Returns true if anything was removed.
+ */
+function pruneCache(cache, currentPaths) {
+  const state = shardState(cache);
+  let dirty = false;
+  const drop = (key) => {
+    delete cache.files[key];
+    state.loaded.delete(key);
+    state.dirty.delete(key);
+    state.removed.add(key);
+    dirty = true;
+  };
+
+  // Prune cache entries for deleted/renamed files
+  for (const key of Object.keys(cache.files)) {
+    if (!currentPaths.has(key)) drop(key);
+  }
+
+  let bytes = 0;
+  Object.keys(cache.files)
+    .sort((a, b) => (cache.files[b]?.mtimeMs || 0) - (cache.files[a]?.mtimeMs || 0))
+    .forEach((key, i) => {
+      bytes += cache.files[key].bytes || 0;
+      if (i >= MAX_CACHE_FILES || bytes > MAX_CACHE_BYTES) drop(key);
+    });
+  return dirty;
+}
+
+/**
+ * Make a file's chunks available through cachedEntry: from memory, from its
+ * shard when the manifest entry is current, else by reading, extracting
+ * (sources.js) and chunking the file when its cached copy is missing, older
+ * than mtimeMs or chunked with other rules or options. Frontmatter is stored
+ * as `meta` and not chunked; chunk line numbers still count it. Formats whose
+ * text is not the file's own lines (JSON, HTML) get chunks without line
+ * numbers.
+ * Returns true if the cache entry was (re)built.
+ */
+async function ensureCachedChunks(cache, filePath, mtimeMs, chunkOptions = {}) {
+  const state = shardState(cache);
+  const cached = cache.files[filePath];
+  const chunker = chunkerSignature(chunkOptions);
+  const current = (entry) => entry && entry.mtimeMs === mtimeMs && entry.chunker === chunker;
+  if (current(cached)) {
+    if (current(state.loaded.get(filePath))) return false;
+    try {
+      const shard = JSON.parse(await fsp.readFile(path.join(state.dir || shardDirFor(), cached.shard), 'utf8'));
+      if (shard.path === filePath && current(shard) && Array.isArray(shard.chunks)) {
+        state.loaded.set(filePath, shard);
+        return false;
+      }
+    } catch {
+      // Missing or unreadable shard: rebuild it
+    }
+  }
+  const { text, meta, lineOffset } = extractSource(await fsp.readFile(filePath, 'utf8'), filePath);
+  let chunks = splitIntoChunks(text, { ...chunkOptions, lineOffset: lineOffset || 0 });
+  if (lineOffset === null) chunks = chunks.map(({ startLine, endLine, ...ch }) => ch);
+  const shard = { path: filePath, mtimeMs, chunker, meta, chunks };
+  cache.files[filePath] = {
+    mtimeMs,
+    chunker,
+    shard: shardName(filePath),
+    bytes: Buffer.byteLength(JSON.stringify(shard), 'utf8'),
+  };
+  state.loaded.set(filePath, shard);
+  state.dirty.add(filePath);
+  state.removed.delete(filePath);
+  return true;
+}
+
+/**
+ * Bring the inverted index up to date with the current file list.
+ * Only files whose mtime changed are re-read and re-indexed. The chunk cache
+ * is loaded lazily through `session.getCache()`, so an unchanged corpus never
+ * parses it just to sync.
+ */
+async function syncIndex(files, cachePath, textOptions = {}, chunkOptions = {}) {
+  const indexPath = indexPathFor(cachePath);
+  const index = await loadIndex(indexPath, textOptions, chunkOptions);
+  const session = {
+    cachePath,
+    chunkOptions,
+    index,
+    cache: null,
+    vectors: null,
+    cacheDirty: false,
+    indexDirty: false,
+    vectorsDirty: false,
+    refreshed: 0,
+    reused: 0,
+    currentPaths: new Set(files),
+    async getCache() {
+      if (!this.cache) this.cache = await loadCache(cachePath);
+      return this.cache;
+    },
+  };
+  await syncSessionFiles(session, files, textOptions);
+  return session;
+}
+
+/**
+ * Re-index a session's changed files and drop files no longer listed
+ * (syncIndex; watch mode calls it again on the same session after changes).
+ */
+async function syncSessionFiles(session, files, textOptions = {}) {
+  const { index, chunkOptions } = session;
+  session.currentPaths = new Set(files);
+
+  for (const filePath of files) {
+    try {
+      const st = await fsp.stat(filePath);
+      if (index.files[filePath]?.mtimeMs === st.mtimeMs) {
+        session.reused += 1;
+        continue;
+      }
+      const cache = await session.getCache();
+      if (await ensureCachedChunks(cache, filePath, st.mtimeMs, chunkOptions)) session.cacheDirty = true;
+      const { chunks, meta } = cachedEntry(cache, filePath);
+      indexFile(index, filePath, st.mtimeMs, chunks, textOptions, meta);
+      session.indexDirty = true;
+      session.refreshed += 1;
+    } catch {
+      // Ignore unreadable files
+    }
+  }
+
+  for (const filePath of Object.keys(index.files)) {
+    if (!session.currentPaths.has(filePath)) {
+      unindexFile(index, filePath);
+      session.indexDirty = true;
+    }
+  }
+}
+
+/**
+ * Alias groups from the aliases file, parsed only when its mtime changes;
+ * the parsed groups are kept in the index next to the per-file entries.
+ */
+async function syncAliases(session, aliasesPath) {
+  const cached = session.index.aliases;
+  if (!aliasesPath) return [];
+  let st;
+  try {
+    st = await fsp.stat(aliasesPath);
+  } catch {
+    if (cached) {
+      delete session.index.aliases;
+      session.indexDirty = true;
+    }
+    return [];
+  }
+  if (cached?.path === aliasesPath && cached.mtimeMs === st.mtimeMs) return cached.groups;
+
+  try {
+    const groups = parseAliases(await fsp.readFile(aliasesPath, 'utf8'));
+    session.index.aliases = { path: aliasesPath, mtimeMs: st.mtimeMs, groups };
+    session.indexDirty = true;
+    return groups;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Bring stored chunk embeddings up to date with the (already synced) index.
+ * Only files whose mtime changed since they were last embedded are re-embedded.
+ */
+async function syncVectors(session, provider) {
+  const loaded = session.vectors;
+  const store = loaded?.provider === provider.id && loaded.chunker === session.index.chunker
+    ? loaded
+    : await loadVectorStore(vectorsPathFor(session.cachePath), provider.id, session.index.chunker);
+  session.vectors = store;
+
+  for (const [filePath, entry] of Object.entries(session.index.files)) {
+    if (store.files[filePath]?.mtimeMs === entry.mtimeMs) continue;
+    try {
+      const cache = await session.getCache();
+      if (await ensureCachedChunks(cache, filePath, entry.mtimeMs, session.chunkOptions)) session.cacheDirty = true;
+      const texts = cachedEntry(cache, filePath).chunks.map((ch) => ch.text);
+      const vectors = texts.length ? await provider.embed(texts) : [];
+      store.files[filePath] = { mtimeMs: entry.mtimeMs, vectors: vectors.map(encodeVector) };
+      session.vectorsDirty = true;
+    } catch {
+      // Ignore unreadable files
+    }
+  }
+
+  for (const filePath of Object.keys(store.files)) {
+    if (!session.index.files[filePath]) {
+      delete store.files[filePath];
+      session.vectorsDirty = true;
+    }
+  }
+}
+
+/**
+ * Persist whatever the sync/search session changed, holding the cache lock
+ * (lock.js) and merging in chunk, index and vector entries other processes
+ * saved meanwhile. Returns true if anything was written; false also when the lock
+ * stayed busy, in which case the session stays dirty.
+ */
+async function commitSession(session, cachePath) {
+  if (session.cache && pruneCache(session.cache, session.currentPaths)) session.cacheDirty = true;
+  // Only write files that changed
+  if (!session.cacheDirty && !session.indexDirty && !session.vectorsDirty) return false;
+
+  try {
+    await withLock(lockPathFor(cachePath), async () => {
+      if (session.cacheDirty) {
+        // Keep entries other processes wrote since we loaded the cache
+        const chunker = chunkerSignature(session.chunkOptions);
+        const accept = (filePath, entry) => session.currentPaths.has(filePath) && entry.chunker === chunker;
+        if (mergeFileEntries(session.cache, await loadCache(cachePath), accept)) {
+          pruneCache(session.cache, session.currentPaths);
+        }
+        await saveCache(session.cache, cachePath);
+      }
+      if (session.indexDirty) {
+        const indexPath = indexPathFor(cachePath);
+        const disk = await readIndexLike(indexPath, session.index);
+        mergeIndexEntries(session.index, disk, (filePath) => session.currentPaths.has(filePath));
+        await saveIndex(session.index, indexPath);
+      }
+      if (session.vectorsDirty) {
+        const store = session.vectors;
+        const disk = await loadVectorStore(vectorsPathFor(cachePath), store.provider, store.chunker);
+        mergeFileEntries(store, disk, (filePath) => Boolean(session.index.files[filePath]));
+        await writeJsonAtomic(vectorsPathFor(cachePath), store);
+      }
+    });
+  } catch (e) {
+    // Another process holds the lock: stay dirty and write next time
+    if (e.code === 'ELOCKED') return false;
+    throw e;
+  }
+
+  session.cacheDirty = session.indexDirty = session.vectorsDirty = false;
+  return true;
+}
+
+/**
+ * Attach original-casing snippets to ranked { path, chunkIdx, score, ... } hits,
+ * plus `matchedWords`: the chunk's own words behind each stemmed or fuzzy
+ * query term (a query for "deploying" lists "Deployed" and "deployment"),
+ * and the chunk's location (lines, headings, citation relative to baseDir).
+ * Snippets are windows around the matched words (see snippets.js).
+ */
+async function hydrateResults(session, ranked, keywords = [], textOptions = {}, baseDir, snippetOptions = {}) {
+  const queryTermList = queryTerms(keywords, textOptions);
+  const results = [];
+  if (!ranked.length) return results;
+
+  const cache = await session.getCache();
+  for (const r of ranked) {
+    try {
+      const { mtimeMs } = session.index.files[r.path];
+      if (await ensureCachedChunks(cache, r.path, mtimeMs, session.chunkOptions)) session.cacheDirty = true;
+      const ch = cachedEntry(cache, r.path).chunks[r.chunkIdx];
+      if (!ch) continue;
+      const matchedWords = findMatchedWords(ch.text, r.matchedTerms || queryTermList, textOptions);
+      results.push({
+        path: r.path,
+        meta: session.index.files[r.path].meta || {},
+        score: r.score,
+        relevance: r.relevance,
+        chunkIdx: r.chunkIdx,
+        retrievers: r.retrievers,
+        scores: r.scores,
+        matchedWords,
+        fuzzyMatches: r.fuzzyMatches || [],
+        aliasMatches: r.aliasMatches || [],
+        startLine: ch.startLine,
+        endLine: ch.endLine,
+        headings: ch.headings || [],
+        citation: formatCitation(r.path, ch, baseDir),
+        snippet: extractSnippet(ch.text, matchedWords, { ...snippetOptions, headings: ch.headings }),  // original casing preserved
+      });
+    } catch {
+      // File vanished between sync and snippet lookup
+    }
+  }
+  return results;
+}
+
+// Hybrid fusion defaults (overridable via config.json)
+const DEFAULT_HYBRID_WEIGHTS = { keyword: 0.6, vector: 0.4 };
+const DEFAULT_RRF_K = 60;
+const FUSION_METHODS = ['weighted', 'rrf'];
+
+/**
+ * Fuse per-retriever hit lists into one list of { path, chunkIdx, score,
+ * retrievers, scores }.
+ *
+ *  - weighted: weighted mean of each retriever's 0..1 score. Chunks missing
+ *    from a retriever's list use `scoreOf[name]` (exact score lookups) or 0,
+ *    so the fused score stays comparable to minRelevanceScore.
+ *  - rrf: reciprocal rank fusion, sum of w / (k + rank), normalized so a
+ *    chunk ranked first by every retriever scores 1.
+ *
+ * `retrievers` lists the retrievers whose candidate list contained the chunk.
+ */
+function fuseResults(lists, options = {}) {
+  const {
+    method = 'weighted',
+    weights = DEFAULT_HYBRID_WEIGHTS,
+    k = DEFAULT_RRF_K,
+    scoreOf = {},
+  } = options;
+  if (!FUSION_METHODS.includes(method)) {
+    throw new Error(`Unknown hybrid fusion method: ${method} (expected ${FUSION_METHODS.join(', ')})`);
+  }
+
+  const names = Object.keys(lists);
+  const rawWeights = names.map((n) => (typeof weights[n] === 'number' && weights[n] > 0 ? weights[n] : 0));
+  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+  // All-zero or missing weights fall back to equal weighting.
+  const weightOf = new Map(names.map((n, i) => [n, weightSum > 0 ? rawWeights[i] / weightSum : 1 / names.length]));
+
+  const fused = new Map();
+  for (const name of names) {
+    const sorted = [...lists[name]].sort((a, b) => b.score - a.score);
+    sorted.forEach((hit, i) => {
+      const key = `${hit.path}#${hit.chunkIdx}`;
+      if (!fused.has(key)) {
+        fused.set(key, { path: hit.path, chunkIdx: hit.chunkIdx, retrievers: [], scores: {}, ranks: {} });
+      }
+      const f = fused.get(key);
+      f.retrievers.push(name);
+      f.scores[name] = hit.score;
+      f.ranks[name] = i + 1;
+    });
+  }
+
+  const rrfMax = 1 / (k + 1);
+  const out = [];
+  for (const [key, f] of fused) {
+    let score = 0;
+    for (const name of names) {
+      if (method === 'rrf') {
+        if (f.ranks[name]) score += weightOf.get(name) / (k + f.ranks[name]);
+      } else {
+        if (f.scores[name] === undefined) f.scores[name] = scoreOf[name]?.get(key) || 0;
+        score += weightOf.get(name) * f.scores[name];
+      }
+    }
+    if (method === 'rrf') score /= rrfMax;
+    out.push({
+      path: f.path,
+      chunkIdx: f.chunkIdx,
+      score: Math.min(score, 1.0),
+      retrievers: f.retrievers,
+      scores: f.scores,
+    });
+  }
+  return out;
+}
+
+/**
+ * Does the chunk contain every term? Answered from the index postings.
+ */
+function chunkHasTerms(index, filePath, chunkIdx, terms) {
+  const entry = index.files[filePath];
+  if (!entry) return false;
+  return terms.every((term) => {
+    const pairs = index.postings.get(term)?.[entry.id];
+    if (!pairs) return false;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (pairs[i] === chunkIdx) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Drop hits that violate the query's operators: file filters, +required and
+ * -excluded terms (checked against the index), then phrases (checked against
+ * the chunk text, so only surviving candidates are read).
+ */
+async function applyQueryFilters(session, hits, parsed, textOptions) {
+  if (!hasOperators(parsed) || !hits.length) return hits;
+
+  const termsOf = (word) => queryTerms(tokenizeQuery(word, textOptions), textOptions);
+  const required = parsed.required.map(termsOf).filter((t) => t.length);
+  const excluded = parsed.excluded.map(termsOf).filter((t) => t.length);
+  const { index } = session;
+
+  const kept = hits.filter((h) => fileAllowed(h.path, parsed)
+    && required.every((terms) => chunkHasTerms(index, h.path, h.chunkIdx, terms))
+    && !excluded.some((terms) => chunkHasTerms(index, h.path, h.chunkIdx, terms)));
+
+  if (!parsed.phrases.length && !parsed.excludedPhrases.length) return kept;
+
+  const cache = await session.getCache();
+  const out = [];
+  for (const h of kept) {
+    try {
+      const { mtimeMs } = index.files[h.path];
+      if (await ensureCachedChunks(cache, h.path, mtimeMs, session.chunkOptions)) session.cacheDirty = true;
+      const text = cachedEntry(cache, h.path).chunks[h.chunkIdx]?.text || '';
+      if (parsed.phrases.every((p) => containsPhrase(text, p, textOptions))
+        && !parsed.excludedPhrases.some((p) => containsPhrase(text, p, textOptions))) {
+        out.push(h);
+      }
+    } catch {
+      // File vanished between sync and filtering
+    }
+  }
+  return out;
+}
+
+/**
+ * Drop hits from files the frontmatter filters exclude: private files (unless
+ * filter.includePrivate) and files failing filter.tags / filter.excludeTags.
+ */
+function applyMetadataFilters(index, hits, filter) {
+  return hits.filter((h) => metadataAllows(index.files[h.path]?.meta, filter));
+}
+
+/**
+ * Scale scores by each file's frontmatter priority (see priorityFactor).
+ * Like recency, this reorders results without changing `relevance`; a
+ * boosted score is capped at 1 so scores stay in 0..1 (ties at the cap keep
+ * relevance order, see byScore).
+ */
+function applyPriority(index, ranked, weights) {
+  return ranked.map((r) => {
+    const factor = priorityFactor(index.files[r.path]?.meta, weights);
+    if (factor === 1) return r;
+    return { ...r, score: Math.min(1, r.score * factor), scores: { ...r.scores, priority: factor } };
+  });
+}
+
+function byScore(a, b) {
+  return b.score - a.score || (b.relevance ?? 0) - (a.relevance ?? 0);
+}
+
+/**
+ * Scale scores by recency (see recencyFactor). A chunk's date is its dated
+ * heading when it has one, otherwise the file's mtime. `relevance` keeps the
+ * undecayed score so thresholds still judge relevance alone.
+ */
+function applyRecency(index, ranked, recency, now = Date.now()) {
+  if (!(recency.weight > 0)) return ranked.map((r) => ({ ...r, relevance: r.score }));
+  return ranked.map((r) => {
+    const entry = index.files[r.path];
+    const dateMs = entry?.dates?.[r.chunkIdx] || entry?.mtimeMs || 0;
+    const factor = recencyFactor(dateMs, now, recency);
+    return { ...r, relevance: r.score, score: r.score * factor, scores: { ...r.scores, recency: factor } };
+  });
+}
+
+/**
+ * Reduce the ranked list to `limit` results that each add something new
+ * (see selectDiverse). Only the top of the ranking is considered, and chunk
+ * text is read for those candidates alone.
+ */
+async function applyDiversity(session, ranked, diversity, limit, textOptions) {
+  if (!diversityEnabled(diversity) || !ranked.length) return ranked.slice(0, limit);
+
+  const cache = await session.getCache();
+  const candidates = [];
+  for (const r of ranked.slice(0, Math.max(limit * 3, 30))) {
+    try {
+      const { mtimeMs } = session.index.files[r.path];
+      if (await ensureCachedChunks(cache, r.path, mtimeMs, session.chunkOptions)) session.cacheDirty = true;
+      const text = cachedEntry(cache, r.path).chunks[r.chunkIdx]?.text || '';
+      candidates.push({ ...r, shingles: shingleSet(text, textOptions) });
+    } catch {
+      // File vanished between sync and selection
+    }
+  }
+  return selectDiverse(candidates, diversity, limit).map(({ shingles, ...r }) => r);
+}
+
+/**
+ * Snippet size and highlighting (see snippets.js).
+ */
+function snippetOptionsFrom(options) {
+  return {
+    maxChars: options.snippetChars || DEFAULT_SNIPPET_CHARS,
+    highlight: !!options.highlight,
+  };
+}
+
+const SEARCH_MODES = ['keyword', 'vector', 'hybrid'];
+
+/**
+ * Tokenizer options shared by indexing and querying.
+ */
+function textOptionsFrom(options) {
+  return {
+    languages: options.languages,
+    foldDiacritics: !!options.foldDiacritics,
+    stemming: !!options.stemming,
+  };
+}
+
+/**
+ * Chunking options; changing them re-chunks and re-indexes every file.
+ */
+function chunkOptionsFrom(options) {
+  return { overlap: options.chunkOverlap || 0 };
+}
+
+/**
+ * Typo tolerance for keyword retrieval (DEFAULT_FUZZY unless overridden).
+ */
+function fuzzyOptionsFrom(options) {
+  return {
+    enabled: options.fuzzyMatching ?? DEFAULT_FUZZY.enabled,
+    maxDistance: options.fuzzyMaxDistance ?? DEFAULT_FUZZY.maxDistance,
+    minLength: options.fuzzyMinLength ?? DEFAULT_FUZZY.minLength,
+    weight: options.fuzzyWeight ?? DEFAULT_FUZZY.weight,
+  };
+}
+
+/**
+ * Result diversification (off unless one of the options is set).
+ */
+function diversityOptionsFrom(options) {
+  return {
+    lambda: options.mmrLambda ?? 1,
+    duplicateThreshold: options.duplicateThreshold ?? null,
+    maxPerFile: options.maxChunksPerFile || 0,
+  };
+}
+
+/**
+ * Search a file list in the given mode:
+ *  - keyword: BM25 over the inverted index
+ *  - vector:  cosine similarity over chunk embeddings
+ *  - hybrid:  both retrievers, fused (options.hybridFusion / hybridWeights / rrfK)
+ */
+async function searchFiles(query, files, options = {}) {
+  const open = () => syncIndex(files, options.cachePath, textOptionsFrom(options), chunkOptionsFrom(options));
+  return searchSession(query, open, options);
+}
+
+/**
+ * searchFiles over the session `open()` resolves to: a freshly synced one, or
+ * a live one kept current by watch mode (whose aliases are already synced).
+ * Dirty cache, index or vectors are written back afterwards.
+ * `options.trace` (explain.js) records candidates and where they dropped out.
+ */
+async function searchSession(query, open, options = {}) {
+  const { maxResults = 10, minScore = 0.5, mode = 'keyword', trace = null } = options;
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode} (expected ${SEARCH_MODES.join(', ')})`);
+  }
+
+  const textOptions = textOptionsFrom(options);
+  const parsed = options.querySyntax === false ? plainQuery(query) : parseQuery(query);
+  const keywords = [
+    ...extractKeywords(parsed.text, textOptions),
+    ...parsed.required.flatMap((w) => tokenizeQuery(w, textOptions)),
+  ];
+  const phraseSlots = parsed.phrases.map((p) => ({ alias: p, names: [p] }));
+  if (trace) Object.assign(trace, { keywords, mode, minScore });
+  // Stop words can still name an alias ("the WC"), so without keywords or
+  // phrases a query is only empty once no alias matched it either
+  const noTerms = mode === 'keyword' && keywords.length === 0 && phraseSlots.length === 0;
+  const skipEmpty = () => {
+    if (trace) trace.skipped = 'no keywords left after stop-word filtering';
+    return [];
+  };
+  if (noTerms && !options.aliasesPath) return skipEmpty();
+
+  const session = await open();
+  const aliasGroups = session.live ? session.index.aliases?.groups || [] : await syncAliases(session, options.aliasesPath);
+  const aliases = matchAliases(parsed.text, keywords, aliasGroups, textOptions);
+  if (noTerms && aliases.matches.length === 0) {
+    await commitSession(session, session.cachePath);
+    return skipEmpty();
+  }
+  const querySlots = [...aliases.keywords, ...aliases.matches, ...phraseSlots];
+  const metaFilter = { tags: options.tags, excludeTags: options.excludeTags, includePrivate: options.includePrivate };
+  if (trace) trace.aliases = Array.from(new Set([...trace.aliases, ...aliases.matches.map((m) => m.alias)]));
+
+  // Metadata filters, then query operators, recording what each drops
+  const filterHits = async (hits) => {
+    const allowed = recordDrops(trace, hits, applyMetadataFilters(session.index, hits, metaFilter), 'metadata');
+    return recordDrops(trace, allowed, await applyQueryFilters(session, allowed, parsed, textOptions), 'operators');
+  };
+
+  let keywordHits = [];
+  if (mode !== 'vector') {
+    const explained = trace ? [] : null;
+    keywordHits = searchIndex(
+      session.index, querySlots, mode === 'hybrid' ? 0 : minScore, textOptions, fuzzyOptionsFrom(options), explained
+    );
+    recordHits(trace, explained || [], 'keyword');
+    keywordHits = await filterHits(keywordHits);
+  }
+  let vectorHits = [];
+
+  if (mode !== 'keyword') {
+    const provider = resolveEmbeddingProvider(options.embeddingProvider, options.embeddingOptions);
+    await syncVectors(session, provider);
+    const [queryVec] = await provider.embed([positiveText(parsed)]);
+    const threshold = mode === 'hybrid' ? 0 : minScore;
+    vectorHits = searchVectors(session.vectors, queryVec, trace ? 0 : threshold);
+    if (trace) {
+      recordHits(trace, vectorHits, 'vector');
+      vectorHits = recordDrops(trace, vectorHits, vectorHits.filter((h) => h.score >= threshold), 'minScore');
+    }
+    vectorHits = await filterHits(vectorHits);
+  }
+
+  let ranked;
+  if (mode === 'hybrid') {
+    // Each retriever nominates its top candidates; fusion scores the union.
+    const pool = Math.max(maxResults * 3, 30);
+    const keyOf = (h) => `${h.path}#${h.chunkIdx}`;
+    const byKey = (hits) => new Map(hits.map((h) => [keyOf(h), h.score]));
+    const keywordDetail = new Map(keywordHits.map((h) => [keyOf(h), h]));
+    const top = (hits) => [...hits].sort((a, b) => b.score - a.score).slice(0, pool);
+    const fused = fuseResults(
+      { keyword: top(keywordHits), vector: top(vectorHits) },
+      {
+        method: options.hybridFusion,
+        weights: options.hybridWeights,
+        k: options.rrfK,
+        scoreOf: { keyword: byKey(keywordHits), vector: byKey(vectorHits) },
+      }
+    );
+    recordDrops(trace, [...keywordHits, ...vectorHits], fused, 'pool');
+    recordRanked(trace, fused);
+    ranked = recordDrops(trace, fused, fused.filter((r) => r.score >= minScore), 'minScore')
+      .map((r) => {
+        const detail = keywordDetail.get(keyOf(r));
+        if (!detail) return r;
+        const { matchedTerms, fuzzyMatches, aliasMatches } = detail;
+        return { ...r, matchedTerms, fuzzyMatches, aliasMatches };
+      });
+  } else {
+    ranked = (mode === 'vector' ? vectorHits : keywordHits).map((h) => ({
+      ...h,
+      retrievers: [mode],
+      scores: { [mode]: h.score },
+    }));
+  }
+
+  // minScore has already judged relevance; recency and priority only reorder.
+  ranked = applyRecency(session.index, ranked, {
+    weight: options.recencyWeight,
+    halfLifeDays: options.recencyHalfLifeDays,
+  }, options.now);
+  ranked = applyPriority(session.index, ranked, options.priorityWeights).sort(byScore);
+  recordRanked(trace, ranked);
+  ranked = recordCut(trace, ranked, await applyDiversity(session, ranked, diversityOptionsFrom(options), maxResults, textOptions), maxResults);
+
+  const baseDir = options.memoryDir ? expandPath(options.memoryDir) : undefined;
+  const results = recordDrops(trace, ranked, await hydrateResults(session, ranked, keywords, textOptions, baseDir, snippetOptionsFrom(options)), 'unreadable');
+  await commitSession(session, session.cachePath);
+  return results;
+}
+
+/**
+ * Record the final cut of a ranked list to `kept`: what is missing from its
+ * top `limit` went to diversity, the rest to maxResults. Returns `kept`.
+ */
+function recordCut(trace, ranked, kept, limit) {
+  recordDrops(trace, ranked.slice(0, limit), kept, 'diversity');
+  return recordDrops(trace, ranked, kept, 'maxResults');
+}
+
+/**
+ * Keyword search (BM25 over the persistent inverted index). Kept under its
+ * historical name; semantic retrieval is semanticSearchFiles.
+ * Only re-reads and re-indexes files whose mtime has changed, and only
+ * touches chunks whose postings contain a query keyword.
+ */
+async function vectorSearchFiles(query, files, options = {}) {
+  return searchFiles(query, files, { ...options, mode: 'keyword' });
+}
+
+/**
+ * Semantic search: cosine top-k over chunk embeddings from the configured
+ * provider (offline hashed n-grams by default).
+ */
+async function semanticSearchFiles(query, files, options = {}) {
+  return searchFiles(query, files, { ...options, mode: 'vector' });
+}
+
+/**
+ * Pre-warm the inverted index and chunk cache without running any query scoring.
+ * In vector/hybrid mode chunk embeddings are computed as well.
+ * Useful on gateway startup to reduce first-search latency.
+ *
+ * @param {object} options - { memoryDir, memoryRoots, cachePath, mode,
+ *   languages, foldDiacritics, stemming, chunkOverlap, extensions, ignore,
+ *   aliasesFile, embeddingProvider, embeddingOptions }
+ * @returns {Promise<object>} Stats for observability
+ */
+async function warmSearchCache(options = {}) {
+  const { memoryDir = resolveMemoryDir(), mode = 'keyword' } = options;
+  const roots = resolveMemoryRoots(options.memoryRoots, memoryDir);
+  const provider = mode === 'keyword' ? null : resolveEmbeddingProvider(options.embeddingProvider, options.embeddingOptions);
+  const stats = { roots: roots.length, filesSeen: 0, refreshed: 0, reused: 0, cacheWritten: false };
+
+  for (const root of roots) {
+    const cachePath = rootCachePath(options.cachePath, root, roots.length);
+    const { files, aliasesPath } = await rootFiles(root, options);
+    const session = await syncIndex(files, cachePath, textOptionsFrom(options), chunkOptionsFrom(options));
+    await syncAliases(session, aliasesPath);
+    if (provider) await syncVectors(session, provider);
+    const written = await commitSession(session, cachePath);
+
+    stats.filesSeen += files.length;
+    stats.refreshed += session.refreshed;
+    stats.reused += session.reused;
+    stats.cacheWritten = stats.cacheWritten || written;
+  }
+  return stats;
+}
+
+// ---------------------------------------------------------------------------
+// Watch mode
+// ---------------------------------------------------------------------------
+
+/** The running watch, or null: { signature, options, provider, roots: [entry] } */
+let liveIndex = null;
+
+/**
+ * Options that decide what is indexed and where; a search served from the
+ * watch must agree with the watch on all of them.
+ */
+function watchSignature(options) {
+  return JSON.stringify({
+    roots: resolveMemoryRoots(options.memoryRoots, options.memoryDir || resolveMemoryDir()),
+    cachePath: options.cachePath || DEFAULT_CACHE_PATH,
+    text: textOptionsFrom(options),
+    chunk: chunkOptionsFrom(options),
+    extensions: enabledExtensions(options.extensions ?? DEFAULT_EXTENSIONS),
+    ignore: options.ignore || [],
+    aliasesFile: options.aliasesFile || null,
+  });
+}
+
+/**
+ * Run fn after everything already queued for a watched root, so a refresh
+ * and a search never interleave on the same session.
+ */
+function queueLive(entry, fn) {
+  const run = entry.queue.then(fn);
+  entry.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Re-walk a watched root and sync its live session (first call: load it),
+ * then write back what changed so the cold path stays warm too.
+ */
+async function refreshLiveRoot(entry, live) {
+  const { files, aliasesPath } = await rootFiles(entry.root, live.options);
+  const textOptions = textOptionsFrom(live.options);
+  if (entry.session) {
+    await syncSessionFiles(entry.session, files, textOptions);
+  } else {
+    entry.session = await syncIndex(files, entry.cachePath, textOptions, chunkOptionsFrom(live.options));
+    entry.session.live = true;
+  }
+  await syncAliases(entry.session, aliasesPath);
+  if (live.provider) await syncVectors(entry.session, live.provider);
+  await commitSession(entry.session, entry.cachePath);
+  entry.files = files.length;
+  entry.refreshes += 1;
+}
+
+/**
+ * Start watch mode: index every memory root once, keep the indexes in memory
+ * and re-sync a root when fs.watch reports changes in it (debounced), so
+ * searches with the same options skip the directory walk, the per-file stat
+ * and loading the index from disk. Searches with other options, or any
+ * search once a root's watcher has failed, take the cold path.
+ * Replaces a running watch.
+ *
+ * @param {object} options - warmSearchCache options, plus debounceMs
+ *   (default 250)
+ * @returns {Promise<object>} { roots, files, watching }
+ */
+async function startWatch(options = {}) {
+  await stopWatch();
+  const { memoryDir = resolveMemoryDir(), mode = 'keyword', debounceMs = DEFAULT_DEBOUNCE_MS } = options;
+  const roots = resolveMemoryRoots(options.memoryRoots, memoryDir);
+  const live = {
+    signature: watchSignature(options),
+    options,
+    provider: mode === 'keyword' ? null : resolveEmbeddingProvider(options.embeddingProvider, options.embeddingOptions),
+    roots: [],
+  };
+
+  for (const root of roots) {
+    const entry = {
+      root,
+      cachePath: rootCachePath(options.cachePath, root, roots.length),
+      session: null,
+      queue: Promise.resolve(),
+      watcher: null,
+      failed: false,
+      files: 0,
+      refreshes: 0,
+    };
+    const refresh = () => queueLive(entry, () => refreshLiveRoot(entry, live)).catch((err) => {
+      console.error(`[adaptive-memory] Watch refresh failed for ${root.path}:`, err.message);
+    });
+    try {
+      entry.watcher = watchTree(root.path, refresh, {
+        debounceMs,
+        onError: (err) => {
+          entry.failed = true;
+          console.error(`[adaptive-memory] Watching ${root.path} stopped:`, err.message);
+        },
+      });
+    } catch (err) {
+      // Missing root: searched (and found empty) on the cold path
+      entry.failed = true;
+    }
+    await queueLive(entry, () => refreshLiveRoot(entry, live));
+    live.roots.push(entry);
+  }
+
+  liveIndex = live;
+  return {
+    roots: live.roots.length,
+    files: live.roots.reduce((n, e) => n + e.files, 0),
+    watching: live.roots.filter((e) => !e.failed).length,
+  };
+}
+
+/**
+ * Stop watch mode; searches go back to the cold path.
+ */
+async function stopWatch() {
+  const live = liveIndex;
+  liveIndex = null;
+  if (!live) return false;
+  for (const entry of live.roots) {
+    if (entry.watcher) entry.watcher.close();
+    await entry.queue;
+  }
+  return true;
+}
+
+/**
+ * The watched roots that can serve a search with these options, or null.
+ */
+function liveRootsFor(options) {
+  if (!liveIndex || liveIndex.roots.some((e) => e.failed)) return null;
+  return watchSignature(options) === liveIndex.signature ? liveIndex.roots : null;
+}
+
+/**
+ * Search one watched root from memory, applying changes that are still
+ * waiting out the debounce first.
+ */
+async function searchLiveRoot(query, entry, options) {
+  // A flushed change queues its refresh ahead of this search
+  if (entry.watcher) entry.watcher.flush();
+  return queueLive(entry, async () => {
+    if (!entry.files) return [];
+    const aliasesPath = entry.session.index.aliases?.path;
+    return searchSession(query, async () => entry.session, { ...options, aliasesPath });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Adaptive Memory search — find relevant memory chunks.
+ *
+ * @param {string} query - User's intent/question
+ * @param {object} options - { maxResults, minScore, memoryDir, cachePath,
+ *   mode: 'keyword' | 'vector' | 'hybrid', embeddingProvider, embeddingOptions,
+ *   hybridFusion: 'weighted' | 'rrf', hybridWeights: { keyword, vector }, rrfK,
+ *   languages: stop word lists / stemmer to apply (default ['en']),
+ *   foldDiacritics, stemming (default false), fuzzyMatching (default false),
+ *   fuzzyMaxDistance, fuzzyMinLength, fuzzyWeight,
+ *   aliasesFile: alias groups file, relative to memoryDir (default aliases.md),
+ *   querySyntax: parse "phrases", +required, -excluded and file: operators
+ *   (default true; see query.js), recencyWeight (0 = off, up to 1),
+ *   recencyHalfLifeDays (default 90),
+ *   tags / excludeTags: keep / drop files by frontmatter tags,
+ *   includePrivate: also search files marked `private: true` (default false),
+ *   priorityWeights: score multipliers per frontmatter priority,
+ *   mmrLambda: relevance vs. novelty trade-off for the result order
+ *   (1 = score only, the default), duplicateThreshold: drop results whose
+ *   word-shingle Jaccard similarity to a better one reaches this (0–1),
+ *   maxChunksPerFile: cap per file (0 = none),
+ *   chunkOverlap: characters of whole blocks repeated between consecutive
+ *   chunks of a section (default 0; see chunker.js),
+ *   extensions: file types to index (default .md .txt .json .jsonl .html
+ *   .htm; see sources.js), ignore: gitignore-style patterns excluding files,
+ *   applied before memoryDir/.memoryignore (see ignore.js),
+ *   memoryRoots: directories searched together instead of memoryDir, each a
+ *   path or { path, weight, namespace, readOnly } (see resolveMemoryRoots in
+ *   utils.js); each keeps its own cache files, .memoryignore and aliases file,
+ *   snippetChars: snippet length (default 500), highlight: bold the matched
+ *   words in snippets (default false),
+ *   explain: return { results, explain } instead, `explain` being a trace of
+ *   the keywords, every candidate's per-term hits and score parts, and the
+ *   stage each dropped candidate fell out at (see explain.js) }
+ * @returns {Promise<Array>} Ranked results with
+ *   { path, root, namespace, meta, score, relevance, chunkIdx, retrievers,
+ *     scores, matchedWords, fuzzyMatches, aliasMatches, startLine, endLine,
+ *     headings, citation, snippet } — `meta` is the file's frontmatter,
+ *   `citation` reads "projects.md#L40-L58 (Projects › Shipster)", prefixed
+ *   with the root's namespace ("team:...") when it has one,
+ *   `score` includes recency decay, priority and root weight,
+ *   `relevance` is the score before them. Ordered by score, or by MMR
+ *   selection when mmrLambda < 1
+ */
+async function searchMemory(query, options = {}) {
+  const { explain = false, ...rest } = options;
+  if (!explain) return searchRoots(query, rest, null);
+
+  const trace = createTrace(query);
+  const results = await searchRoots(query, rest, trace);
+  return { results, explain: summarizeTrace(trace, results) };
+}
+
+async function searchRoots(query, options, trace) {
+  const {
+    maxResults = 10,
+    minScore = 0.5,
+    memoryDir = resolveMemoryDir(),
+    ...searchOptions
+  } = options;
+
+  if (!query || typeof query !== 'string' || query.length < 3) {
+    if (trace) trace.skipped = 'query shorter than 3 characters';
+    return [];
+  }
+
+  const roots = resolveMemoryRoots(searchOptions.memoryRoots, memoryDir);
+  const federated = roots.length > 1;
+  // Several roots: fetch a wider pool from each and judge diversity once,
+  // over the merged list
+  const perRoot = federated
+    ? { maxResults: Math.max(maxResults * 3, 30), mmrLambda: 1, duplicateThreshold: null, maxChunksPerFile: 0 }
+    : { maxResults };
+
+  // Served from memory while watch mode covers these options
+  const live = liveRootsFor({ ...searchOptions, memoryDir });
+  const results = [];
+  for (const [i, root] of roots.entries()) {
+    const rootOptions = { ...searchOptions, ...perRoot, minScore, memoryDir: root.path, trace };
+    if (trace) trace.roots.push({ path: root.path, namespace: root.namespace, weight: root.weight });
+    let hits;
+    if (live) {
+      hits = await searchLiveRoot(query, live[i], rootOptions);
+    } else {
+      const { files, aliasesPath } = await rootFiles(root, searchOptions);
+      if (files.length === 0) continue;
+      hits = await searchFiles(query, files, {
+        ...rootOptions,
+        aliasesPath,
+        cachePath: rootCachePath(searchOptions.cachePath, root, roots.length),
+      });
+    }
+    const weighted = applyRootWeight(hits, root);
+    recordRanked(trace, weighted);
+    results.push(...weighted);
+  }
+  if (!federated) return results;
+
+  results.sort(byScore);
+  const diversity = diversityOptionsFrom(searchOptions);
+  if (!diversityEnabled(diversity)) return recordCut(trace, results, results.slice(0, maxResults), maxResults);
+  const textOptions = textOptionsFrom(searchOptions);
+  const selected = selectDiverse(results.map((r) => ({ ...r, shingles: shingleSet(r.snippet, textOptions) })), diversity, maxResults)
+    .map(({ shingles, ...r }) => r);
+  return recordCut(trace, results, selected, maxResults);
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+if (require.main === module) {
+  // Usage: node search.js "query" [--mode=keyword|vector|hybrid] [--tag=billing]
+  //        [--include-private] [--highlight] [--explain]   (--explain: keywords,
+  //        per-term hits, score parts and where each candidate was dropped)
+  //        node search.js --why=drafts/idea.md   (is this file searched? why not?)
+  // The query may use operators: '"release checklist" +shipster -archive file:projects.md'
+  const args = process.argv.slice(2);
+  const modeArg = args.find(a => a.startsWith('--mode='));
+  const whyArgs = args.filter(a => a.startsWith('--why=')).map(a => a.slice('--why='.length));
+  const query = args.filter(a => !a.startsWith('--')).join(' ') || 'projects active';
+  const mode = modeArg ? modeArg.slice('--mode='.length) : 'keyword';
+  const tags = args.filter(a => a.startsWith('--tag=')).map(a => a.slice('--tag='.length));
+
+  if (whyArgs.length) {
+    (async () => {
+      for (const file of whyArgs) {
+        const { included, reason } = await explainExclusion(file);
+        console.log(`${file}: ${included ? 'searched' : 'excluded'} — ${reason}`);
+      }
+    })().catch(err => {
+      console.error('Explain failed:', err);
+      process.exit(1);
+    });
+  } else {
+    const explain = args.includes('--explain');
+    searchMemory(query, {
+      maxResults: 5,
+      minScore: mode === 'keyword' ? 0.3 : 0.1,
+      mode,
+      tags,
+      includePrivate: args.includes('--include-private'),
+      highlight: args.includes('--highlight'),
+      explain,
+    }).then(found => {
+      const results = explain ? found.results : found;
+      if (explain) {
+        const baseDir = resolveMemoryDir();
+        console.log(`\n${formatTrace(found.explain, (rec) => `${formatCitation(rec.path, {}, baseDir)} [chunk ${rec.chunkIdx}]`).join('\n')}`);
+      }
+      console.log(`\nFound ${results.length} results:\n`);
+      results.forEach((r, i) => {
+        console.log(`${i + 1}. ${r.citation} (score: ${r.score.toFixed(2)})`);
+        console.log(r.snippet.split('\n').map(line => `   ${line}`).join('\n'));
+        console.log();
+      });
+    }).catch(err => {
+      console.error('Search failed:', err);
+      process.exit(1);
+    });
+  }
 }
 
 module.exports = {
   searchMemory,
   warmSearchCache,
+  startWatch,
+  stopWatch,
   getMemoryFiles,
+  explainExclusion,
   vectorSearchFiles,
+  semanticSearchFiles,
   // Exported for unit testing
   _internals: {
     escapeRegex,
+    normalizeText,
     extractKeywords,
     buildKeywordMatchers,
     scoreChunk,
+    bm25Score,
+    tokenizeForIndex,
+    createEmptyIndex,
+    indexFile,
+    unindexFile,
+    searchIndex,
+    expandQuery,
+    boundedEditDistance,
+    fuzzyOptionsFrom,
+    postingsForAll,
+    parseHeadingDate,
+    chunkDates,
+    recencyFactor,
+    applyRecency,
+    applyMetadataFilters,
+    applyPriority,
+    rootCachePath,
+    applyRootWeight,
+    shingleSet,
+    jaccard,
+    selectDiverse,
+    indexPathFor,
+    loadIndex,
+    saveIndex,
+    vectorsPathFor,
+    loadVectorStore,
+    searchVectors,
+    fuseResults,
     splitIntoChunks,
+    formatCitation,
     expandPath,
     resolveMemoryDir,
+    CACHE_VERSION,
     loadCache,
     saveCache,
+    shardDirFor,
+    ensureCachedChunks,
+    cachedEntry,
+    pruneCache,
+    lockPathFor,
+    mergeFileEntries,
+    commitSession,
     DAILY_INJECTION_RE,
   },
 };
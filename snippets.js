@@ -0,0 +1,213 @@
+/**
+ * Adaptive Memory Snippets
+ *
+ * Query-aware snippets for search results. A chunk is up to 1,200
+ * characters and the sentence that matched may sit anywhere in it, so
+ * instead of the chunk's opening lines a snippet shows the spans where the
+ * matched words are densest:
+ *
+ *   ## Billing
+ *
+ *   … Shipster moved its **billing** to the new provider in March. … The
+ *   **invoice** run now starts on the 2nd. …
+ *
+ * - The chunk's heading always leads the snippet (for a chunk continuing a
+ *   section, the heading it sits under, its level taken from the trail).
+ * - Up to three windows are picked greedily: each the span of at most its
+ *   share of the budget covering the most matched words not yet shown.
+ *   Windows start at a sentence (else a word) and end after one; windows
+ *   that touch are merged, and gaps are marked with "…".
+ * - A chunk that fits whole, or with no matched words in it (vector hits),
+ *   is shown from the top, cut at a sentence boundary.
+ * - `highlight` bolds the matched words (markers are not counted).
+ */
+
+const { buildKeywordMatchers } = require('./tokenizer');
+const { sentenceEnds, cutAtBoundary } = require('./tokens');
+
+const DEFAULT_SNIPPET_CHARS = 500;
+const MAX_WINDOWS = 3;
+const GAP = ' … ';
+
+const HEADING_LINE_RE = /^ {0,3}#{1,6}[ \t]+\S/;
+// Scripts written without spaces: any character boundary is a word boundary
+const NO_SPACE_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+/**
+ * The chunk's heading line and the text under it. A chunk that does not open
+ * with a heading gets the last heading of its trail.
+ */
+function splitHeading(text, headings = []) {
+  const s = String(text || '').trim();
+  const firstLine = s.split('\n', 1)[0];
+  if (HEADING_LINE_RE.test(firstLine)) return { heading: firstLine.trim(), body: s.slice(firstLine.length).trim() };
+  const last = headings[headings.length - 1];
+  return { heading: last ? `${'#'.repeat(Math.min(headings.length, 6))} ${last}` : '', body: s };
+}
+
+/**
+ * Occurrences of `words` in `text`, by position:
+ * [{ start, end, word }] with `word` lower-cased, so "Deployed" and
+ * "deployed" count as one matched word.
+ */
+function findMatches(text, words) {
+  const matches = [];
+  for (const { word, re } of buildKeywordMatchers(words)) {
+    for (const m of text.matchAll(re)) {
+      matches.push({ start: m.index, end: m.index + m[0].length, word: word.toLowerCase() });
+    }
+  }
+  return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+function outranks(a, b) {
+  const k = a.findIndex((v, i) => v !== b[i]);
+  return k >= 0 && a[k] > b[k];
+}
+
+/**
+ * Greedily pick up to `maxWindows` spans of at most `spanChars` covering the
+ * most matched words not shown yet (then the most distinct words, then the
+ * most matches). Stops once a span would add no new word.
+ */
+function pickSpans(matches, spanChars, maxWindows) {
+  const spans = [];
+  const shown = new Set();
+  let remaining = matches;
+  while (spans.length < maxWindows && remaining.length) {
+    let best = null;
+    for (let i = 0; i < remaining.length; i++) {
+      let j = i + 1;
+      while (j < remaining.length && remaining[j].end - remaining[i].start <= spanChars) j++;
+      const covered = remaining.slice(i, j);
+      const words = new Set(covered.map((m) => m.word));
+      const rank = [Array.from(words).filter((w) => !shown.has(w)).length, words.size, covered.length];
+      if (!best || outranks(rank, best.rank)) best = { covered, words, rank };
+    }
+    if (spans.length && best.rank[0] === 0) break;
+    const span = { start: best.covered[0].start, end: Math.max(...best.covered.map((m) => m.end)) };
+    spans.push(span);
+    for (const w of best.words) shown.add(w);
+    remaining = remaining.filter((m) => m.end <= span.start || m.start >= span.end);
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+function isWordStart(text, i) {
+  return i === 0 || /\s/.test(text[i - 1]) || NO_SPACE_RE.test(text[i]);
+}
+
+function isWordEnd(text, i) {
+  return i === text.length || /\s/.test(text[i]) || NO_SPACE_RE.test(text[i - 1]);
+}
+
+/**
+ * Where a window reaching back as far as `from` should start, at the latest
+ * `to` (the first match): the first sentence start in range, else the first
+ * word start.
+ */
+function snapStart(text, from, to) {
+  if (from === 0) return 0;
+  for (const end of sentenceEnds(text)) {
+    let start = end;
+    while (start < to && /\s/.test(text[start])) start++;
+    if (start >= from && start <= to) return start;
+    if (end > to) break;
+  }
+  for (let i = from; i < to; i++) {
+    if (!/\s/.test(text[i]) && isWordStart(text, i)) return i;
+  }
+  return to;
+}
+
+/**
+ * Where a window reaching as far as `to` should end, at the earliest `from`
+ * (the end of its last match): the last sentence end in range, else the
+ * last word end.
+ */
+function snapEnd(text, from, to) {
+  if (to >= text.length) return text.length;
+  let sentence = -1;
+  for (const end of sentenceEnds(text)) {
+    if (end > to) break;
+    if (end >= from) sentence = end;
+  }
+  if (sentence >= 0) return sentence;
+  for (let i = to; i > from; i--) {
+    if (isWordEnd(text, i)) return i;
+  }
+  return from;
+}
+
+/**
+ * Wrap each occurrence of `words` in `text` in **bold** (overlapping
+ * occurrences, like "deployment" inside "deployment-pipeline", once).
+ */
+function highlightWords(text, words) {
+  const ranges = [];
+  for (const m of findMatches(text, words)) {
+    const last = ranges[ranges.length - 1];
+    if (last && m.start < last.end) last.end = Math.max(last.end, m.end);
+    else ranges.push({ start: m.start, end: m.end });
+  }
+  let out = '';
+  let at = 0;
+  for (const r of ranges) {
+    out += `${text.slice(at, r.start)}**${text.slice(r.start, r.end)}**`;
+    at = r.end;
+  }
+  return out + text.slice(at);
+}
+
+/**
+ * Snippet of a chunk for the words a query matched in it.
+ *
+ * @param {string} text - Chunk text, original casing
+ * @param {string[]} words - Matched words as they appear in the chunk
+ *   (result `matchedWords`)
+ * @param {object} options - { maxChars (default 500), highlight, headings:
+ *   the chunk's heading trail }
+ * @returns {string}
+ */
+function extractSnippet(text, words = [], { maxChars = DEFAULT_SNIPPET_CHARS, highlight = false, headings = [] } = {}) {
+  const { heading, body } = splitHeading(text, headings);
+  const lead = heading ? `${heading}\n\n` : '';
+  const budget = maxChars - lead.length;
+  const finish = (s) => `${lead}${highlight ? highlightWords(s, words) : s}`.trim();
+  if (budget <= 0) return cutAtBoundary(heading, (s) => s.length <= maxChars);
+  if (body.length <= budget) return finish(body);
+
+  const matches = findMatches(body, words);
+  if (!matches.length) return finish(cutAtBoundary(body, (s) => s.length <= budget));
+
+  // Share of the budget per window, with room for the "…" around and between them
+  const share = (n) => Math.floor((budget - GAP.length * (n - 1) - 4) / n);
+  const spans = pickSpans(matches, share(MAX_WINDOWS), MAX_WINDOWS);
+  const size = share(spans.length);
+
+  const windows = [];
+  for (const span of spans) {
+    const spare = Math.max(0, size - (span.end - span.start));
+    let start = Math.max(0, span.start - Math.floor(spare / 2));
+    const end = Math.min(body.length, start + Math.max(size, span.end - span.start));
+    start = Math.max(0, Math.min(start, end - size));
+    start = snapStart(body, start, span.start);
+    const window = { start, end: snapEnd(body, Math.max(span.end, start), Math.min(end, start + size)) };
+    const prev = windows[windows.length - 1];
+    if (prev && window.start <= prev.end) prev.end = Math.max(prev.end, window.end);
+    else windows.push(window);
+  }
+
+  const parts = windows.map((w) => body.slice(w.start, w.end).trim());
+  const before = windows[0].start > 0 ? '… ' : '';
+  const after = windows[windows.length - 1].end < body.length ? ' …' : '';
+  return finish(`${before}${parts.join(GAP)}${after}`);
+}
+
+module.exports = {
+  DEFAULT_SNIPPET_CHARS,
+  splitHeading,
+  findMatches,
+  highlightWords,
+  extractSnippet,
+};
@@ -0,0 +1,197 @@
+/**
+ * Adaptive Memory Sources
+ *
+ * Turns memory files of different formats into markdown-ish text for the
+ * chunker. An extractor is a function
+ *
+ *   extract(content, filePath) -> string | { text, meta?, lineOffset? }
+ *
+ * registered per file extension. `meta` is per-file metadata (see
+ * frontmatter.js). `lineOffset` is only set when the text's lines are the
+ * file's own lines (shifted by that many), so chunk line numbers and
+ * citations point into the file; otherwise chunks carry no line range.
+ *
+ * Built in:
+ *   .md           frontmatter stripped into meta, text unchanged
+ *   .txt          text unchanged
+ *   .json/.jsonl  string fields flattened to "key.path: value" lines,
+ *                 one paragraph per top-level entry / record
+ *   .html/.htm    tags stripped; headings, list items and paragraphs kept
+ *                 as markdown; script, style and other non-content dropped
+ */
+
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+
+const DEFAULT_EXTENSIONS = ['.md', '.txt', '.json', '.jsonl', '.html', '.htm'];
+
+// ---------------------------------------------------------------------------
+// Markdown and plain text
+// ---------------------------------------------------------------------------
+
+function extractMarkdown(content) {
+  const { meta, body } = parseFrontmatter(content);
+  return { text: body, meta, lineOffset: content.split('\n').length - body.split('\n').length };
+}
+
+function extractText(content) {
+  return { text: content, lineOffset: 0 };
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+function keyPath(prefix, key) {
+  if (typeof key === 'number') return `${prefix}[${key}]`;
+  const part = /^[\p{L}_$][\p{L}\p{N}_$-]*$/u.test(key) ? key : JSON.stringify(key);
+  return prefix ? `${prefix}.${part}` : part;
+}
+
+/**
+ * "key.path: value" for every non-empty string in `value`.
+ */
+function flattenStrings(value, prefix = '', out = []) {
+  if (typeof value === 'string') {
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (text) out.push(prefix ? `${prefix}: ${text}` : text);
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => flattenStrings(v, keyPath(prefix, i), out));
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) flattenStrings(v, keyPath(prefix, k), out);
+  }
+  return out;
+}
+
+function extractJson(content) {
+  const data = JSON.parse(content);
+  let entries;
+  if (Array.isArray(data)) entries = data.map((v, i) => flattenStrings(v, keyPath('', i)));
+  else if (data && typeof data === 'object') entries = Object.entries(data).map(([k, v]) => flattenStrings(v, keyPath('', k)));
+  else entries = [flattenStrings(data)];
+  return { text: entries.filter((e) => e.length).map((e) => e.join('\n')).join('\n\n') };
+}
+
+/**
+ * One paragraph per record; lines that are not valid JSON are skipped.
+ */
+function extractJsonLines(content) {
+  const records = [];
+  content.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const fields = flattenStrings(JSON.parse(line), `[${i + 1}]`);
+      if (fields.length) records.push(fields.join('\n'));
+    } catch {
+      // Not a JSON line
+    }
+  });
+  return { text: records.join('\n\n') };
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const BLOCK_TAGS = 'p|div|section|article|main|header|footer|aside|nav|blockquote|pre|table|thead|tbody|tr|ul|ol|dl|dt|dd|figure|figcaption|form|hr|address';
+
+function extractHtml(content) {
+  let html = String(content)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const title = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html);
+  html = html.replace(/<head\b[\s\S]*?<\/head\s*>|<title\b[\s\S]*?<\/title\s*>/gi, '');
+
+  html = html
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (m, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/\s+/g, ' ')}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(td|th)\b[^>]*>/gi, ' ')
+    .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  const lines = decodeEntities(html)
+    .split('\n')
+    .map((l) => l.replace(/[ \t\f\v\u00a0]+/g, ' ').trim());
+  let text = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  if (title && !/^# /m.test(text)) {
+    const heading = decodeEntities(title[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+    if (heading) text = `# ${heading}\n\n${text}`;
+  }
+  return { text };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const EXTRACTORS = {
+  '.md': extractMarkdown,
+  '.txt': extractText,
+  '.json': extractJson,
+  '.jsonl': extractJsonLines,
+  '.html': extractHtml,
+  '.htm': extractHtml,
+};
+
+function normalizeExtension(ext) {
+  const e = String(ext || '').trim().toLowerCase();
+  return e.startsWith('.') ? e : `.${e}`;
+}
+
+/**
+ * Register an extractor for a file extension (".org", "csv", ...), so files
+ * with it are indexed once the extension is listed in `extensions`.
+ */
+function registerSourceFormat(extension, extract) {
+  if (typeof extract !== 'function') {
+    throw new TypeError(`Source extractor for "${extension}" must be a function`);
+  }
+  EXTRACTORS[normalizeExtension(extension)] = extract;
+}
+
+/**
+ * The enabled extensions that have an extractor, normalized (".md").
+ */
+function enabledExtensions(extensions = DEFAULT_EXTENSIONS) {
+  const list = (Array.isArray(extensions) ? extensions : [extensions]).map(normalizeExtension);
+  return Array.from(new Set(list)).filter((e) => EXTRACTORS[e]);
+}
+
+/**
+ * Extract a file's content with the extractor for its extension.
+ * @returns {{ text: string, meta: object, lineOffset: number|null }}
+ */
+function extractSource(content, filePath) {
+  const extract = EXTRACTORS[path.extname(filePath).toLowerCase()] || extractText;
+  const out = extract(content, filePath);
+  const result = typeof out === 'string' ? { text: out } : out || {};
+  return {
+    text: String(result.text || ''),
+    meta: result.meta || {},
+    lineOffset: Number.isInteger(result.lineOffset) ? result.lineOffset : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_EXTENSIONS,
+  registerSourceFormat,
+  enabledExtensions,
+  extractSource,
+  flattenStrings,
+  extractHtml,
+};
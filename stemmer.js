@@ -0,0 +1,130 @@
+/**
+ * Adaptive Memory Stemmer
+ *
+ * Reduces inflected words to a shared stem so a query for "deploying" finds
+ * chunks that say "deployed" or "deployment". Applied to both query keywords
+ * and indexed chunk terms (see tokenizer.js).
+ *
+ * Built in: English (Porter, with the Snowball rule for a trailing "y").
+ * Other languages plug in through registerStemmer(language, stem).
+ */
+
+// ---------------------------------------------------------------------------
+// English (Porter)
+// ---------------------------------------------------------------------------
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log',
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '',
+};
+
+// Porter's measure m counts vowel-consonant sequences: [C](VC)^m[V]
+const CONS = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONS_SEQ = `${CONS}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+const M_GT_0 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}`);
+const M_EQ_1 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}(${VOWEL_SEQ})?$`);
+const M_GT_1 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}${VOWEL_SEQ}${CONS_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONS_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONS_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_RE = new RegExp(`^(.+?)(${Object.keys(STEP2_SUFFIXES).join('|')})$`);
+const STEP3_RE = new RegExp(`^(.+?)(${Object.keys(STEP3_SUFFIXES).join('|')})$`);
+const STEP4_RE = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Porter stemmer for lowercase ASCII words; anything else is returned as is.
+ */
+function porterStem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  // A leading y is a consonant; uppercase it so the vowel classes skip it.
+  const leadingY = word[0] === 'y';
+  let w = leadingY ? `Y${word.slice(1)}` : word;
+  let m;
+
+  // Step 1a: plurals
+  if ((m = /^(.+?)(ss|i)es$/.exec(w))) w = m[1] + m[2];
+  else if ((m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (M_GT_0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c (Snowball): y -> i only after a consonant that isn't the first
+  // letter, so "deploy" stays "deploy" and matches "deployment".
+  if ((m = /^(.+[^aeiou])y$/.exec(w)) && m[1].length > 1) w = `${m[1]}i`;
+
+  // Step 2: double suffixes
+  if ((m = STEP2_RE.exec(w)) && M_GT_0.test(m[1])) w = m[1] + STEP2_SUFFIXES[m[2]];
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((m = STEP3_RE.exec(w)) && M_GT_0.test(m[1])) w = m[1] + STEP3_SUFFIXES[m[2]];
+
+  // Step 4: remaining suffixes when m > 1
+  if ((m = STEP4_RE.exec(w))) {
+    if (M_GT_1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (M_GT_1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+
+  // Step 5: tidy trailing -e and -ll
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const stem = m[1];
+    if (M_GT_1.test(stem) || (M_EQ_1.test(stem) && !ENDS_CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && M_GT_1.test(w)) w = w.slice(0, -1);
+
+  return leadingY ? `y${w.slice(1)}` : w;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const STEMMERS = {
+  en: { id: 'en-porter', stem: porterStem },
+};
+
+/**
+ * Register a stemmer for a language code usable in config.json `languages`.
+ * `stem(word)` receives a normalized lowercase word and returns its stem.
+ * `id` is recorded in the index; change it when the stemmer's output changes
+ * so existing indexes are rebuilt.
+ */
+function registerStemmer(language, stem, id = `${language}-custom`) {
+  if (typeof stem !== 'function') {
+    throw new TypeError(`Stemmer for "${language}" must be a function`);
+  }
+  STEMMERS[language] = { id, stem };
+}
+
+/**
+ * The stemmer for the first configured language that has one, or null.
+ */
+function resolveStemmer(languages) {
+  for (const lang of languages || []) {
+    if (STEMMERS[lang]) return STEMMERS[lang];
+  }
+  return null;
+}
+
+module.exports = {
+  porterStem,
+  registerStemmer,
+  resolveStemmer,
+};
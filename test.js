@@ -6,10 +6,29 @@
  * Tests:
  *  - Intent extraction (code block stripping, whitespace normalization)
  *  - Session de-dupe marker (escaping, uniqueness)
- *  - Injection budget enforcement (total cap, per-snippet cap)
+ *  - Injection budget enforcement (total cap, per-snippet cap, token budget,
+ *    sentence-boundary cuts)
+ *  - Token estimators (script classes, registry, module loading)
+ *  - Query-aware snippets (densest windows, headings, ellipses, highlighting)
  *  - Regex escaping & keyword scoring stability
- *  - Markdown-aware chunking
- *  - Cache hit/miss behavior
+ *  - Unicode tokenization (stop words per language, folding, CJK segmentation)
+ *  - Stemming (Porter, custom stemmers, original-word recovery)
+ *  - Fuzzy term expansion (bounded edit distance, weights, short-token cutoff)
+ *  - Alias groups (parsing, query matching, expansion in searchIndex)
+ *  - Query operators (phrases, required/excluded terms, file filters)
+ *  - Recency decay (heading dates, half-life, floor)
+ *  - Frontmatter (parsing, tags, priority, private files)
+ *  - Diversity (shingle similarity, MMR, near-duplicates, per-file cap)
+ *  - Markdown-aware chunking (fences, tables, lists, overlap, line ranges)
+ *  - Source formats (text, JSON/JSONL flattening, HTML stripping, extensions)
+ *  - Ignore rules (gitignore patterns, negation, .memoryignore, explanations)
+ *  - Memory roots (normalization, per-root caches, weights, namespaces)
+ *  - File watcher (debounced change batches, hidden files, flush, close,
+ *    per-directory mode where recursive watching is unsupported)
+ *  - Cache hit/miss behavior, versions, shards, lock files (stale-lock races,
+ *    slow holders) and merge-on-write
+ *  - Explain traces (per-term hits, score parts, drop stages)
+ *  - Topic shift (re-injection cap and cooldown, keyword similarity)
  *  - Tech-prompt heuristic
  *  - Hook export structure & handler contract
  */
@@ -25,22 +44,72 @@ const TEST_OUTPUT_DIR = path.join(os.tmpdir(), `adaptive-memory-unit-${Date.now(
 process.env.OPENCLAW_MEMORY_DIR = TEST_OUTPUT_DIR;
 
 const hook = require('./hook.js');
-const { searchMemory, getMemoryFiles, _internals: searchInternals } = require('./search.js');
+const { searchMemory, getMemoryFiles, explainExclusion, _internals: searchInternals } = require('./search.js');
+const embeddings = require('./embeddings.js');
+const tokenizer = require('./tokenizer.js');
+const stemmer = require('./stemmer.js');
+const aliases = require('./aliases.js');
+const querySyntax = require('./query.js');
+const frontmatter = require('./frontmatter.js');
+const chunker = require('./chunker.js');
+const sources = require('./sources.js');
+const ignore = require('./ignore.js');
+const { watchTree, recursiveWatchSupported } = require('./watcher.js');
+const lock = require('./lock.js');
+const explainTrace = require('./explain.js');
+const tokens = require('./tokens.js');
+const snippets = require('./snippets.js');
 const {
   escapeRegex,
   extractKeywords,
   buildKeywordMatchers,
   scoreChunk,
+  tokenizeForIndex,
+  bm25Score,
+  createEmptyIndex,
+  indexFile,
+  unindexFile,
+  searchIndex,
+  expandQuery,
+  boundedEditDistance,
+  fuzzyOptionsFrom,
+  postingsForAll,
+  parseHeadingDate,
+  chunkDates,
+  recencyFactor,
+  applyRecency,
+  applyMetadataFilters,
+  applyPriority,
+  rootCachePath,
+  applyRootWeight,
+  shingleSet,
+  jaccard,
+  selectDiverse,
+  indexPathFor,
+  loadIndex,
+  saveIndex,
+  searchVectors,
+  fuseResults,
   splitIntoChunks,
+  formatCitation,
   expandPath,
   resolveMemoryDir,
+  CACHE_VERSION,
   loadCache,
   saveCache,
+  shardDirFor,
+  ensureCachedChunks,
+  cachedEntry,
+  pruneCache,
+  lockPathFor,
+  mergeFileEntries,
+  commitSession,
   DAILY_INJECTION_RE,
 } = searchInternals;
 
 const {
   extractIntent,
+  searchGate,
   shouldSearchMemory,
   buildInjectionSection,
   escapeMarker,
@@ -143,6 +212,342 @@ describe('extractKeywords', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// tokenizer.js — Unicode tokenization
+// ---------------------------------------------------------------------------
+
+describe('tokenizer', () => {
+  test('keeps non-ASCII letters intact', () => {
+    const kw = extractKeywords('Når var møtet om kjøp av Øresund-billetter?', { languages: ['no'] });
+    assert.ok(kw.includes('møtet'));
+    assert.ok(kw.includes('kjøp'));
+    assert.ok(kw.includes('øresund-billetter'));
+    assert.ok(!kw.includes('når'));
+    assert.ok(!kw.includes('var'));
+  });
+
+  test('stop words follow the configured languages', () => {
+    assert.ok(extractKeywords('hvordan går det', { languages: ['en'] }).includes('hvordan'));
+    assert.ok(!extractKeywords('hvordan går det', { languages: ['no'] }).includes('hvordan'));
+    const both = extractKeywords('what about die Rechnung', { languages: ['en', 'de'] });
+    assert.deepStrictEqual(both, ['rechnung']);
+  });
+
+  test('normalizes composed and decomposed forms alike', () => {
+    const decomposed = 'cafe\u0301';
+    assert.deepStrictEqual(extractKeywords(decomposed), extractKeywords('café'));
+    assert.ok(tokenizeForIndex(decomposed).terms.includes('café'));
+  });
+
+  test('foldDiacritics maps query and index text to the same terms', () => {
+    const opts = { foldDiacritics: true };
+    assert.deepStrictEqual(extractKeywords('møte kjøp Straße', opts), ['mote', 'kjop', 'strasse']);
+    assert.ok(tokenizeForIndex('Møte om kjøp', opts).terms.includes('mote'));
+    assert.ok(!tokenizeForIndex('Møte om kjøp').terms.includes('mote'));
+  });
+
+  test('segments scripts written without spaces', () => {
+    const kw = extractKeywords('会议记录在哪里', { languages: ['zh'] });
+    assert.ok(kw.length >= 2, `expected several words, got ${JSON.stringify(kw)}`);
+    assert.ok(!kw.includes('在'));
+    assert.ok(kw.every((w) => w.length < 7));
+    const { terms } = tokenizeForIndex('今日は会議がありました');
+    assert.ok(terms.length >= 3);
+  });
+
+  test('bigram fallback splits no-space runs and keeps other words', () => {
+    const segments = tokenizer.segmentWithBigrams('iphone手机价格');
+    assert.deepStrictEqual(segments, ['iphone', '手机', '机价', '价格']);
+  });
+
+  test('matchers use Unicode word boundaries', () => {
+    const [m] = buildKeywordMatchers(['møte']);
+    assert.strictEqual('møte, møtested og møte'.match(m.re).length, 2);
+    const [cjk] = buildKeywordMatchers(['价格']);
+    assert.strictEqual('手机价格很高'.match(cjk.re).length, 1);
+  });
+
+  test('scoreChunk matches Norwegian words', () => {
+    const score = scoreChunk(extractKeywords('kjøp møte'), tokenizer.normalizeText('Møte om kjøp av utstyr'));
+    assert.ok(score > 0.5);
+  });
+
+  test('tokenizer signature changes with folding', () => {
+    assert.notStrictEqual(
+      tokenizer.tokenizerSignature({ foldDiacritics: true }),
+      tokenizer.tokenizerSignature({ foldDiacritics: false })
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// stemmer.js — stemming
+// ---------------------------------------------------------------------------
+
+describe('stemming', () => {
+  test('porterStem conflates common inflections', () => {
+    const { porterStem } = stemmer;
+    for (const w of ['deploying', 'deployed', 'deployment', 'deploys']) {
+      assert.strictEqual(porterStem(w), 'deploy', w);
+    }
+    assert.strictEqual(porterStem('pricing'), porterStem('priced'));
+    assert.strictEqual(porterStem('meetings'), 'meet');
+    assert.strictEqual(porterStem('ponies'), 'poni');
+    assert.strictEqual(porterStem('hopping'), 'hop');
+    assert.strictEqual(porterStem('relational'), 'relat');
+  });
+
+  test('porterStem leaves short and non-ASCII words alone', () => {
+    assert.strictEqual(stemmer.porterStem('is'), 'is');
+    assert.strictEqual(stemmer.porterStem('møtene'), 'møtene');
+    assert.strictEqual(stemmer.porterStem('c++'), 'c++');
+  });
+
+  test('queryTerms stems and de-duplicates keywords', () => {
+    const stem = { stemming: true };
+    assert.deepStrictEqual(tokenizer.queryTerms(['deploying', 'deployed', 'node.js'], stem), ['deploy', 'node.js']);
+    assert.deepStrictEqual(tokenizer.queryTerms(['deploying']), ['deploying'], 'stemming is opt-in');
+  });
+
+  test('index terms are stemmed, compound parts included', () => {
+    const { terms } = tokenizeForIndex('Deployed the deployment-pipeline', { stemming: true });
+    assert.ok(terms.includes('deploy'));
+    assert.ok(terms.includes('deployment-pipeline'));
+    assert.ok(terms.includes('pipelin'));
+    assert.ok(!terms.includes('deployed'));
+  });
+
+  test('findMatchedWords recovers the original words for highlighting', () => {
+    const words = tokenizer.findMatchedWords('Deployed Friday; the deployment-pipeline ran', ['deploy'], { stemming: true });
+    assert.deepStrictEqual(words, ['Deployed', 'deployment']);
+  });
+
+  test('registerStemmer adds a language and changes the index signature', () => {
+    const norwegian = { languages: ['no'], stemming: true };
+    const before = tokenizer.tokenizerSignature(norwegian);
+    stemmer.registerStemmer('no', (w) => w.replace(/(ene|en|er|et)$/, ''), 'no-test');
+    assert.deepStrictEqual(tokenizer.queryTerms(['møtene', 'møter'], norwegian), ['møt']);
+    assert.notStrictEqual(tokenizer.tokenizerSignature(norwegian), before);
+    assert.throws(() => stemmer.registerStemmer('xx', 'nope'), TypeError);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// aliases.js — alias groups
+// ---------------------------------------------------------------------------
+
+describe('aliases', () => {
+  test('parseAliases reads list items and ignores other lines', () => {
+    const groups = aliases.parseAliases([
+      '# Aliases',
+      'Names we use interchangeably.',
+      '- WooCommerce: WC, Woo, the store',
+      '* Shipster = shipping app',
+      '- lonely',
+    ].join('\n'));
+    assert.deepStrictEqual(groups, [
+      ['WooCommerce', 'WC', 'Woo', 'the store'],
+      ['Shipster', 'shipping app'],
+    ]);
+  });
+
+  test('resolveAliasesPath is relative to memoryDir unless absolute', () => {
+    assert.strictEqual(aliases.resolveAliasesPath('/m'), path.resolve('/m/aliases.md'));
+    assert.strictEqual(aliases.resolveAliasesPath('/m', '/etc/names.md'), path.resolve('/etc/names.md'));
+  });
+
+  test('matchAliases finds short and multi-word names and consumes their words', () => {
+    const groups = [['WooCommerce', 'WC', 'the store'], ['Shipster', 'shipping app']];
+    const query = 'WC orders in the shipping app';
+    const { keywords, matches } = aliases.matchAliases(query, extractKeywords(query), groups);
+    assert.deepStrictEqual(keywords, ['orders']);
+    assert.deepStrictEqual(matches.map((m) => m.alias), ['shipping app', 'WC']);
+  });
+
+  test('matchAliases prefers the longest name and leaves unrelated queries alone', () => {
+    const groups = [['Project Store', 'the shop'], ['store', 'warehouse']];
+    const { matches } = aliases.matchAliases('project store pricing', ['project', 'store', 'pricing'], groups);
+    assert.deepStrictEqual(matches.map((m) => m.alias), ['Project Store']);
+    const none = aliases.matchAliases('lunch plans', ['lunch', 'plans'], groups);
+    assert.deepStrictEqual(none, { keywords: ['lunch', 'plans'], matches: [] });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// query.js — query operators
+// ---------------------------------------------------------------------------
+
+describe('query syntax', () => {
+  test('parses phrases, required, excluded and file filters', () => {
+    const q = querySyntax.parseQuery('"release checklist" +shipster -archive file:projects.md -file:old/* notes');
+    assert.deepStrictEqual(q.phrases, ['release checklist']);
+    assert.deepStrictEqual(q.required, ['shipster']);
+    assert.deepStrictEqual(q.excluded, ['archive']);
+    assert.deepStrictEqual(q.files, ['projects.md']);
+    assert.deepStrictEqual(q.excludedFiles, ['old/*']);
+    assert.strictEqual(q.text, 'notes');
+    assert.strictEqual(querySyntax.positiveText(q), 'notes release checklist shipster');
+  });
+
+  test('plain queries pass through untouched', () => {
+    const raw = 'What did we decide  about C++ and node.js - the e-mail plan?';
+    const q = querySyntax.parseQuery(raw);
+    assert.ok(!querySyntax.hasOperators(q));
+    assert.strictEqual(q.text, raw);
+    assert.strictEqual(querySyntax.positiveText(q), raw);
+  });
+
+  test('excluded phrases and unterminated quotes', () => {
+    const q = querySyntax.parseQuery('deploy -"staging server" "open quote');
+    assert.deepStrictEqual(q.excludedPhrases, ['staging server']);
+    assert.deepStrictEqual(q.phrases, []);
+    assert.strictEqual(q.text, 'deploy "open quote');
+  });
+
+  test('unknown fields stay in the free text', () => {
+    const q = querySyntax.parseQuery('see https://example.com file:people');
+    assert.strictEqual(q.text, 'see https://example.com');
+    assert.deepStrictEqual(q.files, ['people']);
+  });
+
+  test('matchesFilePattern matches names, path suffixes and wildcards', () => {
+    const { matchesFilePattern } = querySyntax;
+    assert.ok(matchesFilePattern('/m/projects.md', 'projects.md'));
+    assert.ok(matchesFilePattern('/m/projects.md', 'projects'));
+    assert.ok(matchesFilePattern('/m/Projects.md', 'projects'));
+    assert.ok(matchesFilePattern('/m/work/plan.md', 'work/plan'));
+    assert.ok(matchesFilePattern('/m/work/plan.md', 'work/*'));
+    assert.ok(!matchesFilePattern('/m/myprojects.md', 'projects'));
+    assert.ok(!matchesFilePattern('/m/work/deep/plan.md', 'work/*.md'));
+  });
+
+  test('containsPhrase requires consecutive words, ignoring case and inflection', () => {
+    const { containsPhrase } = querySyntax;
+    assert.ok(containsPhrase('The Release Checklists are ready', 'release checklist', { stemming: true }));
+    assert.ok(!containsPhrase('The Release Checklists are ready', 'release checklist'));
+    assert.ok(!containsPhrase('release the new checklist', 'release checklist'));
+  });
+
+  test('containsPhrase sees words next to punctuation and in hyphenated compounds', () => {
+    const { containsPhrase } = querySyntax;
+    assert.ok(containsPhrase('Shipster is deploying the new version.', 'new version'));
+    assert.ok(containsPhrase('Ship it (new version), then tag.', 'new version'));
+    assert.ok(containsPhrase('The deploy-pipeline runs nightly', 'deploy pipeline'));
+    assert.ok(containsPhrase('The deploy pipeline runs nightly', 'deploy-pipeline'));
+    assert.ok(!containsPhrase('The new build. Version two.', 'new version'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// frontmatter.js — per-file metadata
+// ---------------------------------------------------------------------------
+
+describe('frontmatter', () => {
+  test('parses scalars, inline and block lists, and strips the block', () => {
+    const { meta, body } = frontmatter.parseFrontmatter([
+      '---',
+      'tags: [billing, "woo commerce"]',
+      'priority: High  # for now',
+      'private: yes',
+      'aliases:',
+      '  - WC',
+      '  - the store',
+      'review: 3',
+      '---',
+      '# Billing',
+      'Stripe keys rotate yearly.',
+    ].join('\r\n'));
+    assert.deepStrictEqual(meta, {
+      tags: ['billing', 'woo commerce'],
+      priority: 'High',
+      private: true,
+      aliases: ['WC', 'the store'],
+      review: 3,
+    });
+    assert.strictEqual(body, '# Billing\r\nStripe keys rotate yearly.');
+  });
+
+  test('text without a complete block is left alone', () => {
+    for (const text of ['# Notes\n---\ntags: x\n---', '---\ntags: x\nno closing line', '---\nJust a rule\n---\nmore']) {
+      assert.deepStrictEqual(frontmatter.parseFrontmatter(text), { meta: {}, body: text });
+    }
+  });
+
+  test('fileTags accepts lists, strings and a singular tag key', () => {
+    assert.deepStrictEqual(frontmatter.fileTags({ tags: ['Billing', '#ops'] }), ['billing', 'ops']);
+    assert.deepStrictEqual(frontmatter.fileTags({ tags: 'billing, ops' }), ['billing', 'ops']);
+    assert.deepStrictEqual(frontmatter.fileTags({ tag: 'ops' }), ['ops']);
+    assert.deepStrictEqual(frontmatter.fileTags({}), []);
+  });
+
+  test('metadataAllows applies tag filters and hides private files', () => {
+    const { metadataAllows } = frontmatter;
+    const billing = { tags: ['billing', 'stripe'] };
+    assert.ok(metadataAllows(billing, { tags: 'Billing' }));
+    assert.ok(metadataAllows(billing, { tags: ['ops', 'stripe'] }));
+    assert.ok(!metadataAllows(billing, { tags: ['ops'] }));
+    assert.ok(!metadataAllows(billing, { excludeTags: ['stripe'] }));
+    assert.ok(!metadataAllows({}, { tags: ['ops'] }));
+    assert.ok(metadataAllows(undefined, {}));
+    assert.ok(!metadataAllows({ private: true }, {}));
+    assert.ok(metadataAllows({ private: true }, { includePrivate: true }));
+  });
+
+  test('quoted private flags still hide the file', () => {
+    const { parseFrontmatter, isPrivate, metadataAllows } = frontmatter;
+    for (const value of ['"true"', "'yes'", '"Yes"', 'yes', 'true']) {
+      const { meta } = parseFrontmatter(`---\nprivate: ${value}\n---\nSecret notes`);
+      assert.ok(isPrivate(meta), value);
+      assert.ok(!metadataAllows(meta, {}), value);
+    }
+    assert.ok(!isPrivate({ private: 'false' }));
+    assert.ok(!isPrivate({ private: false }));
+    assert.ok(!isPrivate({}));
+  });
+
+  test('priorityFactor maps named levels and ignores unknown ones', () => {
+    const { priorityFactor } = frontmatter;
+    assert.strictEqual(priorityFactor({ priority: 'HIGH' }), 1.25);
+    assert.strictEqual(priorityFactor({ priority: 'low' }, { low: 0.5 }), 0.5);
+    assert.strictEqual(priorityFactor({ priority: 'urgent' }), 1);
+    assert.strictEqual(priorityFactor({}), 1);
+  });
+
+  test('index entries keep frontmatter for filtering and boosting', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, [{ text: 'stripe billing' }], {}, { tags: ['billing'], priority: 'low' });
+    indexFile(index, '/m/b.md', 1, [{ text: 'stripe billing' }], {}, { private: true });
+    indexFile(index, '/m/c.md', 1, [{ text: 'stripe billing' }]);
+    assert.strictEqual(index.files['/m/c.md'].meta, undefined);
+
+    const hits = searchIndex(index, ['stripe', 'billing']);
+    assert.deepStrictEqual(applyMetadataFilters(index, hits, {}).map((h) => h.path).sort(), ['/m/a.md', '/m/c.md']);
+    assert.deepStrictEqual(applyMetadataFilters(index, hits, { tags: ['billing'] }).map((h) => h.path), ['/m/a.md']);
+
+    const boosted = applyPriority(index, hits.map((h) => ({ ...h, scores: {} })));
+    const a = boosted.find((h) => h.path === '/m/a.md');
+    const c = boosted.find((h) => h.path === '/m/c.md');
+    assert.ok(a.score < c.score);
+    assert.strictEqual(a.scores.priority, 0.75);
+    assert.strictEqual(c.scores.priority, undefined);
+  });
+
+  test('a priority boost keeps scores in 0..1 and leaves relevance alone', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/high.md', 1, [{ text: 'stripe billing' }], {}, { priority: 'high' });
+    const ranked = applyPriority(index, [
+      { path: '/m/high.md', chunkIdx: 0, score: 0.95, relevance: 0.95, scores: {} },
+      { path: '/m/high.md', chunkIdx: 1, score: 0.9, relevance: 0.9, scores: {} },
+    ]);
+    for (const r of ranked) {
+      assert.ok(r.score <= 1);
+      assert.ok(r.relevance <= 1);
+      assert.strictEqual(r.scores.priority, 1.25);
+    }
+    assert.deepStrictEqual(ranked.map((r) => r.relevance), [0.95, 0.9]);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // search.js — scoreChunk
 // ---------------------------------------------------------------------------
@@ -215,6 +620,450 @@ describe('scoreChunk', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// search.js — BM25 corpus statistics
+// ---------------------------------------------------------------------------
+
+describe('BM25 ranking', () => {
+  test('tokenizeForIndex emits compound tokens and their parts', () => {
+    const { length, terms } = tokenizeForIndex('we use node.js, c++ and deploy-pipeline');
+    assert.strictEqual(length, 6);
+    assert.ok(terms.includes('node.js'));
+    assert.ok(terms.includes('node'));
+    assert.ok(terms.includes('c++'));
+    assert.ok(terms.includes('deploy'));
+  });
+
+  test('rare terms outweigh common terms', () => {
+    const stats = { chunkCount: 100, avgLength: 5, df: new Map([['project', 80], ['acmecorp', 2]]) };
+    const rare = scoreChunk(['project', 'acmecorp'], 'acmecorp renewal notes', { ...stats, length: 3 });
+    const common = scoreChunk(['project', 'acmecorp'], 'project status notes', { ...stats, length: 3 });
+    assert.ok(rare > common, `rare-term chunk (${rare}) should beat common-term chunk (${common})`);
+  });
+
+  test('long chunks score lower than average-length chunks', () => {
+    const stats = { chunkCount: 10, avgLength: 10, df: new Map([['deploy', 3]]) };
+    const short = scoreChunk(['deploy'], 'deploy notes', { ...stats, length: 10 });
+    const long = scoreChunk(['deploy'], 'deploy notes', { ...stats, length: 200 });
+    assert.ok(short > long, `average chunk (${short}) should beat long chunk (${long})`);
+    assert.ok(long > 0 && short <= 1);
+  });
+
+  test('bm25Score explains per-keyword contributions and the coverage gate', () => {
+    const corpus = { chunkCount: 10, avgLength: 5 };
+    const parts = {};
+    const score = bm25Score([{ tf: 1, df: 1 }, { tf: 0, df: 4 }], 5, corpus, parts);
+    assert.strictEqual(parts.gated, false);
+    assert.strictEqual(parts.contributions[1], 0);
+    assert.ok(Math.abs(parts.contributions[0] - score) < 1e-9);
+
+    const gated = {};
+    const four = [{ tf: 2, df: 1 }, { tf: 0, df: 1 }, { tf: 0, df: 1 }, { tf: 0, df: 1 }];
+    assert.strictEqual(bm25Score(four, 5, corpus, gated), 0);
+    assert.strictEqual(gated.gated, true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// search.js — inverted index
+// ---------------------------------------------------------------------------
+
+describe('inverted index', () => {
+  const chunksOf = (...texts) => texts.map((text) => ({ text }));
+
+  test('indexFile records postings, lengths and corpus totals', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('Alpha beta', 'alpha gamma delta'));
+    assert.strictEqual(index.chunkCount, 2);
+    assert.strictEqual(index.totalLength, 5);
+    assert.deepStrictEqual(index.files['/m/a.md'].lens, [2, 3]);
+    assert.deepStrictEqual(index.postings.get('alpha')[index.files['/m/a.md'].id], [0, 1, 1, 1]);
+  });
+
+  test('re-indexing a file replaces its old postings', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('alpha beta'));
+    indexFile(index, '/m/a.md', 2, chunksOf('gamma'));
+    assert.ok(!index.postings.has('alpha'));
+    assert.ok(index.postings.has('gamma'));
+    assert.strictEqual(index.chunkCount, 1);
+    assert.strictEqual(index.files['/m/a.md'].mtimeMs, 2);
+  });
+
+  test('unindexFile removes the file and its totals', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('alpha beta'));
+    indexFile(index, '/m/b.md', 1, chunksOf('alpha'));
+    unindexFile(index, '/m/a.md');
+    assert.strictEqual(index.chunkCount, 1);
+    assert.strictEqual(index.totalLength, 1);
+    assert.strictEqual(Object.keys(index.postings.get('alpha')).length, 1);
+    assert.ok(!index.postings.has('beta'));
+  });
+
+  test('searchIndex only returns chunks containing query terms', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('shipster pricing notes', 'unrelated text'));
+    indexFile(index, '/m/b.md', 1, chunksOf('pricing for the store'));
+    const hits = searchIndex(index, ['shipster', 'pricing']);
+    assert.deepStrictEqual(hits.map((h) => `${h.path}#${h.chunkIdx}`).sort(), ['/m/a.md#0', '/m/b.md#0']);
+    const best = hits.sort((x, y) => y.score - x.score)[0];
+    assert.strictEqual(best.path, '/m/a.md');
+  });
+
+  test('searchIndex matches inflected forms through stemming', () => {
+    const stem = { stemming: true };
+    const index = createEmptyIndex(stem);
+    indexFile(index, '/m/a.md', 1, chunksOf('We deployed the app on Friday', 'lunch plans'), stem);
+    assert.deepStrictEqual(searchIndex(index, ['deploying'], 0, stem).map((h) => h.chunkIdx), [0]);
+
+    const exact = createEmptyIndex();
+    indexFile(exact, '/m/a.md', 1, chunksOf('We deployed the app on Friday'));
+    assert.strictEqual(searchIndex(exact, ['deploying']).length, 0, 'stemming is opt-in');
+  });
+
+  test('boundedEditDistance counts edits and transpositions, stopping past max', () => {
+    assert.strictEqual(boundedEditDistance('shipstr', 'shipster', 2), 1);
+    assert.strictEqual(boundedEditDistance('calender', 'calendar', 2), 1);
+    assert.strictEqual(boundedEditDistance('projcet', 'project', 2), 1);
+    assert.strictEqual(boundedEditDistance('woocomerce', 'woocommerce', 2), 1);
+    assert.strictEqual(boundedEditDistance('alpha', 'omega', 2), 3);
+    assert.strictEqual(boundedEditDistance('abc', 'abcdefgh', 2), 3);
+  });
+
+  test('expandQuery adds fuzzy variants only for long enough plain words', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('Shipster calendar with Vidar', 'v2025 release notes'));
+    const fuzzy = { enabled: true };
+    const [ship] = expandQuery(index, ['shipstr'], {}, fuzzy);
+    assert.deepStrictEqual(ship.map((v) => v.term), ['shipstr', 'shipster']);
+    assert.strictEqual(ship[1].weight, 0.75);
+    const [vid] = expandQuery(index, ['vida'], {}, fuzzy);
+    assert.strictEqual(vid.length, 1, 'short tokens stay exact');
+    const [ver] = expandQuery(index, ['v2024'], {}, fuzzy);
+    assert.strictEqual(ver.length, 1, 'tokens with digits stay exact');
+    const [off] = expandQuery(index, ['shipstr'], {}, { enabled: false });
+    assert.strictEqual(off.length, 1);
+  });
+
+  test('fuzzy matching is off by default for searchIndex and searchMemory alike', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('Shipster pricing notes'));
+    assert.strictEqual(searchIndex(index, ['shipstr']).length, 0);
+    assert.strictEqual(searchIndex(index, ['shipstr'], 0, {}, { enabled: true }).length, 1);
+    assert.strictEqual(fuzzyOptionsFrom({}).enabled, false);
+    assert.strictEqual(fuzzyOptionsFrom({ fuzzyMatching: true }).enabled, true);
+  });
+
+  test('searchIndex scores fuzzy hits lower than exact ones and reports them', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('Shipster pricing notes'));
+    indexFile(index, '/m/b.md', 1, chunksOf('Shipstr pricing notes'));
+    const hits = searchIndex(index, ['shipstr'], 0, {}, { enabled: true, weight: 0.5 });
+    const exact = hits.find((h) => h.path === '/m/b.md');
+    const fuzzyHit = hits.find((h) => h.path === '/m/a.md');
+    assert.ok(fuzzyHit, 'fuzzy variant should match');
+    assert.ok(exact.score > fuzzyHit.score);
+    assert.deepStrictEqual(exact.fuzzyMatches, []);
+    assert.deepStrictEqual(fuzzyHit.fuzzyMatches, [{ keyword: 'shipstr', term: 'shipster' }]);
+    assert.deepStrictEqual(fuzzyHit.matchedTerms, ['shipster']);
+  });
+
+  test('postingsForAll keeps chunks containing every term', () => {
+    const index = createEmptyIndex({ stemming: true });
+    indexFile(index, '/m/a.md', 1, chunksOf('shipping app shipping', 'shipping only', 'app store'), { stemming: true });
+    const id = index.files['/m/a.md'].id;
+    assert.deepStrictEqual(postingsForAll(index, ['ship', 'app']), { [id]: [0, 1] });
+    assert.strictEqual(postingsForAll(index, ['ship', 'missing']), undefined);
+  });
+
+  test('searchIndex credits alias groups and reports the alias used', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('WooCommerce plugin settings', 'lunch plans'));
+    indexFile(index, '/m/b.md', 1, chunksOf('The WC refund flow'));
+    const slot = { alias: 'WC', names: ['WooCommerce', 'WC', 'the store'] };
+    const hits = searchIndex(index, [slot]).sort((x, y) => x.path.localeCompare(y.path));
+    assert.deepStrictEqual(hits.map((h) => h.path), ['/m/a.md', '/m/b.md']);
+    assert.deepStrictEqual(hits[0].aliasMatches, [{ keyword: 'WC', alias: 'WooCommerce' }]);
+    assert.deepStrictEqual(hits[1].aliasMatches, []);
+  });
+
+  test('a query that is an alias among stop words still searches', async () => {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'adaptive-memory-aliases-'));
+    const dir = path.join(base, 'memory');
+    try {
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'aliases.md'), '- WooCommerce: WC, the store\n', 'utf8');
+      fs.writeFileSync(path.join(dir, 'shop.md'), '# Shop\n\nWooCommerce plugin settings live in the admin.\n', 'utf8');
+      const opts = { memoryDir: dir, cachePath: path.join(base, 'cache.json'), minScore: 0.1 };
+      for (const query of ['my WC', 'the WC']) {
+        const results = await searchMemory(query, opts);
+        assert.strictEqual(results.length, 1, query);
+        assert.deepStrictEqual(results[0].aliasMatches, [{ keyword: 'WC', alias: 'WooCommerce' }]);
+      }
+      assert.deepStrictEqual(await searchMemory('the my', opts), []);
+    } finally {
+      fs.rmSync(base, { recursive: true, force: true });
+    }
+  });
+
+  test('searchIndex matches scoreChunk for the same corpus statistics', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('deploy the node.js app', 'deploy notes deploy'));
+    const [hit] = searchIndex(index, ['node.js', 'deploy']).filter((h) => h.chunkIdx === 0);
+    const expected = scoreChunk(['node.js', 'deploy'], 'deploy the node.js app', {
+      chunkCount: index.chunkCount,
+      avgLength: index.totalLength / index.chunkCount,
+      df: new Map([['node.js', 1], ['deploy', 2]]),
+      length: 4,
+    });
+    assert.strictEqual(hit.score, expected);
+  });
+
+  test('handles terms that collide with Object.prototype names', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, chunksOf('constructor __proto__ tostring'));
+    assert.strictEqual(searchIndex(index, ['constructor']).length, 1);
+    assert.strictEqual(searchIndex(index, ['hasownproperty']).length, 0);
+  });
+
+  test('index round-trips through disk', async () => {
+    const indexPath = indexPathFor(path.join(os.tmpdir(), `adaptive-memory-index-${Date.now()}.json`));
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 7, chunksOf('alpha beta'));
+    await saveIndex(index, indexPath);
+    const loaded = await loadIndex(indexPath);
+    assert.deepStrictEqual(loaded.files, index.files);
+    assert.deepStrictEqual(loaded.postings.get('alpha'), index.postings.get('alpha'));
+    fs.unlinkSync(indexPath);
+  });
+
+  test('index built with other tokenizer options is discarded on load', async () => {
+    const indexPath = indexPathFor(path.join(os.tmpdir(), `adaptive-memory-index-fold-${Date.now()}.json`));
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 7, chunksOf('møte'));
+    await saveIndex(index, indexPath);
+    const folded = await loadIndex(indexPath, { foldDiacritics: true });
+    assert.deepStrictEqual(folded.files, {});
+    const same = await loadIndex(indexPath, {});
+    assert.ok(same.files['/m/a.md']);
+    fs.unlinkSync(indexPath);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// search.js — recency
+// ---------------------------------------------------------------------------
+
+describe('recency', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const NOW = Date.UTC(2026, 9, 1);
+
+  test('parseHeadingDate takes the latest valid date', () => {
+    assert.strictEqual(parseHeadingDate('2026-09-14 pricing'), Date.UTC(2026, 8, 14));
+    assert.strictEqual(parseHeadingDate('From 2025-01-02 to 2025-03-04'), Date.UTC(2025, 2, 4));
+    assert.strictEqual(parseHeadingDate('2026-02-30 is not a date'), 0);
+    assert.strictEqual(parseHeadingDate('Pricing'), 0);
+  });
+
+  test('chunkDates inherits dates from enclosing headings', () => {
+    const dates = chunkDates([
+      { text: '# Decisions' },
+      { text: '## 2026-09-14\nNew pricing' },
+      { text: '### Details\nmore' },
+      { text: 'split-off paragraph' },
+      { text: '## Undated\nold notes' },
+    ]);
+    assert.deepStrictEqual(dates, {
+      1: Date.UTC(2026, 8, 14),
+      2: Date.UTC(2026, 8, 14),
+      3: Date.UTC(2026, 8, 14),
+    });
+  });
+
+  test('recencyFactor halves the decaying part each half-life and never drops below the floor', () => {
+    const opts = { weight: 0.4, halfLifeDays: 30 };
+    assert.strictEqual(recencyFactor(NOW, NOW, opts), 1);
+    assert.ok(Math.abs(recencyFactor(NOW - 30 * DAY, NOW, opts) - 0.8) < 1e-9);
+    assert.ok(recencyFactor(NOW - 3000 * DAY, NOW, opts) >= 0.6);
+    assert.strictEqual(recencyFactor(NOW - 3000 * DAY, NOW, { weight: 0 }), 1);
+    assert.strictEqual(recencyFactor(NOW + 10 * DAY, NOW, opts), 1);
+  });
+
+  test('applyRecency prefers heading dates over mtime and keeps relevance', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/old.md', NOW - 400 * DAY, [{ text: 'pricing decision' }]);
+    indexFile(index, '/m/new.md', NOW - 400 * DAY, [{ text: '## 2026-09-28\npricing decision revised' }]);
+    const ranked = applyRecency(index, [
+      { path: '/m/old.md', chunkIdx: 0, score: 0.8, scores: { keyword: 0.8 } },
+      { path: '/m/new.md', chunkIdx: 0, score: 0.75, scores: { keyword: 0.75 } },
+    ], { weight: 0.5, halfLifeDays: 90 }, NOW).sort((a, b) => b.score - a.score);
+    assert.strictEqual(ranked[0].path, '/m/new.md');
+    assert.strictEqual(ranked[1].relevance, 0.8);
+    assert.ok(ranked[1].score < 0.8 && ranked[1].score > 0.4);
+    assert.ok(ranked[1].scores.recency < 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// search.js — diversity
+// ---------------------------------------------------------------------------
+
+describe('diversity', () => {
+  const note = 'Shipster release checklist: run the migrations, tag the build, notify support.';
+  const candidate = (path, score, text) => ({ path, score, shingles: shingleSet(text) });
+
+  test('shingle similarity spots copies regardless of case and inflection', () => {
+    const a = shingleSet(note);
+    assert.strictEqual(jaccard(a, shingleSet(note.toUpperCase())), 1);
+    assert.ok(jaccard(a, shingleSet(`${note} Also check the changelog.`)) > 0.6);
+    assert.ok(jaccard(a, shingleSet('Invoices are sent on the first business day.')) === 0);
+    assert.strictEqual(jaccard(new Set(), a), 0);
+  });
+
+  test('shingles ignore punctuation next to words', () => {
+    const a = shingleSet('Shipster is deploying the new version. Support is notified.');
+    const b = shingleSet('Shipster is deploying the new version; support is notified');
+    assert.strictEqual(jaccard(a, b), 1);
+  });
+
+  test('near-duplicates are dropped in favour of the better copy', () => {
+    const picked = selectDiverse([
+      candidate('/m/projects.md', 0.9, note),
+      candidate('/m/archive/projects.md', 0.88, note),
+      candidate('/m/people.md', 0.6, 'Stakeholder B owns operations planning.'),
+    ], { duplicateThreshold: 0.8 });
+    assert.deepStrictEqual(picked.map((c) => c.path), ['/m/projects.md', '/m/people.md']);
+  });
+
+  test('MMR prefers a novel chunk over a similar, slightly better one', () => {
+    const candidates = [
+      candidate('/m/a.md', 0.9, note),
+      candidate('/m/b.md', 0.85, `${note} Then close the milestone.`),
+      candidate('/m/c.md', 0.7, 'Invoices are sent on the first business day.'),
+    ];
+    assert.deepStrictEqual(selectDiverse(candidates, {}, 2).map((c) => c.path), ['/m/a.md', '/m/b.md']);
+    assert.deepStrictEqual(selectDiverse(candidates, { lambda: 0.5 }, 2).map((c) => c.path), ['/m/a.md', '/m/c.md']);
+  });
+
+  test('per-file cap limits chunks from one file', () => {
+    const picked = selectDiverse([
+      candidate('/m/a.md', 0.9, 'alpha one'),
+      candidate('/m/a.md', 0.8, 'beta two'),
+      candidate('/m/a.md', 0.7, 'gamma three'),
+      candidate('/m/b.md', 0.5, 'delta four'),
+    ], { maxPerFile: 2 });
+    assert.deepStrictEqual(picked.map((c) => c.score), [0.9, 0.8, 0.5]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// embeddings.js — providers and vector helpers
+// ---------------------------------------------------------------------------
+
+describe('embeddings', () => {
+  test('hashed-ngram provider returns normalized vectors of fixed size', async () => {
+    const provider = embeddings.resolveEmbeddingProvider('hashed-ngram', { dimensions: 64 });
+    const [vec] = await provider.embed(['Pricing decision for the store']);
+    assert.strictEqual(vec.length, 64);
+    const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-9, `expected unit norm, got ${norm}`);
+  });
+
+  test('related word forms are closer than unrelated text', async () => {
+    const provider = embeddings.resolveEmbeddingProvider();
+    const [q, related, unrelated] = await provider.embed([
+      'what did we decide about pricing',
+      'we settled on a price of 29 per month',
+      'docker build cache invalidation',
+    ]);
+    const near = embeddings.cosineSimilarity(q, related);
+    const far = embeddings.cosineSimilarity(q, unrelated);
+    assert.ok(near > far, `expected related (${near}) > unrelated (${far})`);
+  });
+
+  test('int8 encoding round-trips with negligible cosine loss', async () => {
+    const [vec] = await embeddings.resolveEmbeddingProvider().embed(['shipster pricing notes']);
+    const decoded = embeddings.decodeVector(embeddings.encodeVector(vec));
+    assert.ok(embeddings.cosineSimilarity(vec, decoded) > 0.99);
+  });
+
+  test('accepts a provider object and registered factories', async () => {
+    const custom = { id: 'const:2', dimensions: 2, embed: async (texts) => texts.map(() => [1, 0]) };
+    assert.strictEqual(embeddings.resolveEmbeddingProvider(custom), custom);
+    embeddings.registerEmbeddingProvider('unit-const', () => custom);
+    assert.strictEqual(embeddings.resolveEmbeddingProvider('unit-const'), custom);
+    assert.throws(() => embeddings.resolveEmbeddingProvider('no-such-provider'), /Unknown embedding provider/);
+  });
+
+  test('searchVectors ranks stored chunks by cosine similarity', () => {
+    const store = {
+      files: {
+        '/m/a.md': { mtimeMs: 1, vectors: [embeddings.encodeVector([1, 0]), embeddings.encodeVector([0, 1])] },
+      },
+    };
+    const hits = searchVectors(store, [1, 0.1], 0.5);
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].chunkIdx, 0);
+    assert.ok(hits[0].score > 0.9 && hits[0].score <= 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// search.js — hybrid fusion
+// ---------------------------------------------------------------------------
+
+describe('fuseResults (hybrid)', () => {
+  const kw = [
+    { path: '/a.md', chunkIdx: 0, score: 0.9 },
+    { path: '/b.md', chunkIdx: 0, score: 0.6 },
+  ];
+  const vec = [
+    { path: '/b.md', chunkIdx: 0, score: 0.8 },
+    { path: '/c.md', chunkIdx: 2, score: 0.7 },
+  ];
+
+  test('weighted fusion blends scores and reports matching retrievers', () => {
+    const fused = fuseResults({ keyword: kw, vector: vec }, { weights: { keyword: 0.5, vector: 0.5 } });
+    const b = fused.find((r) => r.path === '/b.md');
+    assert.deepStrictEqual(b.retrievers.sort(), ['keyword', 'vector']);
+    assert.ok(Math.abs(b.score - 0.7) < 1e-9, `expected 0.7, got ${b.score}`);
+    const c = fused.find((r) => r.path === '/c.md');
+    assert.deepStrictEqual(c.retrievers, ['vector']);
+    assert.ok(Math.abs(c.score - 0.35) < 1e-9);
+  });
+
+  test('weighted fusion uses exact score lookups for chunks outside a list', () => {
+    const fused = fuseResults(
+      { keyword: kw, vector: vec },
+      { weights: { keyword: 0.5, vector: 0.5 }, scoreOf: { vector: new Map([['/a.md#0', 0.4]]) } }
+    );
+    const a = fused.find((r) => r.path === '/a.md');
+    assert.deepStrictEqual(a.retrievers, ['keyword']);
+    assert.strictEqual(a.scores.vector, 0.4);
+    assert.ok(Math.abs(a.score - 0.65) < 1e-9);
+  });
+
+  test('rrf ranks chunks found by both retrievers first and stays within 0..1', () => {
+    const fused = fuseResults({ keyword: kw, vector: vec }, { method: 'rrf', k: 60 })
+      .sort((x, y) => y.score - x.score);
+    assert.strictEqual(fused[0].path, '/b.md');
+    for (const r of fused) assert.ok(r.score > 0 && r.score <= 1);
+    const topEverywhere = fuseResults({ keyword: kw.slice(0, 1), vector: kw.slice(0, 1) }, { method: 'rrf' });
+    assert.ok(Math.abs(topEverywhere[0].score - 1) < 1e-9);
+  });
+
+  test('missing or zero weights fall back to equal weighting', () => {
+    const fused = fuseResults({ keyword: kw, vector: vec }, { weights: {} });
+    const b = fused.find((r) => r.path === '/b.md');
+    assert.ok(Math.abs(b.score - 0.7) < 1e-9);
+  });
+
+  test('rejects unknown fusion methods', () => {
+    assert.throws(() => fuseResults({ keyword: kw }, { method: 'vote' }), /Unknown hybrid fusion method/);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // search.js — splitIntoChunks
 // ---------------------------------------------------------------------------
@@ -231,7 +1080,7 @@ describe('splitIntoChunks', () => {
     const chunks = splitIntoChunks(longParagraph);
     for (const chunk of chunks) {
       // Allow some slack for joining
-      assert.ok(chunk.length <= 2400, `chunk too long: ${chunk.length}`);
+      assert.ok(chunk.text.length <= 2400, `chunk too long: ${chunk.text.length}`);
     }
   });
 
@@ -244,7 +1093,344 @@ describe('splitIntoChunks', () => {
   test('preserves original text casing', () => {
     const md = '# My Project\nSome CamelCase content here';
     const chunks = splitIntoChunks(md);
-    assert.ok(chunks.some(c => c.includes('CamelCase')));
+    assert.ok(chunks.some(c => c.text.includes('CamelCase')));
+  });
+
+  test('records line ranges and the heading trail of each chunk', () => {
+    const md = [
+      'Intro line',
+      '',
+      '# Projects',
+      '',
+      '## Shipster',
+      'Ships parcels.',
+      '',
+      '### Pricing ##',
+      'Flat fee.',
+      '',
+      'Discounts for volume.',
+      '',
+      '## Atlas',
+      'Data app.',
+    ].join('\n');
+    const chunks = splitIntoChunks(md);
+    assert.deepStrictEqual(chunks.map(({ startLine, endLine, headings }) => ({ startLine, endLine, headings })), [
+      { startLine: 1, endLine: 1, headings: [] },
+      { startLine: 3, endLine: 3, headings: ['Projects'] },
+      { startLine: 5, endLine: 6, headings: ['Projects', 'Shipster'] },
+      { startLine: 8, endLine: 11, headings: ['Projects', 'Shipster', 'Pricing'] },
+      { startLine: 13, endLine: 14, headings: ['Projects', 'Atlas'] },
+    ]);
+    assert.strictEqual(chunks[3].text, '### Pricing ##\nFlat fee.\n\nDiscounts for volume.');
+    assert.strictEqual(splitIntoChunks('# A\ntext', { lineOffset: 4 })[0].startLine, 5);
+  });
+
+  test('paragraphs split off a long section keep its headings and their own lines', () => {
+    const para = 'y'.repeat(700);
+    const chunks = splitIntoChunks(`# Big\n${para}\n\n${para}`);
+    assert.strictEqual(chunks.length, 2);
+    assert.deepStrictEqual(chunks[1].headings, ['Big']);
+    assert.strictEqual(chunks[1].startLine, 4);
+  });
+
+  test('formatCitation shows path, lines and headings', () => {
+    const chunk = { startLine: 40, endLine: 58, headings: ['Projects', 'Shipster'] };
+    assert.strictEqual(formatCitation('/m/projects.md', chunk), 'projects.md#L40-L58 (Projects › Shipster)');
+    assert.strictEqual(formatCitation('/m/work/plan.md', { startLine: 3, endLine: 3, headings: [] }, '/m'), 'work/plan.md#L3');
+    assert.strictEqual(formatCitation('/elsewhere/x.md', {}, '/m'), 'x.md');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// chunker.js — structure-aware chunking
+// ---------------------------------------------------------------------------
+
+describe('chunker', () => {
+  const split = (lines, options) => chunker.splitIntoChunks(lines.join('\n'), options);
+  const fenced = (text) => /^```\w*\n[\s\S]*\n```$/.test(text.slice(text.indexOf('```')));
+
+  test('"#" lines inside code fences are not headings', () => {
+    const chunks = split([
+      '# Setup',
+      'Install:',
+      '```bash',
+      '# install deps',
+      'npm ci',
+      '',
+      '## not a heading either',
+      '```',
+    ]);
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual(chunks[0].headings, ['Setup']);
+    assert.strictEqual(chunks[0].endLine, 8);
+    assert.ok(chunks[0].text.includes('npm ci\n\n## not a heading either\n```'));
+  });
+
+  test('an unclosed fence runs to the end of the file', () => {
+    const chunks = split(['# Notes', '~~~', '# still code', 'more code']);
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual(chunks[0].headings, ['Notes']);
+  });
+
+  test('only real ATX headings start sections', () => {
+    const chunks = split(['# Real', 'text', '#hashtag line', '####### seven', 'tail']);
+    assert.strictEqual(chunks.length, 1);
+    assert.ok(chunks[0].text.endsWith('tail'));
+  });
+
+  test('a heading stays with the block under it', () => {
+    const chunks = split(['# A', '', 'x'.repeat(150), '', 'y'.repeat(150)], { maxChunkLen: 200 });
+    assert.strictEqual(chunks.length, 2);
+    assert.ok(chunks[0].text.startsWith('# A\n\nxxx'));
+    assert.strictEqual(chunks[1].startLine, 5);
+  });
+
+  test('tables stay whole and keep their lead-in', () => {
+    const chunks = split([
+      '## Prices',
+      'Current plans:',
+      '',
+      '| Plan | Price |',
+      '|------|------:|',
+      '| Basic | 10 |',
+      '| Pro | 25 |',
+      '',
+      'Prices exclude VAT.',
+    ], { maxChunkLen: 90 });
+    const table = chunks.find((c) => c.text.includes('| Plan'));
+    assert.ok(table.text.includes('Current plans:'));
+    assert.ok(table.text.includes('| Pro | 25 |'));
+  });
+
+  test('oversized tables split between rows and repeat the header', () => {
+    const rows = Array.from({ length: 12 }, (_, i) => `| row ${i} | ${'v'.repeat(20)} |`);
+    const chunks = split(['| Key | Value |', '| --- | --- |', ...rows], { maxChunkLen: 150 });
+    assert.ok(chunks.length > 1);
+    for (const c of chunks) {
+      assert.ok(c.text.startsWith('| Key | Value |\n| --- | --- |\n| row'), c.text);
+      assert.ok(c.text.length <= 150, `chunk too long: ${c.text.length}`);
+    }
+    const seen = chunks.flatMap((c) => c.text.split('\n').filter((l) => l.startsWith('| row')));
+    assert.deepStrictEqual(seen, rows);
+    assert.strictEqual(chunks[0].startLine, 1);
+    assert.strictEqual(chunks[chunks.length - 1].endLine, 14);
+  });
+
+  test('oversized fences split between lines and each piece is re-fenced', () => {
+    const code = Array.from({ length: 20 }, (_, i) => `echo "step ${i}"`);
+    const chunks = split(['```bash', ...code, '```'], { maxChunkLen: 120 });
+    assert.ok(chunks.length > 1);
+    for (const c of chunks) {
+      assert.ok(c.text.startsWith('```bash\n') && c.text.endsWith('\n```'), c.text);
+      assert.ok(fenced(c.text));
+      assert.ok(c.text.length <= 120);
+    }
+    const seen = chunks.flatMap((c) => c.text.split('\n').filter((l) => l.startsWith('echo')));
+    assert.deepStrictEqual(seen, code);
+    assert.strictEqual(chunks[0].startLine, 1);
+    assert.strictEqual(chunks[chunks.length - 1].endLine, 22);
+  });
+
+  test('lists stay with their lead-in, nested items and blank lines between items', () => {
+    const chunks = split([
+      'Intro paragraph that stands alone.',
+      '',
+      'Release steps:',
+      '',
+      '1. Tag the build',
+      '   - include the changelog',
+      '',
+      '2. Deploy',
+      '   ```sh',
+      '   - not an item',
+      '   ```',
+      '3. Announce',
+      '',
+      'Afterwards, relax.',
+    ], { maxChunkLen: 120 });
+    const list = chunks.find((c) => c.text.includes('Release steps:'));
+    assert.ok(list.text.includes('1. Tag the build\n   - include the changelog\n\n2. Deploy'));
+    assert.ok(list.text.includes('3. Announce'));
+    assert.strictEqual(list.startLine, 3);
+    assert.strictEqual(list.endLine, 12);
+    assert.ok(!chunks.some((c) => c.text.startsWith('2.') || c.text.startsWith('3.')));
+  });
+
+  test('oversized lists split between top-level items, lead-in first', () => {
+    const items = Array.from({ length: 8 }, (_, i) => [`- item ${i} ${'w'.repeat(30)}`, `  - detail ${i}`]).flat();
+    const chunks = split(['Things to remember:', ...items], { maxChunkLen: 150 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks[0].text.startsWith('Things to remember:\n- item 0'));
+    for (const c of chunks) {
+      assert.ok(c.text.length <= 150);
+      assert.ok(/^(Things|- item)/.test(c.text), 'a chunk starts inside an item');
+      assert.ok(!/- item \d+ w+$/.test(c.text), 'an item lost its nested detail');
+    }
+  });
+
+  test('long lines split at sentence ends before hard cuts', () => {
+    const sentence = 'This sentence is about forty characters. ';
+    const chunks = split([sentence.repeat(8).trim()], { maxChunkLen: 100 });
+    assert.ok(chunks.length > 1);
+    for (const c of chunks) {
+      assert.ok(c.text.endsWith('characters.'), c.text);
+      assert.strictEqual(c.startLine, 1);
+    }
+  });
+
+  test('overlap repeats trailing whole blocks within a section only', () => {
+    const paras = ['a'.repeat(60), 'b'.repeat(60), 'c'.repeat(60), 'd'.repeat(60)];
+    const md = ['# One', '', paras[0], '', paras[1], '', paras[2], '', paras[3], '# Two', 'tail'];
+    const plain = split(md, { maxChunkLen: 130 });
+    const overlapped = split(md, { maxChunkLen: 130, overlap: 70 });
+    assert.strictEqual(plain.length, overlapped.length);
+    assert.ok(!plain[1].text.includes('b'.repeat(60)));
+    assert.ok(overlapped[1].text.startsWith('b'.repeat(60)));
+    assert.strictEqual(overlapped[1].startLine, 5);
+    const two = overlapped.find((c) => c.headings[0] === 'Two');
+    assert.strictEqual(two.text, '# Two\ntail');
+  });
+
+  test('CRLF input produces clean lines', () => {
+    const [chunk] = chunker.splitIntoChunks('# Title\r\nline one\r\nline two\r\n');
+    assert.strictEqual(chunk.text, '# Title\nline one\nline two');
+    assert.deepStrictEqual(chunk.headings, ['Title']);
+  });
+
+  test('chunkerSignature changes with overlap', () => {
+    assert.notStrictEqual(chunker.chunkerSignature(), chunker.chunkerSignature({ overlap: 100 }));
+    assert.strictEqual(chunker.chunkerSignature({}), chunker.chunkerSignature({ overlap: 0 }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// sources.js — source formats
+// ---------------------------------------------------------------------------
+
+describe('sources', () => {
+  test('markdown keeps line numbers past frontmatter; text is unchanged', () => {
+    const md = sources.extractSource('---\ntags: [a]\n---\n# Title\nbody', 'notes.md');
+    assert.deepStrictEqual(md, { text: '# Title\nbody', meta: { tags: ['a'] }, lineOffset: 3 });
+    const txt = sources.extractSource('---\ntags: [a]\n---\nplain', 'notes.txt');
+    assert.deepStrictEqual(txt, { text: '---\ntags: [a]\n---\nplain', meta: {}, lineOffset: 0 });
+  });
+
+  test('JSON string fields flatten to key paths, one paragraph per entry', () => {
+    const json = JSON.stringify({
+      shipster: { status: 'active', owners: ['ana', 'bo'], stars: 12 },
+      'release notes': 'v2  shipped\nfriday',
+      empty: { none: null },
+    });
+    const { text, lineOffset } = sources.extractSource(json, 'projects.json');
+    assert.strictEqual(text, [
+      'shipster.status: active', 'shipster.owners[0]: ana', 'shipster.owners[1]: bo',
+      '', '"release notes": v2 shipped friday',
+    ].join('\n'));
+    assert.strictEqual(lineOffset, null);
+  });
+
+  test('JSONL records are indexed by line, skipping invalid lines', () => {
+    const jsonl = '{"q":"how to deploy","a":"run make"}\nnot json\n\n{"q":"rollback"}\n';
+    const { text } = sources.extractSource(jsonl, 'faq.jsonl');
+    assert.strictEqual(text, '[1].q: how to deploy\n[1].a: run make\n\n[4].q: rollback');
+  });
+
+  test('HTML is stripped to markdown headings, lists and paragraphs', () => {
+    const html = [
+      '<html><head><title>Ignored</title><style>p { color: red }</style></head><body>',
+      '<h1>Runbook</h1><!-- draft --><p>Restart the <b>worker</b> &amp; check&nbsp;logs.</p>',
+      '<script>alert(1)</script><h2 class="x">Steps</h2><ul><li>drain</li><li>restart</li></ul>',
+      '</body></html>',
+    ].join('\n');
+    assert.strictEqual(sources.extractHtml(html).text, [
+      '# Runbook', '', 'Restart the worker & check logs.', '', '## Steps', '', '- drain', '- restart',
+    ].join('\n'));
+  });
+
+  test('HTML title becomes the heading when there is no h1', () => {
+    const { text } = sources.extractHtml('<title>Team &lt;Ops&gt;</title><p>on call</p>');
+    assert.strictEqual(text, '# Team <Ops>\n\non call');
+  });
+
+  test('enabledExtensions normalizes and drops formats without an extractor', () => {
+    assert.deepStrictEqual(sources.enabledExtensions(['MD', '.txt', 'txt', '.docx']), ['.md', '.txt']);
+    assert.deepStrictEqual(sources.enabledExtensions(), sources.DEFAULT_EXTENSIONS);
+  });
+
+  test('registerSourceFormat adds a format; string results get no line range', () => {
+    assert.throws(() => sources.registerSourceFormat('.csvtest', null), TypeError);
+    sources.registerSourceFormat('csvtest', (content) => content.replace(/,/g, ' '));
+    assert.deepStrictEqual(sources.enabledExtensions(['.csvtest']), ['.csvtest']);
+    assert.deepStrictEqual(sources.extractSource('a,b', 'x.CSVTEST'), { text: 'a b', meta: {}, lineOffset: null });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ignore.js — .memoryignore patterns
+// ---------------------------------------------------------------------------
+
+describe('ignore rules', () => {
+  const ignored = (patterns, relPath, isDir = false) =>
+    ignore.matchIgnore(ignore.parseIgnorePatterns(patterns.join('\n')), relPath, isDir).ignored;
+
+  test('unanchored names match at any depth, anchored ones at the root', () => {
+    assert.ok(ignored(['*.draft.md'], 'notes/idea.draft.md'));
+    assert.ok(ignored(['scratch'], 'a/scratch/x.md'));
+    assert.ok(ignored(['/scratch'], 'scratch/x.md'));
+    assert.ok(!ignored(['/scratch'], 'a/scratch/x.md'));
+    assert.ok(ignored(['notes/*.md'], 'notes/a.md'));
+    assert.ok(!ignored(['notes/*.md'], 'notes/deep/a.md'));
+  });
+
+  test('trailing slash matches directories only; ** spans directories', () => {
+    assert.ok(ignored(['drafts/'], 'drafts', true));
+    assert.ok(ignored(['drafts/'], 'drafts/a.md'));
+    assert.ok(!ignored(['drafts/'], 'drafts'));
+    assert.ok(ignored(['**/tmp/*.md'], 'tmp/a.md'));
+    assert.ok(ignored(['**/tmp/*.md'], 'x/y/tmp/a.md'));
+    assert.ok(ignored(['templates/**'], 'templates/a/b.md'));
+    assert.ok(ignored(['a/**/b.md'], 'a/b.md'));
+    assert.ok(ignored(['a/**/b.md'], 'a/x/y/b.md'));
+    assert.ok(ignored(['note?.[0-9].md'], 'notes.1.md'));
+    assert.ok(!ignored(['note?.[!0-9].md'], 'notes.1.md'));
+  });
+
+  test('negation re-includes, last match wins, excluded parents stay excluded', () => {
+    assert.ok(!ignored(['*.draft.md', '!keep.draft.md'], 'keep.draft.md'));
+    assert.ok(ignored(['!keep.draft.md', '*.draft.md'], 'keep.draft.md'));
+    assert.ok(ignored(['drafts/', '!drafts/keep.md'], 'drafts/keep.md'));
+    assert.ok(!ignored(['drafts/*', '!drafts/keep.md'], 'drafts/keep.md'));
+  });
+
+  test('comments, blank lines and escapes', () => {
+    const rules = ignore.parseIgnorePatterns('# comment\n\n\\#literal.md\n\\!bang.md\nspaced.md   \n');
+    assert.deepStrictEqual(rules.map((r) => r.pattern), ['\\#literal.md', '\\!bang.md', 'spaced.md']);
+    assert.deepStrictEqual(rules.map((r) => r.line), [3, 4, 5]);
+    assert.ok(ignore.matchIgnore(rules, '#literal.md').ignored);
+    assert.ok(ignore.matchIgnore(rules, '!bang.md').ignored);
+    assert.ok(ignore.matchIgnore(rules, 'spaced.md').ignored);
+  });
+
+  test('getMemoryFiles and explainExclusion apply .memoryignore after the ignore option', async () => {
+    const base = path.join(os.tmpdir(), `adaptive-memory-ignore-${Date.now()}`);
+    await fsp.mkdir(path.join(base, 'scratch'), { recursive: true });
+    for (const name of ['keep.md', 'idea.draft.md', 'final.draft.md', 'scratch/tmp.md', 'tpl.md']) {
+      await fsp.writeFile(path.join(base, name), 'x', 'utf8');
+    }
+    await fsp.writeFile(path.join(base, '.memoryignore'), '# drafts\n*.draft.md\n!final.draft.md\nscratch/\n', 'utf8');
+    const opts = { ignore: ['tpl.md'] };
+    const files = (await getMemoryFiles(base, opts)).map((p) => path.relative(base, p)).sort();
+    assert.deepStrictEqual(files, ['final.draft.md', 'keep.md']);
+
+    const why = (file) => explainExclusion(file, { memoryDir: base, ...opts });
+    assert.deepStrictEqual(await why('idea.draft.md'), { included: false, reason: 'ignored by .memoryignore:2: *.draft.md' });
+    assert.deepStrictEqual(await why('final.draft.md'), { included: true, reason: 're-included by .memoryignore:3: !final.draft.md' });
+    assert.deepStrictEqual(await why(path.join(base, 'scratch', 'tmp.md')), { included: false, reason: 'ignored by .memoryignore:4: scratch/' });
+    assert.deepStrictEqual(await why('tpl.md'), { included: false, reason: 'ignored by ignore option:1: tpl.md' });
+    assert.deepStrictEqual(await why('keep.md'), { included: true, reason: 'included' });
+    assert.strictEqual((await why('.memoryignore')).reason, 'hidden file ".memoryignore"');
+    assert.strictEqual((await why('missing.md')).reason, 'no such file');
+    assert.ok((await why('../outside.md')).reason.startsWith('outside memoryDir'));
   });
 });
 
@@ -277,6 +1463,18 @@ describe('getMemoryFiles exclusions', () => {
     assert.ok(files.some((p) => p.endsWith('keep.md')));
     assert.ok(!files.some((p) => p.includes(`${path.sep}archive${path.sep}`)));
   });
+
+  test('includes only enabled source extensions', async () => {
+    const base = path.join(os.tmpdir(), `adaptive-memory-ext-${Date.now()}`);
+    await fsp.mkdir(base, { recursive: true });
+    for (const name of ['a.md', 'b.txt', 'c.json', 'd.jsonl', 'e.HTML', 'f.docx', '.cache.json', '2026-02-11.md']) {
+      await fsp.writeFile(path.join(base, name), 'x', 'utf8');
+    }
+    const all = (await getMemoryFiles(base)).map((p) => path.basename(p)).sort();
+    assert.deepStrictEqual(all, ['a.md', 'b.txt', 'c.json', 'd.jsonl', 'e.HTML']);
+    const mdOnly = (await getMemoryFiles(base, { extensions: ['.md'] })).map((p) => path.basename(p));
+    assert.deepStrictEqual(mdOnly, ['a.md']);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -354,6 +1552,180 @@ describe('resolveMemoryDir', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// utils.js / search.js — memory roots
+// ---------------------------------------------------------------------------
+
+describe('memory roots', () => {
+  const { resolveMemoryRoots } = require('./utils.js');
+
+  test('normalizes paths, weights and flags, dropping duplicates', () => {
+    const roots = resolveMemoryRoots([
+      '~/notes',
+      { path: '/srv/team/memory/', weight: 0.5, namespace: ' team ', readOnly: true },
+      { path: path.join(os.homedir(), 'notes'), weight: 3 },
+      { path: '/tmp/x', weight: -1, namespace: '' },
+      { weight: 2 },
+    ]);
+    assert.deepStrictEqual(roots, [
+      { path: path.join(os.homedir(), 'notes'), weight: 1, namespace: null, readOnly: false },
+      { path: '/srv/team/memory', weight: 0.5, namespace: 'team', readOnly: true },
+      { path: '/tmp/x', weight: 1, namespace: null, readOnly: false },
+    ]);
+  });
+
+  test('falls back to memoryDir as the only root', () => {
+    assert.deepStrictEqual(resolveMemoryRoots(undefined, '/m'), [{ path: '/m', weight: 1, namespace: null, readOnly: false }]);
+    assert.deepStrictEqual(resolveMemoryRoots([], '/m').map((r) => r.path), ['/m']);
+  });
+
+  test('each of several roots gets its own cache file', () => {
+    const a = { path: '/a' };
+    const b = { path: '/b' };
+    assert.strictEqual(rootCachePath('/c/cache.json', a, 1), '/c/cache.json');
+    const pa = rootCachePath('/c/cache.json', a, 2);
+    const pb = rootCachePath('/c/cache.json', b, 2);
+    assert.ok(/^\/c\/cache\.root-[0-9a-f]{10}\.json$/.test(pa));
+    assert.notStrictEqual(pa, pb);
+    assert.strictEqual(pa, rootCachePath('/c/cache.json', a, 3));
+  });
+
+  test('weight scales score but not relevance; namespace prefixes citations', () => {
+    const [r] = applyRootWeight(
+      [{ path: '/t/a.md', score: 0.8, relevance: 0.8, scores: { keyword: 0.8 }, citation: 'a.md#L1' }],
+      { path: '/t', weight: 0.5, namespace: 'team' }
+    );
+    assert.strictEqual(r.score, 0.4);
+    assert.strictEqual(r.relevance, 0.8);
+    assert.deepStrictEqual(r.scores, { keyword: 0.8, root: 0.5 });
+    assert.strictEqual(r.citation, 'team:a.md#L1');
+    assert.strictEqual(r.root, '/t');
+    const [plain] = applyRootWeight([{ score: 1, scores: {}, citation: 'b.md' }], { path: '/p', weight: 1, namespace: null });
+    assert.deepStrictEqual([plain.citation, plain.scores], ['b.md', {}]);
+  });
+
+  test('a weight above 1 keeps scores in 0..1', () => {
+    const boosted = applyRootWeight([
+      { path: '/t/a.md', score: 0.9, relevance: 0.9, scores: { keyword: 0.9 }, citation: 'a.md' },
+      { path: '/t/b.md', score: 0.5, relevance: 0.5, scores: { keyword: 0.5 }, citation: 'b.md' },
+    ], { path: '/t', weight: 1.5, namespace: null });
+    assert.deepStrictEqual(boosted.map((r) => r.score), [1, 0.75]);
+    assert.deepStrictEqual(boosted.map((r) => r.relevance), [0.9, 0.5]);
+    assert.strictEqual(boosted[0].scores.root, 1.5);
+  });
+
+  test('hook writes to the first writable root unless memoryDir is set', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adaptive-memory-roots-'));
+    const configPath = path.join(dir, 'config.json');
+    const load = (config) => {
+      fs.writeFileSync(configPath, JSON.stringify(config), 'utf8');
+      return hook._internals.loadConfig(hook._internals.DEFAULTS, configPath).memoryDir;
+    };
+    const memoryRoots = [{ path: '/shared', readOnly: true }, '/mine', '/other'];
+    assert.strictEqual(load({ memoryRoots }), '/mine');
+    assert.strictEqual(load({ memoryRoots, memoryDir: '/elsewhere' }), '/elsewhere');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.strictEqual(load({ memoryRoots, memoryDir: '/shared' }), '/mine');
+    } finally {
+      console.warn = warn;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// watcher.js — debounced fs.watch
+// ---------------------------------------------------------------------------
+
+describe('watcher', () => {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test('recursive watching is only trusted where fs.watch honours it', () => {
+    assert.strictEqual(recursiveWatchSupported('linux', '18.20.4'), false);
+    assert.strictEqual(recursiveWatchSupported('linux', '20.11.1'), true);
+    assert.strictEqual(recursiveWatchSupported('darwin', '16.20.2'), true);
+    assert.strictEqual(recursiveWatchSupported('win32', '14.21.3'), true);
+  });
+
+  test('batches changes after the debounce, skipping hidden files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adaptive-memory-watch-'));
+    fs.mkdirSync(path.join(dir, 'sub'));
+    const batches = [];
+    const w = watchTree(dir, (paths) => batches.push(paths.sort()), { debounceMs: 60 });
+    try {
+      await sleep(50);
+      fs.writeFileSync(path.join(dir, 'a.md'), 'a', 'utf8');
+      fs.writeFileSync(path.join(dir, 'sub', 'b.md'), 'b', 'utf8');
+      fs.writeFileSync(path.join(dir, '.cache.json'), '{}', 'utf8');
+      await sleep(300);
+      assert.strictEqual(batches.length, 1);
+      assert.ok(batches[0].includes('a.md') && batches[0].includes('sub/b.md'));
+      assert.ok(!batches[0].some((p) => p.startsWith('.cache')));
+
+      fs.writeFileSync(path.join(dir, '.memoryignore'), 'sub/', 'utf8');
+      await sleep(30);
+      assert.ok(w.pending());
+      assert.strictEqual(w.flush(), true);
+      assert.deepStrictEqual(batches[1], ['.memoryignore']);
+      assert.strictEqual(w.flush(), false);
+
+      w.close();
+      fs.writeFileSync(path.join(dir, 'c.md'), 'c', 'utf8');
+      await sleep(150);
+      assert.strictEqual(batches.length, 2);
+    } finally {
+      w.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// explain.js — traces
+// ---------------------------------------------------------------------------
+
+describe('explain traces', () => {
+  test('searchIndex reports per-term hits and the stage each candidate dropped at', () => {
+    const index = createEmptyIndex();
+    indexFile(index, '/m/a.md', 1, [
+      { text: 'shipster launch pricing renewal' },
+      { text: 'shipster notes' },
+      { text: 'launch pricing notes' },
+    ]);
+    const explained = [];
+    const hits = searchIndex(index, ['shipster', 'launch', 'pricing', 'renewal'], 0.5, {}, {}, explained);
+    assert.deepStrictEqual(hits.map((h) => h.chunkIdx), [0]);
+    const byChunk = new Map(explained.map((e) => [e.chunkIdx, e]));
+    assert.strictEqual(byChunk.get(0).droppedAt, null);
+    assert.strictEqual(byChunk.get(1).droppedAt, 'coverage');
+    assert.strictEqual(byChunk.get(2).droppedAt, 'minScore');
+    assert.deepStrictEqual(byChunk.get(2).terms.map((t) => [t.keyword, t.tf]),
+      [['shipster', 0], ['launch', 1], ['pricing', 1], ['renewal', 0]]);
+  });
+
+  test('traces keep the first drop stage and summarize returned candidates first', () => {
+    const trace = explainTrace.createTrace('q');
+    const a = { path: '/m/a.md', chunkIdx: 0, score: 0.9 };
+    const b = { path: '/m/a.md', chunkIdx: 1, score: 0.7 };
+    const c = { path: '/m/b.md', chunkIdx: 0, score: 0.8 };
+    explainTrace.recordHits(trace, [a, b, c], 'keyword');
+    explainTrace.recordDrops(trace, [a, b, c], [a, b], 'metadata');
+    explainTrace.recordDrops(trace, [a, b, c], [a], 'maxResults');
+    const summary = explainTrace.summarizeTrace(trace, [a]);
+    assert.deepStrictEqual(summary.candidates.map((r) => [r.path, r.chunkIdx, r.droppedAt]),
+      [['/m/a.md', 0, null], ['/m/b.md', 0, 'metadata'], ['/m/a.md', 1, 'maxResults']]);
+    assert.deepStrictEqual(summary.dropped, { metadata: 1, maxResults: 1 });
+    assert.strictEqual(summary.returned, 1);
+
+    explainTrace.markDropped(summary, [a], 'threshold');
+    assert.strictEqual(summary.candidates[0].droppedAt, 'threshold');
+    assert.strictEqual(summary.returned, 0);
+    assert.ok(explainTrace.formatTrace(summary).some((line) => line.startsWith('✗ threshold')));
+  });
+});
+
 // ---------------------------------------------------------------------------
 // search.js — cache round-trip
 // ---------------------------------------------------------------------------
@@ -362,7 +1734,7 @@ describe('cache persistence', () => {
   const tmpCachePath = path.join(os.tmpdir(), `adaptive-memory-test-cache-${Date.now()}.json`);
 
   test('saves and loads cache correctly', async () => {
-    const original = { version: 1, files: { '/test/file.md': { mtimeMs: 12345, chunks: [] } } };
+    const original = { version: CACHE_VERSION, files: { '/test/file.md': { mtimeMs: 12345, chunker: 'c', shard: 'x.json', bytes: 9 } } };
     await saveCache(original, tmpCachePath);
     const loaded = await loadCache(tmpCachePath);
     assert.deepStrictEqual(loaded, original);
@@ -372,7 +1744,223 @@ describe('cache persistence', () => {
 
   test('loadCache returns empty cache for missing file', async () => {
     const cache = await loadCache('/nonexistent/cache.json');
-    assert.deepStrictEqual(cache, { version: 1, files: {} });
+    assert.deepStrictEqual(cache, { version: CACHE_VERSION, files: {} });
+  });
+
+  test('a cache from another version loads empty', async () => {
+    const p = path.join(os.tmpdir(), `adaptive-memory-test-cache-v-${Date.now()}.json`);
+    fs.writeFileSync(p, JSON.stringify({ version: CACHE_VERSION - 1, files: { '/x.md': { mtimeMs: 1, chunks: [] } } }), 'utf8');
+    assert.deepStrictEqual(await loadCache(p), { version: CACHE_VERSION, files: {} });
+    fs.writeFileSync(p, JSON.stringify({ version: CACHE_VERSION }), 'utf8');
+    assert.deepStrictEqual(await loadCache(p), { version: CACHE_VERSION, files: {} });
+    fs.unlinkSync(p);
+  });
+
+  test('mergeFileEntries takes newer entries the filter accepts', () => {
+    const ours = { files: { a: { mtimeMs: 2 }, b: { mtimeMs: 5 } } };
+    const theirs = { files: { a: { mtimeMs: 1 }, b: { mtimeMs: 6 }, c: { mtimeMs: 1 }, d: { mtimeMs: 9 } } };
+    assert.strictEqual(mergeFileEntries(ours, theirs, (p) => p !== 'd'), 2);
+    assert.deepStrictEqual(ours.files, { a: { mtimeMs: 2 }, b: { mtimeMs: 6 }, c: { mtimeMs: 1 } });
+  });
+
+  test('commitSession merges entries saved by another session', async () => {
+    const p = path.join(os.tmpdir(), `adaptive-memory-test-merge-${Date.now()}.json`);
+    const signature = chunker.chunkerSignature();
+    const entry = (mtimeMs, sig = signature) => ({ mtimeMs, chunker: sig, shard: 'x.json', bytes: 10 });
+    const session = (files) => ({
+      cache: { version: CACHE_VERSION, files },
+      currentPaths: new Set(['/m/a.md', '/m/b.md', '/m/c.md']),
+      chunkOptions: {},
+      index: createEmptyIndex(),
+      cacheDirty: true,
+      indexDirty: false,
+      vectorsDirty: false,
+    });
+    // Both loaded an empty cache; the second to save must not drop the first's work
+    assert.strictEqual(await commitSession(session({ '/m/a.md': entry(2), '/m/c.md': entry(3, 'v0:o0') }), p), true);
+    await commitSession(session({ '/m/a.md': entry(1), '/m/b.md': entry(5) }), p);
+    const saved = (await loadCache(p)).files;
+    assert.deepStrictEqual(Object.keys(saved).sort(), ['/m/a.md', '/m/b.md']);
+    assert.strictEqual(saved['/m/a.md'].mtimeMs, 2);
+    assert.ok(!fs.existsSync(lockPathFor(p)));
+    fs.unlinkSync(p);
+  });
+
+  test('commitSession merges index entries saved by another session', async () => {
+    const p = path.join(os.tmpdir(), `adaptive-memory-test-merge-index-${Date.now()}.json`);
+    const session = (a, b) => {
+      const index = createEmptyIndex();
+      indexFile(index, '/m/a.md', a.mtimeMs, [{ text: a.text }]);
+      indexFile(index, '/m/b.md', b.mtimeMs, [{ text: b.text }]);
+      return {
+        cache: null,
+        currentPaths: new Set(['/m/a.md', '/m/b.md']),
+        chunkOptions: {},
+        index,
+        cacheDirty: false,
+        indexDirty: true,
+        vectorsDirty: false,
+      };
+    };
+    // Each re-indexed a different file since both loaded the same index
+    await commitSession(session({ mtimeMs: 2, text: 'alpha launch' }, { mtimeMs: 1, text: 'beta draft' }), p);
+    await commitSession(session({ mtimeMs: 1, text: 'alpha draft' }, { mtimeMs: 3, text: 'beta release' }), p);
+    const saved = await loadIndex(indexPathFor(p));
+    assert.strictEqual(saved.files['/m/a.md'].mtimeMs, 2);
+    assert.strictEqual(saved.files['/m/b.md'].mtimeMs, 3);
+    assert.deepStrictEqual(searchIndex(saved, ['launch']).map((h) => h.path), ['/m/a.md']);
+    assert.deepStrictEqual(searchIndex(saved, ['release']).map((h) => h.path), ['/m/b.md']);
+    assert.strictEqual(searchIndex(saved, ['draft']).length, 0);
+    assert.strictEqual(saved.chunkCount, 2);
+    assert.strictEqual(saved.totalLength, 4);
+    fs.unlinkSync(indexPathFor(p));
+  });
+});
+
+describe('cache shards', () => {
+  test('chunks are written per file and read back only when needed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adaptive-memory-shards-'));
+    const p = path.join(dir, 'cache.json');
+    const a = path.join(dir, 'a.md');
+    const b = path.join(dir, 'b.md');
+    try {
+      fs.writeFileSync(a, '# A\n\nAlpha notes', 'utf8');
+      fs.writeFileSync(b, '# B\n\nBeta notes', 'utf8');
+      const cache = await loadCache(p);
+      assert.strictEqual(await ensureCachedChunks(cache, a, 1), true);
+      assert.strictEqual(await ensureCachedChunks(cache, b, 1), true);
+      assert.strictEqual(await ensureCachedChunks(cache, a, 1), false);
+      await saveCache(cache, p);
+
+      const manifest = JSON.parse(fs.readFileSync(p, 'utf8'));
+      assert.strictEqual(manifest.files[a].chunks, undefined);
+      assert.ok(manifest.files[a].bytes > 0);
+      assert.strictEqual(fs.readdirSync(shardDirFor(p)).length, 2);
+
+      const reloaded = await loadCache(p);
+      assert.strictEqual(cachedEntry(reloaded, a), undefined);
+      assert.strictEqual(await ensureCachedChunks(reloaded, a, 1), false);
+      assert.ok(cachedEntry(reloaded, a).chunks[0].text.includes('Alpha notes'));
+      assert.strictEqual(cachedEntry(reloaded, b), undefined);
+      // A newer mtime rebuilds; a lost shard is rebuilt from the file
+      assert.strictEqual(await ensureCachedChunks(reloaded, a, 2), true);
+      fs.rmSync(shardDirFor(p), { recursive: true });
+      assert.strictEqual(await ensureCachedChunks(reloaded, b, 1), true);
+
+      assert.strictEqual(pruneCache(reloaded, new Set([a])), true);
+      await saveCache(reloaded, p);
+      assert.deepStrictEqual(Object.keys((await loadCache(p)).files), [a]);
+      assert.strictEqual(fs.readdirSync(shardDirFor(p)).length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('pruneCache keeps the newest entries within the byte bound', () => {
+    const cache = { version: CACHE_VERSION, files: {} };
+    for (let i = 0; i < 4; i++) {
+      cache.files[`/m/${i}.md`] = { mtimeMs: i, chunker: 'c', shard: `${i}.json`, bytes: 50 * 1024 * 1024 };
+    }
+    assert.strictEqual(pruneCache(cache, new Set(Object.keys(cache.files))), true);
+    assert.deepStrictEqual(Object.keys(cache.files).sort(), ['/m/2.md', '/m/3.md']);
+  });
+});
+
+describe('lock files', () => {
+  const lockFile = () => path.join(os.tmpdir(), `adaptive-memory-test-${Date.now()}-${Math.random().toString(16).slice(2)}.lock`);
+
+  test('serializes holders and releases only its own lock', async () => {
+    const p = lockFile();
+    const order = [];
+    await Promise.all([
+      lock.withLock(p, async () => { order.push('a+'); await new Promise((r) => setTimeout(r, 60)); order.push('a-'); }),
+      new Promise((r) => setTimeout(r, 10)).then(() => lock.withLock(p, async () => { order.push('b+'); order.push('b-'); })),
+    ]);
+    assert.deepStrictEqual(order, ['a+', 'a-', 'b+', 'b-']);
+    assert.ok(!fs.existsSync(p));
+
+    const token = await lock.acquireLock(p);
+    await lock.releaseLock(p, 'not-the-owner');
+    assert.ok(fs.existsSync(p));
+    await lock.releaseLock(p, token);
+    assert.ok(!fs.existsSync(p));
+  });
+
+  test('times out with ELOCKED while a live holder keeps it', async () => {
+    const p = lockFile();
+    const token = await lock.acquireLock(p);
+    await assert.rejects(lock.acquireLock(p, { timeoutMs: 80 }), (err) => err.code === 'ELOCKED');
+    await lock.releaseLock(p, token);
+  });
+
+  test('recovers locks left by dead processes or older than staleMs', async () => {
+    const p = lockFile();
+    fs.writeFileSync(p, JSON.stringify({ pid: 2 ** 22 + 12345, host: os.hostname(), token: 'dead' }), 'utf8');
+    assert.strictEqual(await lock.isStaleLock(p), true);
+    await lock.releaseLock(p, await lock.acquireLock(p, { timeoutMs: 200 }));
+
+    fs.writeFileSync(p, JSON.stringify({ pid: process.pid, host: os.hostname(), token: 'old' }), 'utf8');
+    assert.strictEqual(await lock.isStaleLock(p), false);
+    const old = (Date.now() - 60 * 1000) / 1000;
+    fs.utimesSync(p, old, old);
+    assert.strictEqual(await lock.isStaleLock(p, 30 * 1000), true);
+    await lock.releaseLock(p, await lock.acquireLock(p, { timeoutMs: 200 }));
+    assert.ok(!fs.existsSync(p));
+  });
+
+  // Holds the lock for `ms`, recording the most holders at once in `seen`
+  const holdFor = (p, ms, seen, options) => lock.withLock(p, async () => {
+    seen.most = Math.max(seen.most, ++seen.holders);
+    await new Promise((r) => setTimeout(r, ms));
+    seen.holders -= 1;
+  }, { timeoutMs: 2000, ...options });
+  const leftovers = (p) => fs.readdirSync(path.dirname(p)).filter((f) => f.startsWith(`${path.basename(p)}.`));
+
+  test('acquirers racing to recover one stale lock never both hold it', async () => {
+    const p = lockFile();
+    fs.writeFileSync(p, JSON.stringify({ pid: process.pid, host: os.hostname(), token: 'old' }), 'utf8');
+    const old = (Date.now() - 60 * 1000) / 1000;
+    fs.utimesSync(p, old, old);
+    // All judge it stale; the first to go for the guard arrives only after
+    // another has recovered the lock and taken a new one
+    const writeFile = fsp.writeFile;
+    let guards = 0;
+    fsp.writeFile = async (file, ...rest) => {
+      if (file === `${p}.guard` && guards++ === 0) await new Promise((r) => setTimeout(r, 60));
+      return writeFile(file, ...rest);
+    };
+    const seen = { holders: 0, most: 0 };
+    try {
+      await Promise.all([1, 2, 3, 4].map(() => holdFor(p, 100, seen, { staleMs: 1000 })));
+    } finally {
+      fsp.writeFile = writeFile;
+    }
+    assert.strictEqual(seen.most, 1);
+    assert.ok(!fs.existsSync(p));
+    assert.deepStrictEqual(leftovers(p), []);
+  });
+
+  test('a holder slower than staleMs keeps its lock', async () => {
+    const p = lockFile();
+    const seen = { holders: 0, most: 0 };
+    const slow = holdFor(p, 400, seen, { staleMs: 150 });
+    await new Promise((r) => setTimeout(r, 20));
+    await Promise.all([slow, holdFor(p, 10, seen, { staleMs: 150 }), holdFor(p, 10, seen, { staleMs: 150 })]);
+    assert.strictEqual(seen.most, 1);
+    assert.ok(!fs.existsSync(p));
+    assert.deepStrictEqual(leftovers(p), []);
+  });
+
+  test('releasing a lock that was taken over leaves the new holder alone', async () => {
+    const p = lockFile();
+    const token = await lock.acquireLock(p);
+    const old = (Date.now() - 60 * 1000) / 1000;
+    fs.utimesSync(p, old, old);
+    const next = await lock.acquireLock(p, { timeoutMs: 200 });
+    await lock.releaseLock(p, token);
+    assert.strictEqual(JSON.parse(fs.readFileSync(p, 'utf8')).token, next);
+    await lock.releaseLock(p, next);
+    assert.ok(!fs.existsSync(p));
   });
 });
 
@@ -447,6 +2035,13 @@ describe('shouldSearchMemory (tech-skip heuristic)', () => {
   test('allows non-tech non-personal prompts', () => {
     assert.strictEqual(shouldSearchMemory('design a landing page for the app'), true);
   });
+
+  test('searchGate reports which signals decided', () => {
+    assert.deepStrictEqual(searchGate('npm error in my project build'),
+      { search: true, looksLikeTech: true, looksPersonalOrProject: true });
+    assert.deepStrictEqual(searchGate('docker compose up fails'),
+      { search: false, looksLikeTech: true, looksPersonalOrProject: false });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -475,6 +2070,143 @@ describe('escapeMarker', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// tokens.js — estimators and boundary cuts
+// ---------------------------------------------------------------------------
+
+describe('token estimators', () => {
+  const estimator = tokens.resolveTokenEstimator();
+
+  test('defaults to the offline heuristic', () => {
+    assert.strictEqual(estimator.id, 'heuristic');
+    assert.strictEqual(estimator.count(''), 0);
+  });
+
+  test('CJK and accented text cost more tokens per character than English', () => {
+    const perChar = (s) => estimator.count(s) / s.length;
+    const english = perChar('We meet at the office tomorrow to discuss the project.');
+    const norwegian = perChar('Vi møtes på kontoret i morgen for å diskutere prosjektet.');
+    const chinese = perChar('我们明天在办公室见面讨论这个项目。');
+    assert.ok(norwegian > english, `${norwegian} <= ${english}`);
+    assert.ok(chinese > norwegian, `${chinese} <= ${norwegian}`);
+    assert.ok(chinese >= 0.9, `CJK should be about a token per character, got ${chinese}`);
+  });
+
+  test('code costs more tokens per character than prose', () => {
+    const perChar = (s) => estimator.count(s) / s.length;
+    const prose = perChar('The deploy script restarts the worker after every release.');
+    const code = perChar('if (!res.ok) throw new Error(`${res.status}: ${await res.text()}`);');
+    assert.ok(code > prose, `${code} <= ${prose}`);
+  });
+
+  test('runs of one symbol merge', () => {
+    assert.ok(estimator.count('-'.repeat(40)) <= 5);
+    assert.ok(estimator.count('(){}[];,') >= 8);
+  });
+
+  test('resolves chars4, objects, registered names and modules', async () => {
+    assert.strictEqual(tokens.resolveTokenEstimator('chars4').count('x'.repeat(10)), 3);
+    const custom = { id: 'words', count: (t) => t.split(/\s+/).filter(Boolean).length };
+    assert.strictEqual(tokens.resolveTokenEstimator(custom), custom);
+    tokens.registerTokenEstimator('unit-words', () => custom);
+    assert.strictEqual(tokens.resolveTokenEstimator('unit-words').count('a b c'), 3);
+    assert.throws(() => tokens.resolveTokenEstimator('no-such-estimator'), /Unknown token estimator/);
+    assert.throws(() => tokens.registerTokenEstimator('bad', {}), TypeError);
+
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'am-tokens-'));
+    const mod = path.join(dir, 'estimator.js');
+    await fsp.writeFile(mod, "module.exports = () => ({ id: 'mod', count: (t) => t.length });");
+    try {
+      assert.strictEqual(tokens.resolveTokenEstimator(mod).count('abcd'), 4);
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('cutAtBoundary keeps whole sentences', () => {
+    const text = 'First sentence here. Second one is longer than that. Third.';
+    const within = (n) => (t) => t.length <= n;
+    assert.strictEqual(tokens.cutAtBoundary(text, within(100)), text);
+    assert.strictEqual(tokens.cutAtBoundary(text, within(40)), 'First sentence here.');
+    assert.strictEqual(tokens.cutAtBoundary(text, within(55)), 'First sentence here. Second one is longer than that.');
+    assert.strictEqual(tokens.cutAtBoundary('我们明天见面。讨论这个项目吧', within(10)), '我们明天见面。');
+  });
+
+  test('cutAtBoundary falls back to whole words, then to a hard cut', () => {
+    const within = (n) => (t) => t.length <= n;
+    assert.strictEqual(tokens.cutAtBoundary('First sentence here.', within(12)), 'First…');
+    assert.strictEqual(tokens.cutAtBoundary('x'.repeat(50), within(10)), 'x'.repeat(10));
+    assert.strictEqual(tokens.cutAtBoundary('anything', () => false), '');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// snippets.js — query-aware snippets
+// ---------------------------------------------------------------------------
+
+describe('snippets', () => {
+  const filler = 'The team reviewed the roadmap and agreed on next steps for the quarter. ';
+  const deep = `## Shipster\n\n${filler.repeat(8)}Billing moved to the new provider in March. ${filler.repeat(6)}`;
+
+  test('short chunks are returned whole', () => {
+    const text = '## Shipster\n\nBilling moved in March.';
+    assert.strictEqual(snippets.extractSnippet(text, ['Billing']), text);
+  });
+
+  test('centers on a match deep in the chunk and keeps the heading', () => {
+    assert.ok(deep.length > 900);
+    const s = snippets.extractSnippet(deep, ['Billing']);
+    assert.ok(s.length <= 500, `snippet ${s.length} chars`);
+    assert.ok(s.startsWith('## Shipster\n\n… '), s.slice(0, 40));
+    assert.ok(s.includes('Billing moved to the new provider in March.'));
+    assert.ok(s.endsWith(' …'));
+    // Windows start and end on sentence boundaries
+    assert.ok(/… The team/.test(s) && /quarter\. …$/.test(s), s);
+  });
+
+  test('joins windows around different matched words with ellipses', () => {
+    const text = `${filler.repeat(3)}Billing moved in March. ${filler.repeat(8)}Invoices go out on the 2nd. ${filler.repeat(3)}`;
+    const s = snippets.extractSnippet(text, ['Billing', 'Invoices'], { maxChars: 300 });
+    assert.ok(s.length <= 300, `snippet ${s.length} chars`);
+    assert.ok(s.includes('Billing moved in March.') && s.includes('Invoices go out on the 2nd.'), s);
+    assert.ok(s.indexOf('Billing') < s.indexOf(' … ') && s.indexOf(' … ') < s.indexOf('Invoices'), s);
+  });
+
+  test('prefers the span with the most distinct matched words', () => {
+    const text = `Billing note. ${filler.repeat(6)}Billing and invoices were both moved. ${filler.repeat(6)}`;
+    const s = snippets.extractSnippet(text, ['Billing', 'invoices'], { maxChars: 150 });
+    assert.ok(s.includes('Billing and invoices were both moved.'), s);
+    assert.ok(!s.includes('Billing note.'), s);
+  });
+
+  test('continuation chunks get the heading they sit under', () => {
+    const s = snippets.extractSnippet(filler.repeat(10), [], { headings: ['Projects', 'Atlas'] });
+    assert.ok(s.startsWith('## Atlas\n\nThe team'), s.slice(0, 30));
+    assert.ok(s.length <= 500 && s.endsWith('quarter.'));
+  });
+
+  test('without matches, cuts the top at a sentence boundary', () => {
+    const s = snippets.extractSnippet(deep, ['nowhere']);
+    assert.ok(s.startsWith('## Shipster\n\nThe team'));
+    assert.ok(s.endsWith('quarter.') && s.length <= 500);
+  });
+
+  test('highlights matched words once, including inside compounds', () => {
+    assert.strictEqual(
+      snippets.highlightWords('Deployed the deployment-pipeline.', ['Deployed', 'deployment-pipeline', 'deployment']),
+      '**Deployed** the **deployment-pipeline**.'
+    );
+    const s = snippets.extractSnippet(deep, ['Billing'], { highlight: true });
+    assert.ok(s.includes('**Billing** moved'), s);
+  });
+
+  test('works for scripts written without spaces', () => {
+    const text = `${'我们明天在办公室见面。'.repeat(30)}讨论账单问题。${'我们明天在办公室见面。'.repeat(30)}`;
+    const s = snippets.extractSnippet(text, ['账单'], { maxChars: 60 });
+    assert.ok(s.length <= 60 && s.includes('讨论账单问题。'), s);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // hook.js — buildInjectionSection
 // ---------------------------------------------------------------------------
@@ -501,6 +2233,20 @@ describe('buildInjectionSection (budget enforcement)', () => {
     assert.ok(section.includes('my test intent'));
   });
 
+  test('labels chunks with their citation when present', () => {
+    const section = buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      chunks: [
+        { path: '/m/projects.md', citation: 'projects.md#L40-L58 (Projects › Shipster)', score: 0.9, snippet: 'a' },
+        { path: '/m/people.md', score: 0.8, snippet: 'b' },
+      ],
+    });
+    assert.ok(section.includes('### 1. projects.md#L40-L58 (Projects › Shipster) (relevance: 90%)'));
+    assert.ok(section.includes('### 2. people.md (relevance: 80%)'));
+  });
+
   test('enforces maxInjectedCharsTotal budget', () => {
     const bigSnippet = 'x'.repeat(5000);
     const section = buildInjectionSection({
@@ -529,6 +2275,150 @@ describe('buildInjectionSection (budget enforcement)', () => {
     const wCount = (section.match(/W/g) || []).length;
     assert.ok(wCount <= 800, `expected <= 800 W chars per snippet, got ${wCount}`);
   });
+
+  test('labels fallback chunks with why they were loaded', () => {
+    const section = buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      note: 'Search failed',
+      chunks: [{ path: '/m/MEMORY.md', citation: 'MEMORY.md', snippet: 'W'.repeat(1500), fallback: 'core memory', maxChars: 4000 }],
+    });
+    assert.ok(section.includes('### 1. MEMORY.md (fallback: core memory)'));
+    assert.ok(section.includes('*Search failed*'));
+    assert.strictEqual((section.match(/W/g) || []).length, 1500);
+  });
+
+  test('reports how many chunks fit the budget', () => {
+    const budget = {};
+    const big = 'y'.repeat(5000);
+    buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      chunks: [1, 2, 3, 4, 5, 6, 7, 8].map((i) => ({ path: `/m/${i}.md`, score: 0.9, snippet: big })),
+      budget,
+    });
+    assert.ok(budget.included > 0 && budget.included < 8, `included ${budget.included}`);
+    assert.ok(budget.usedChars <= budget.maxChars);
+    assert.strictEqual(budget.truncated.length, budget.included);
+  });
+
+  test('cuts snippets at sentence boundaries instead of mid-word', () => {
+    const sentence = 'Shipster moved its billing to the new provider in March. ';
+    const section = buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      chunks: [{ path: '/a.md', score: 0.9, snippet: sentence.repeat(30) }],
+    });
+    const body = section.split('### 1. a.md (relevance: 90%)\n\n')[1].split('\n\n---')[0];
+    assert.ok(body.length <= 800, `snippet ${body.length} chars`);
+    assert.ok(body.endsWith('in March.'), `cut mid-sentence: ...${body.slice(-30)}`);
+  });
+
+  test('enforces maxInjectedTokens over the whole section and reports usage', () => {
+    const budget = {};
+    const estimator = tokens.resolveTokenEstimator();
+    const section = buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      chunks: [1, 2, 3].map((i) => ({ path: `/m/${i}.md`, score: 0.9, snippet: '我们明天在办公室见面讨论这个项目。'.repeat(20) })),
+      budget,
+      maxTokens: 300,
+    });
+    assert.strictEqual(budget.maxTokens, 300);
+    assert.strictEqual(budget.estimator, 'heuristic');
+    assert.ok(budget.usedTokens <= 300, `used ${budget.usedTokens}`);
+    assert.ok(estimator.count(section) <= budget.usedTokens, 'report undercounts the section');
+    assert.ok(budget.included >= 1 && budget.truncated.length >= 1);
+    // Characters alone would have let far more CJK text in
+    assert.ok(budget.usedChars < 400, `used ${budget.usedChars} chars`);
+  });
+
+  test('stops before a heading that no snippet text would fit under', () => {
+    const budget = {};
+    const section = buildInjectionSection({
+      marker: '<!-- m -->',
+      sessionKey: 's',
+      intent: 'q',
+      chunks: [{ path: '/a.md', score: 0.9, snippet: 'Some remembered fact.' }],
+      budget,
+      maxTokens: 10,
+    });
+    assert.strictEqual(budget.included, 0);
+    assert.ok(!section.includes('### 1.'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// hook.js — topic shift
+// ---------------------------------------------------------------------------
+
+describe('topic shift', () => {
+  const { reinjectionDue, topicSimilarity, onTopicShift, DEFAULTS } = hook._internals;
+  const enabled = { ...DEFAULTS, reinjectOnTopicShift: true };
+  const minutes = (n) => n * 60 * 1000;
+  const topic = (at, chunks = ['a.md#0']) => ({ at, intent: 'fix the checkout bug', chunks });
+
+  test('reinjectionDue is off by default', () => {
+    const { due, reason } = reinjectionDue([topic(0)], minutes(60), DEFAULTS);
+    assert.strictEqual(due, false);
+    assert.ok(reason.includes('disabled'));
+  });
+
+  test('reinjectionDue stops at maxInjectionsPerSession sections', () => {
+    const topics = [topic(0), topic(minutes(20)), topic(minutes(40))];
+    const { due, reason } = reinjectionDue(topics, minutes(120), enabled);
+    assert.strictEqual(due, false);
+    assert.ok(reason.includes('maxInjectionsPerSession'));
+    // A topic that found nothing to inject does not use up the cap
+    topics[2].chunks = [];
+    assert.strictEqual(reinjectionDue(topics, minutes(120), enabled).due, true);
+  });
+
+  test('reinjectionDue waits out the cooldown after the last topic', () => {
+    const topics = [topic(0)];
+    const early = reinjectionDue(topics, minutes(5), enabled);
+    assert.strictEqual(early.due, false);
+    assert.ok(early.reason.startsWith('Cooldown'));
+    assert.strictEqual(reinjectionDue(topics, minutes(10), enabled).due, true);
+  });
+
+  test('reinjectionDue runs the cooldown from the last topic that injected something', () => {
+    assert.strictEqual(reinjectionDue([topic(0, [])], minutes(1), enabled).due, true);
+    assert.strictEqual(reinjectionDue([topic(0), topic(minutes(9), [])], minutes(10.5), enabled).due, true);
+    assert.strictEqual(reinjectionDue([topic(minutes(5)), topic(minutes(6), [])], minutes(7), enabled).due, false);
+  });
+
+  test('topicSimilarity compares keywords', async () => {
+    assert.ok(await topicSimilarity('fix the checkout bug', 'checkout bug keeps failing', 'keywords') > 0.2);
+    assert.strictEqual(await topicSimilarity('fix the checkout bug', 'wholesale customer promises', 'keywords'), 0);
+    // No keywords, no topic to shift to
+    assert.strictEqual(await topicSimilarity('fix the checkout bug', 'ok', 'keywords'), 1);
+  });
+
+  test('onTopicShift skips a message on an earlier topic', async () => {
+    const result = await onTopicShift({
+      sessionKey: 'topic-shift-unit',
+      message: 'The checkout bug is back',
+      topics: [topic(0)],
+    });
+    assert.strictEqual(result.skipped, true);
+    assert.strictEqual(result.reason, 'No topic shift');
+    assert.ok(result.similarity >= DEFAULTS.topicShiftThreshold);
+  });
+
+  test('onTopicShift searches an on-topic message when the first one found nothing', async () => {
+    const result = await onTopicShift({
+      sessionKey: 'topic-shift-unit-missed',
+      message: 'The checkout bug is back',
+      topics: [topic(0, [])],
+    });
+    assert.notStrictEqual(result.reason, 'No topic shift');
+    assert.strictEqual(result.similarity, null);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -605,6 +2495,11 @@ describe('Hook module exports', () => {
     assert.strictEqual(result.success, true);
     assert.strictEqual(result.skipped, true);
   });
+
+  test('memory watcher stays off unless watchMemory is set', async () => {
+    assert.strictEqual(hook._internals.DEFAULTS.watchMemory, false);
+    assert.strictEqual(await hook._internals.startMemoryWatcher(), null);
+  });
 });
 
 // ---------------------------------------------------------------------------
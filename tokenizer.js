@@ -0,0 +1,363 @@
+/**
+ * Adaptive Memory Tokenizer
+ *
+ * Shared text analysis for queries and indexed chunks, so both sides always
+ * produce the same terms.
+ * - Unicode-aware: letters, digits and combining marks from any script
+ * - Per-language stop word lists (query side only; the index keeps every term)
+ * - Optional diacritic folding (møte -> mote, kjøp -> kjop, Åse -> ase)
+ * - Word segmentation for scripts written without spaces (CJK, Thai, ...)
+ *   via Intl.Segmenter, with a character-bigram fallback on runtimes without it
+ * - Stemming of query and index terms (see stemmer.js); the original words
+ *   are recovered per chunk with findMatchedWords for highlighting
+ */
+
+const { resolveStemmer } = require('./stemmer');
+
+// Bump when tokenization rules change so persisted indexes are rebuilt.
+const TOKENIZER_VERSION = 3;
+
+const DEFAULT_LANGUAGES = ['en'];
+
+// Query filler words per language. Entries of one or two letters are already
+// dropped by the length filter for space-delimited scripts; they are listed
+// anyway so each list reads as a complete set.
+const STOP_WORDS_BY_LANGUAGE = {
+  en: [
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
+    'her', 'was', 'one', 'our', 'out', 'has', 'have', 'been', 'some', 'them',
+    'than', 'its', 'over', 'into', 'just', 'about', 'what', 'which', 'when',
+    'make', 'like', 'how', 'each', 'from', 'this', 'that', 'with', 'they',
+    'will', 'would', 'there', 'their', 'could', 'other', 'more', 'very',
+    'after', 'most', 'also', 'made', 'then', 'many', 'before', 'should',
+    'these', 'where', 'being', 'does', 'show', 'tell', 'give', 'help',
+    'remind', 'please',
+  ],
+  // Norwegian (bokmål + common nynorsk forms)
+  no: [
+    'og', 'det', 'at', 'en', 'et', 'den', 'til', 'er', 'som', 'på', 'de',
+    'med', 'han', 'av', 'ikke', 'ikkje', 'der', 'så', 'var', 'meg', 'seg',
+    'men', 'ett', 'har', 'om', 'vi', 'min', 'mitt', 'mine', 'hadde', 'hun',
+    'nå', 'over', 'da', 'ved', 'fra', 'du', 'ut', 'sin', 'sitt', 'sine',
+    'dem', 'oss', 'opp', 'man', 'kan', 'hans', 'hennes', 'hvor', 'eller',
+    'hva', 'kva', 'skal', 'selv', 'her', 'alle', 'vil', 'bli', 'ble',
+    'blitt', 'blir', 'kunne', 'inn', 'når', 'være', 'vere', 'kom', 'noen',
+    'noe', 'ville', 'dere', 'deres', 'kun', 'etter', 'ned', 'skulle',
+    'denne', 'dette', 'disse', 'for', 'deg', 'mot', 'hvorfor', 'kvifor',
+    'uten', 'hvordan', 'korleis', 'ingen', 'din', 'ditt', 'samme', 'hvilken',
+    'hvilke', 'mellom', 'vår', 'våre', 'hver', 'hvem', 'kven', 'hvis',
+    'både', 'bare', 'enn', 'fordi', 'før', 'mange', 'også', 'slik', 'vært',
+    'begge', 'siden', 'eg', 'ein', 'eit', 'dei', 'ho', 'vis', 'fortell',
+    'hjelp', 'minn', 'vennligst', 'takk',
+  ],
+  sv: [
+    'och', 'det', 'att', 'som', 'för', 'med', 'den', 'har', 'inte', 'var',
+    'jag', 'till', 'men', 'ett', 'han', 'hon', 'kan', 'ska', 'vad', 'när',
+    'hur', 'vem', 'vilken', 'där', 'från', 'eller', 'också', 'efter',
+    'över', 'under', 'alla', 'mycket', 'dem', 'oss', 'sig', 'sin', 'sitt',
+    'sina', 'här', 'bara', 'utan', 'mellan', 'vara', 'varit', 'blir',
+    'blev', 'skulle', 'kunde', 'ville', 'visa', 'berätta', 'hjälp', 'tack',
+  ],
+  da: [
+    'og', 'det', 'at', 'som', 'for', 'med', 'den', 'har', 'ikke', 'var',
+    'jeg', 'til', 'men', 'et', 'han', 'hun', 'kan', 'skal', 'hvad', 'når',
+    'hvordan', 'hvem', 'hvilken', 'der', 'fra', 'eller', 'også', 'efter',
+    'over', 'under', 'alle', 'meget', 'dem', 'sig', 'sin', 'sit', 'sine',
+    'her', 'bare', 'end', 'uden', 'mellem', 'være', 'været', 'bliver',
+    'blev', 'skulle', 'kunne', 'ville', 'vis', 'fortæl', 'hjælp', 'tak',
+  ],
+  de: [
+    'der', 'die', 'das', 'und', 'oder', 'aber', 'nicht', 'ist', 'sind',
+    'war', 'waren', 'ein', 'eine', 'einen', 'einem', 'einer', 'mit', 'für',
+    'von', 'auf', 'aus', 'bei', 'nach', 'über', 'unter', 'wie', 'was',
+    'wer', 'wann', 'warum', 'welche', 'welcher', 'dass', 'auch', 'nur',
+    'noch', 'schon', 'sehr', 'wir', 'ihr', 'sie', 'ich', 'uns', 'euch',
+    'den', 'dem', 'des', 'zum', 'zur', 'kann', 'können', 'soll', 'sollen',
+    'wird', 'werden', 'hat', 'haben', 'sein', 'bitte', 'zeig', 'zeige',
+  ],
+  zh: [
+    '的', '了', '是', '在', '和', '有', '我', '我们', '你', '你们', '他', '她',
+    '它', '这', '那', '也', '就', '都', '而', '及', '与', '或', '吗', '呢', '吧',
+    '啊', '什么', '怎么', '哪里', '请',
+  ],
+  ja: [
+    'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'も', 'な', 'か',
+    'ます', 'です', 'から', 'まで', 'より', 'こと', 'これ', 'それ', 'あれ',
+    'この', 'その', 'ください',
+  ],
+};
+
+// Scripts written without spaces between words.
+const NO_SPACE_SCRIPT_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const NO_SPACE_RUN_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]+/gu;
+
+// Characters kept inside a token: letters, marks, digits plus the identifier
+// punctuation that makes c++, c#, node.js and deploy-pipeline meaningful.
+const TOKEN_STRIP_RE = /[^\p{L}\p{M}\p{N}_+#.-]/gu;
+const NON_WORD_RE = /[^\p{L}\p{M}\p{N}_]/u;
+const PART_SPLIT_RE = /[^\p{L}\p{M}\p{N}_]+/u;
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+const STEMMABLE_RE = /^\p{L}[\p{L}\p{M}]*$/u;
+
+// Letters that don't decompose under NFD but are commonly typed without
+// their diacritic.
+const FOLD_MAP = {
+  ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i',
+};
+
+/**
+ * Escape string for safe use inside a RegExp
+ */
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function foldDiacritics(s) {
+  return s
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[øæœßđðłþı]/g, (c) => FOLD_MAP[c])
+    .normalize('NFC');
+}
+
+/**
+ * Canonical form used for both matching and indexing: NFC, lowercase and,
+ * when `foldDiacritics` is set, stripped of diacritics.
+ */
+function normalizeText(text, options = {}) {
+  const s = String(text || '').normalize('NFC').toLowerCase();
+  return options.foldDiacritics ? foldDiacritics(s) : s;
+}
+
+let _segmenter;
+function getSegmenter() {
+  if (_segmenter === undefined) {
+    _segmenter = typeof Intl === 'object' && typeof Intl.Segmenter === 'function'
+      ? new Intl.Segmenter(undefined, { granularity: 'word' })
+      : null;
+  }
+  return _segmenter;
+}
+
+/**
+ * Split a run of text containing no-space scripts into words.
+ * Uses Intl.Segmenter (Node 16+); otherwise character bigrams, which match
+ * consistently on both query and index.
+ */
+function segmentWords(s) {
+  const segmenter = getSegmenter();
+  if (!segmenter) return segmentWithBigrams(s);
+  return Array.from(segmenter.segment(s))
+    .filter((seg) => seg.isWordLike)
+    .map((seg) => seg.segment);
+}
+
+/**
+ * Fallback segmentation: overlapping character bigrams for no-space runs;
+ * other runs (e.g. "iphone" in "iphone手机") are kept whole.
+ */
+function segmentWithBigrams(s) {
+  const out = [];
+  for (const run of s.match(NO_SPACE_RUN_RE) || []) {
+    if (!NO_SPACE_SCRIPT_RE.test(run)) {
+      out.push(run);
+    } else if (run.length === 1) {
+      out.push(run);
+    } else {
+      const chars = Array.from(run);
+      for (let i = 0; i + 1 < chars.length; i++) out.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Identifies the token rules a persisted index was built with.
+ */
+function tokenizerSignature(options = {}) {
+  const segmentation = getSegmenter() ? 'icu' : 'bigram';
+  const stemmer = stemmerFor(options);
+  return [
+    `v${TOKENIZER_VERSION}`,
+    options.foldDiacritics ? 'fold' : 'exact',
+    segmentation,
+    stemmer ? stemmer.id : 'nostem',
+  ].join(':');
+}
+
+/**
+ * Stemmer for the configured languages; off unless `stemming: true`.
+ */
+function stemmerFor(options = {}) {
+  if (!options.stemming) return null;
+  const languages = options.languages && options.languages.length ? options.languages : DEFAULT_LANGUAGES;
+  return resolveStemmer(languages);
+}
+
+function stemWith(stemmer, word) {
+  return stemmer && STEMMABLE_RE.test(word) ? stemmer.stem(word) : word;
+}
+
+/**
+ * Index terms for one token: the token itself (stemmed if it is a plain
+ * word) or, for compounds like node.js, the token plus its stemmed parts.
+ */
+function termsForToken(w, stemmer) {
+  if (!NON_WORD_RE.test(w)) return [stemWith(stemmer, w)];
+  const terms = [w];
+  for (const part of w.split(PART_SPLIT_RE)) {
+    if (part && part !== w) terms.push(stemWith(stemmer, part));
+  }
+  return terms;
+}
+
+/**
+ * Split normalized text into word tokens.
+ */
+function wordTokens(normalized) {
+  const out = [];
+  for (const raw of normalized.split(/\s+/)) {
+    if (!raw) continue;
+    const pieces = NO_SPACE_SCRIPT_RE.test(raw) ? segmentWords(raw) : [raw];
+    for (const piece of pieces) {
+      const w = piece.replace(TOKEN_STRIP_RE, '');
+      if (w) out.push(w);
+    }
+  }
+  return out;
+}
+
+const _stopWordCache = new Map();
+
+function stopWordsFor(options = {}) {
+  const languages = options.languages && options.languages.length ? options.languages : DEFAULT_LANGUAGES;
+  const key = `${languages.join(',')}|${options.foldDiacritics ? 1 : 0}`;
+  if (!_stopWordCache.has(key)) {
+    const set = new Set();
+    for (const lang of languages) {
+      for (const w of STOP_WORDS_BY_LANGUAGE[lang] || []) set.add(normalizeText(w, options));
+    }
+    _stopWordCache.set(key, set);
+  }
+  return _stopWordCache.get(key);
+}
+
+/**
+ * Query words minus stop words, at any length (alias names like "WC" are
+ * shorter than the keyword cutoff).
+ */
+function tokenizeQuery(query, options = {}) {
+  const stop = stopWordsFor(options);
+  return wordTokens(normalizeText(query, options)).filter(w => !stop.has(w));
+}
+
+/**
+ * Extract meaningful keywords from a query string.
+ * Filters stop words (for `options.languages`) and very short words.
+ * Words from no-space scripts are kept at any length, since a single Han
+ * character is often a whole word.
+ */
+function extractKeywords(query, options = {}) {
+  return tokenizeQuery(query, options)
+    .filter(w => NO_SPACE_SCRIPT_RE.test(w) || w.length > 2);
+}
+
+/**
+ * Plain words that typo tolerance applies to: letters only, and not from a
+ * script written without spaces.
+ */
+function isFuzzyEligible(word) {
+  return STEMMABLE_RE.test(word) && !NO_SPACE_SCRIPT_RE.test(word);
+}
+
+/**
+ * Map extracted keywords to the stemmed terms they are indexed under
+ * (deploying, deployed -> deploy). Duplicates are dropped.
+ */
+function queryTerms(keywords, options = {}) {
+  const stemmer = stemmerFor(options);
+  return Array.from(new Set(keywords.map((w) => stemWith(stemmer, w))));
+}
+
+/**
+ * Split chunk text into index terms.
+ * Uses the same rules as extractKeywords so query keywords can be looked up
+ * via queryTerms; compound tokens (node.js, deploy-pipeline) also emit their
+ * word parts, mirroring how the word-boundary matchers behave.
+ */
+function tokenizeForIndex(text, options = {}) {
+  const stemmer = stemmerFor(options);
+  const tokens = wordTokens(normalizeText(text, options));
+  const terms = [];
+  for (const w of tokens) terms.push(...termsForToken(w, stemmer));
+  return { length: tokens.length, terms };
+}
+
+/**
+ * Stemmed terms of `text` in order, stop words included (for phrase checks
+ * and shingles). Compound tokens count as their word parts, so "version."
+ * at the end of a sentence is "version" and "deploy-pipeline" is "deploy
+ * pipeline", the words the index has for them.
+ */
+function termSequence(text, options = {}) {
+  const stemmer = stemmerFor(options);
+  const terms = [];
+  for (const w of wordTokens(normalizeText(text, options))) {
+    const parts = NON_WORD_RE.test(w) ? w.split(PART_SPLIT_RE).filter(Boolean) : [w];
+    for (const part of parts) terms.push(stemWith(stemmer, part));
+  }
+  return terms;
+}
+
+/**
+ * Words of `text`, in their original form, that index under any of `terms`
+ * (e.g. "Deployed" and "deployment" for the term "deploy"). Used to
+ * highlight what a stemmed query actually matched.
+ */
+function findMatchedWords(text, terms, options = {}) {
+  const wanted = new Set(terms);
+  const stemmer = stemmerFor(options);
+  const found = new Set();
+  for (const w of wordTokens(String(text || '').normalize('NFC'))) {
+    const forms = NON_WORD_RE.test(w) ? [w, ...w.split(PART_SPLIT_RE).filter(Boolean)] : [w];
+    for (const form of forms) {
+      if (wanted.has(stemWith(stemmer, normalizeText(form, options)))) found.add(form);
+    }
+  }
+  return Array.from(found);
+}
+
+/**
+ * Compile keywords into Unicode-aware, escaped matchers.
+ * Words from no-space scripts match anywhere; others need a non-letter on
+ * both sides (\b only understands ASCII letters).
+ */
+function buildKeywordMatchers(keywords) {
+  return keywords.map((word) => {
+    const escaped = escapeRegex(word);
+    const pattern = NO_SPACE_SCRIPT_RE.test(word)
+      ? escaped
+      : `(?<!${WORD_CHAR})${escaped}(?!${WORD_CHAR})`;
+    return { word, re: new RegExp(pattern, 'gu') };
+  });
+}
+
+module.exports = {
+  TOKENIZER_VERSION,
+  STOP_WORDS_BY_LANGUAGE,
+  escapeRegex,
+  foldDiacritics,
+  normalizeText,
+  segmentWords,
+  segmentWithBigrams,
+  tokenizerSignature,
+  stopWordsFor,
+  tokenizeQuery,
+  extractKeywords,
+  queryTerms,
+  isFuzzyEligible,
+  tokenizeForIndex,
+  termSequence,
+  findMatchedWords,
+  buildKeywordMatchers,
+};
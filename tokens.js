@@ -0,0 +1,169 @@
+/**
+ * Adaptive Memory Tokens
+ *
+ * Pluggable token estimators for the injection budget, and snippet cutting
+ * at sentence boundaries.
+ *
+ * An estimator is any object with:
+ *   - id:          string, shown in budget reports
+ *   - count(text): number — estimated tokens for the text
+ *
+ * The built-in default (`heuristic`) works offline and approximates a BPE
+ * tokenizer per script class: English words cost about one token per four
+ * letters, accented Latin words (Norwegian, German) and other alphabets
+ * more, CJK, kana and Hangul about one token per character, digits one per
+ * three, and punctuation — dense in code — one per symbol. `chars4` is the
+ * classic characters / 4 rule, for comparison.
+ */
+
+const path = require('path');
+const { expandPath } = require('./utils');
+
+const DENSE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const PIECE_RE = /\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]+/gu;
+
+function countPiece(piece) {
+  const c = piece[0];
+  if (/\s/.test(c)) {
+    // A newline is a token; the space before a word is part of the word,
+    // longer runs (indentation) merge into few tokens
+    if (piece.includes('\n')) return 1 + Math.floor(piece.replace(/[^ \t]/g, '').length / 8);
+    return piece.length > 1 ? Math.ceil((piece.length - 1) / 4) : 0;
+  }
+  if (DENSE_SCRIPT.test(c)) return 1;
+  if (/\p{N}/u.test(c)) return Math.ceil(piece.length / 3);
+  if (/[\p{L}\p{M}]/u.test(c)) {
+    if (/^[A-Za-z]+$/.test(piece)) return Math.ceil(piece.length / 4);
+    if (/\p{Script=Latin}/u.test(c)) return Math.ceil(piece.length / 3);
+    return Math.ceil(piece.length / 2);
+  }
+  // Symbols: one token each, but a run of one character ("----", "...")
+  // is a single merge
+  let tokens = 0;
+  for (const run of piece.match(/(.)\1*/gsu)) tokens += Math.ceil(run.length / 8);
+  return tokens;
+}
+
+/**
+ * Offline estimator: a BPE approximation per script class (see above).
+ */
+function createHeuristicEstimator() {
+  return {
+    id: 'heuristic',
+    count(text) {
+      let tokens = 0;
+      for (const piece of String(text || '').match(PIECE_RE) || []) tokens += countPiece(piece);
+      return tokens;
+    },
+  };
+}
+
+function createChars4Estimator() {
+  return {
+    id: 'chars4',
+    count(text) {
+      return Math.ceil(String(text || '').length / 4);
+    },
+  };
+}
+
+const ESTIMATORS = {
+  heuristic: createHeuristicEstimator,
+  chars4: createChars4Estimator,
+};
+
+/**
+ * Register an estimator factory under a name usable from config.json
+ * (`tokenEstimator`), e.g. one wrapping a real tokenizer.
+ */
+function registerTokenEstimator(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Token estimator factory for "${name}" must be a function`);
+  }
+  ESTIMATORS[name] = factory;
+}
+
+/**
+ * Resolve an estimator from a name, an estimator object, or nothing (default).
+ * A name that looks like a path (contains a slash or ends in .js) is loaded
+ * as a module exporting either an estimator object or a factory.
+ */
+function resolveTokenEstimator(spec, options = {}) {
+  if (spec && typeof spec === 'object' && typeof spec.count === 'function') return spec;
+  const name = spec || 'heuristic';
+  if (ESTIMATORS[name]) return ESTIMATORS[name](options);
+  if (/[\\/]|\.js$/.test(name)) {
+    const mod = require(path.resolve(expandPath(name)));
+    const estimator = typeof mod === 'function' ? mod(options) : mod;
+    if (!estimator || typeof estimator.count !== 'function') {
+      throw new Error(`Token estimator module ${name} does not export count()`);
+    }
+    return estimator;
+  }
+  throw new Error(`Unknown token estimator: ${name}`);
+}
+
+// ---------------------------------------------------------------------------
+// Cutting
+// ---------------------------------------------------------------------------
+
+// Ends a sentence: terminal punctuation (and closing quotes or brackets)
+// before whitespace, CJK full stops, or a line break
+const SENTENCE_END_RE = /[.!?…]["')\]»”’]*(?=\s)|[。！？]["')\]»”’」』]*|\n/gu;
+
+/**
+ * Offsets just past each sentence end in `text`, in order.
+ */
+function sentenceEnds(text) {
+  return Array.from(String(text || '').matchAll(SENTENCE_END_RE), (m) => m.index + m[0].length);
+}
+
+/**
+ * The longest prefix of `text` that `fits(prefix)` accepts, cut where a
+ * reader would stop: after the last whole sentence that fits, else after the
+ * last whole word (with "…" when it fits too), else mid-word as a last resort.
+ * A sentence cut is preferred unless it keeps less than half of what fits.
+ *
+ * @param {string} text
+ * @param {function(string): boolean} fits - Must accept shorter prefixes of
+ *   anything it accepts
+ * @returns {string} `text` itself when it fits whole
+ */
+function cutAtBoundary(text, fits) {
+  const s = String(text || '');
+  if (fits(s)) return s;
+
+  // Longest prefix that fits, by binary search
+  let lo = 0;
+  let hi = s.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (fits(s.slice(0, mid))) lo = mid;
+    else hi = mid - 1;
+  }
+  if (lo === 0) return '';
+
+  let sentence = 0;
+  for (const end of sentenceEnds(s)) {
+    if (end > lo) break;
+    sentence = end;
+  }
+  if (sentence >= lo / 2) return s.slice(0, sentence).trimEnd();
+
+  for (let i = lo; i > 0; i--) {
+    const atBoundary = /\s/.test(s[i]) || (DENSE_SCRIPT.test(s[i - 1]) && DENSE_SCRIPT.test(s[i]));
+    if (!atBoundary) continue;
+    const word = s.slice(0, i).trimEnd();
+    if (!word) break;
+    return fits(`${word}…`) ? `${word}…` : word;
+  }
+  return s.slice(0, lo);
+}
+
+module.exports = {
+  createHeuristicEstimator,
+  registerTokenEstimator,
+  resolveTokenEstimator,
+  sentenceEnds,
+  cutAtBoundary,
+};
@@ -29,8 +29,40 @@ function resolveMemoryDir() {
   return DEFAULT_OPENCLAW_MEMORY;
 }
 
+/**
+ * Normalize the `memoryRoots` option: an ordered list of directories searched
+ * together, each a path string or { path, weight, namespace, readOnly }.
+ * Paths are expanded and resolved, later duplicates dropped, a missing or
+ * non-positive weight becomes 1. With no roots, memoryDir is the only one.
+ * @returns {Array<{ path: string, weight: number, namespace: string|null, readOnly: boolean }>}
+ */
+function resolveMemoryRoots(memoryRoots, memoryDir = resolveMemoryDir()) {
+  const roots = [];
+  const seen = new Set();
+  for (const entry of Array.isArray(memoryRoots) ? memoryRoots : []) {
+    const spec = typeof entry === 'string' ? { path: entry } : entry || {};
+    if (typeof spec.path !== 'string' || !spec.path.trim()) continue;
+    const dir = path.resolve(expandPath(spec.path.trim()));
+    if (seen.has(dir)) continue;
+    seen.add(dir);
+    const weight = Number(spec.weight);
+    const namespace = typeof spec.namespace === 'string' ? spec.namespace.trim() : '';
+    roots.push({
+      path: dir,
+      weight: Number.isFinite(weight) && weight > 0 ? weight : 1,
+      namespace: namespace || null,
+      readOnly: spec.readOnly === true,
+    });
+  }
+  if (!roots.length) {
+    roots.push({ path: path.resolve(expandPath(memoryDir)), weight: 1, namespace: null, readOnly: false });
+  }
+  return roots;
+}
+
 module.exports = {
   expandPath,
   resolveMemoryDir,
+  resolveMemoryRoots,
   DEFAULT_OPENCLAW_MEMORY,
 };
@@ -0,0 +1,187 @@
+/**
+ * Adaptive Memory Watcher
+ *
+ * Debounced change notifications for a directory tree, used by watch mode in
+ * search.js to keep the in-memory index current. Uses a recursive fs.watch
+ * where the platform supports it (on Linux from Node 20), otherwise one watcher per directory
+ * (re-scanned after every change so new directories are picked up). Hidden
+ * and archive directories are not watched.
+ *
+ * Watchers never keep the process alive; a watcher that fails (the root was
+ * removed, too many watches) reports through onError and stops, and search
+ * falls back to the cold path.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 250;
+
+/**
+ * Does fs.watch honour `recursive` here? Linux gained it in Node 20; older
+ * versions there silently watch the top level only instead of throwing.
+ */
+function recursiveWatchSupported(platform = process.platform, version = process.versions.node) {
+  return platform !== 'linux' || Number(version.split('.')[0]) >= 20;
+}
+
+function skipDir(name) {
+  return name.startsWith('.') || name === 'archive';
+}
+
+async function listDirs(root) {
+  const dirs = [root];
+  for (let i = 0; i < dirs.length; i++) {
+    try {
+      for (const item of await fsp.readdir(dirs[i], { withFileTypes: true })) {
+        if (item.isDirectory() && !skipDir(item.name)) dirs.push(path.join(dirs[i], item.name));
+      }
+    } catch {
+      // Removed while scanning
+    }
+  }
+  return dirs;
+}
+
+/** listDirs, synchronously: the first scan, so watchTree returns armed. */
+function listDirsSync(root) {
+  const dirs = [root];
+  for (let i = 0; i < dirs.length; i++) {
+    try {
+      for (const item of fs.readdirSync(dirs[i], { withFileTypes: true })) {
+        if (item.isDirectory() && !skipDir(item.name)) dirs.push(path.join(dirs[i], item.name));
+      }
+    } catch {
+      // Removed while scanning
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Watch `root` and call onChange(paths) once changes have been quiet for
+ * debounceMs; `paths` are the changed names relative to root ("" when the
+ * platform did not say).
+ *
+ * @param {string} root
+ * @param {function(string[]): void} onChange
+ * @param {object} options - { debounceMs, onError }
+ * @returns {{ pending: function(): boolean, flush: function(): boolean, close: function(): void }}
+ *   `flush` delivers pending changes now and reports whether there were any
+ */
+function watchTree(root, onChange, { debounceMs = DEFAULT_DEBOUNCE_MS, onError = () => {} } = {}) {
+  const watchers = new Map();
+  let changed = new Set();
+  let timer = null;
+  let closed = false;
+  let perDirectory = false;
+  let scanning = null;
+
+  function deliver() {
+    clearTimeout(timer);
+    timer = null;
+    if (!changed.size) return false;
+    const paths = Array.from(changed);
+    changed = new Set();
+    onChange(paths);
+    return true;
+  }
+
+  function fail(err) {
+    if (closed) return;
+    close();
+    onError(err);
+  }
+
+  function record(dir, filename) {
+    if (closed) return;
+    const rel = filename ? path.relative(root, path.join(dir, String(filename))).split(path.sep).join('/') : '';
+    // Hidden files are never indexed (a cache kept in the root would otherwise
+    // wake the watcher on every write); .memoryignore changes what is
+    if (rel !== '.memoryignore' && rel.split('/').some((part) => part && skipDir(part))) return;
+    changed.add(rel);
+    clearTimeout(timer);
+    timer = setTimeout(deliver, debounceMs);
+    if (timer.unref) timer.unref();
+    if (perDirectory) rescan();
+  }
+
+  function add(dir, options) {
+    if (closed || watchers.has(dir)) return;
+    const w = fs.watch(dir, { persistent: false, ...options }, (event, filename) => record(dir, filename));
+    w.on('error', (err) => {
+      if (dir === root) fail(err);
+      else {
+        w.close();
+        watchers.delete(dir);
+      }
+    });
+    watchers.set(dir, w);
+  }
+
+  function rescan() {
+    if (scanning) return;
+    scanning = listDirs(root)
+      .then((dirs) => {
+        const live = new Set(dirs);
+        for (const [dir, w] of watchers) {
+          if (!live.has(dir)) {
+            w.close();
+            watchers.delete(dir);
+          }
+        }
+        for (const dir of dirs) {
+          try {
+            add(dir);
+          } catch {
+            // Vanished before it could be watched
+          }
+        }
+      })
+      .finally(() => {
+        scanning = null;
+      });
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(timer);
+    for (const w of watchers.values()) w.close();
+    watchers.clear();
+  }
+
+  const watchPerDirectory = () => {
+    perDirectory = true;
+    add(root);
+    for (const dir of listDirsSync(root).slice(1)) {
+      try {
+        add(dir);
+      } catch {
+        // Vanished before it could be watched
+      }
+    }
+  };
+  if (!recursiveWatchSupported()) {
+    watchPerDirectory();
+  } else {
+    try {
+      add(root, { recursive: true });
+    } catch (err) {
+      if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' && !(err instanceof TypeError)) throw err;
+      watchPerDirectory();
+    }
+  }
+
+  return {
+    pending: () => changed.size > 0,
+    flush: deliver,
+    close,
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  recursiveWatchSupported,
+  watchTree,
+};